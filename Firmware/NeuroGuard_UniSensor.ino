@@ -1,6 +1,26 @@
 // ESP32 Single MPU6050 with Bluetooth Low Energy (BLE)
-// This code has been modified to use only one MPU6050 sensor and output
-// a JSON string in the format: {"sensor":{"accel":{...},"gyro":{...}}}
+// Samples one MPU6050 (100 Hz by default) and notifies batches of samples as a compact
+// binary packet (format below). Each sample is also printed to Serial as a
+// JSON line in the format: {"sensor":{"accel":{...},"gyro":{...}}}
+//
+// Binary packet v1, little-endian:
+//   header (8 bytes)  u8 magic 'N' (0x4E), u8 version, u16 sequence,
+//                     u8 sample count, u8 ranges (bits 0-1 accel, bits 2-3 gyro),
+//                     u16 reserved
+//   sample (16 bytes) u32 micros(), int16 ax, ay, az, gx, gy, gz (raw counts)
+// Set BLE_LEGACY_JSON to 1 to notify the old JSON string instead.
+//
+// Commands are written to the same characteristic as text, "<id> <COMMAND> [value]":
+//   RATE 25|50|100|200          sample rate in Hz
+//   ARANGE 2|4|8|16             accelerometer range in g
+//   GRANGE 250|500|1000|2000    gyro range in deg/s
+//   DLPF 260|184|94|44|21|10|5  low-pass filter bandwidth in Hz
+//   CAL                         zero offsets (keep the headband still)
+//   INFO                        firmware version, battery and current settings
+//   ID                          device identity
+// Each command is answered with a JSON notification:
+//   {"resp":<id>,"ok":true,...} or {"resp":<id>,"ok":false,"error":"..."}
+// Settings and calibration are kept in flash across restarts.
 
 #include <Adafruit_MPU6050.h>
 #include <Adafruit_Sensor.h>
@@ -9,6 +29,7 @@
 #include <BLEServer.h>
 #include <BLEUtils.h>
 #include <BLE2902.h>
+#include <Preferences.h>
 
 // Create a single MPU6050 object
 Adafruit_MPU6050 mpu;
@@ -26,6 +47,72 @@ BLECharacteristic* pCharacteristic = NULL;
 bool deviceConnected = false;
 bool oldDeviceConnected = false;
 
+#define FIRMWARE_VERSION "1.1.0"
+
+// Battery voltage through a 1:2 divider (set BATTERY_PIN to -1 if not wired)
+#define BATTERY_PIN     35
+#define BATTERY_DIVIDER 2.0
+#define BATTERY_EMPTY_MV 3300
+#define BATTERY_FULL_MV  4200
+
+// Sampling and packet format
+#define SAMPLES_PER_PACKET 5      // one notification every 50 ms at 100 Hz
+#define PACKET_MAGIC       0x4E
+#define PACKET_VERSION     1
+#define PACKET_HEADER_BYTES 8
+#define PACKET_SAMPLE_BYTES 16
+#define BLE_LEGACY_JSON    0
+#define SERIAL_JSON        1
+#define SERIAL_JSON_MAX_HZ 100    // 115200 baud cannot keep up with more JSON lines
+#define CALIBRATION_SAMPLES 200
+#define CALIBRATION_MAX_SPREAD 200  // raw counts; more means the device moved
+
+// MPU6050 registers
+#define MPU_REG_ACCEL_XOUT_H 0x3B
+
+struct RawSample {
+  uint32_t timeUs;
+  int16_t accel[3];
+  int16_t gyro[3];
+};
+
+RawSample batch[SAMPLES_PER_PACKET];
+uint8_t batchCount = 0;
+uint16_t packetSeq = 0;
+uint32_t nextSampleUs = 0;
+uint32_t samplePeriodUs = 10000;
+uint32_t sampleCounter = 0;
+uint8_t rangeBits = 0;
+float accelLsbPerG = 2048.0;
+float gyroLsbPerDps = 16.4;
+
+// Settings selectable from the dashboard; the ranges and bandwidth use the
+// Adafruit enum values
+struct DeviceSettings {
+  uint16_t rateHz;
+  uint8_t accelRange;
+  uint8_t gyroRange;
+  uint8_t bandwidth;
+  int16_t accelOffset[3];
+  int16_t gyroOffset[3];
+};
+
+DeviceSettings settings = {
+  100, MPU6050_RANGE_16_G, MPU6050_RANGE_2000_DEG, MPU6050_BAND_21_HZ,
+  {0, 0, 0}, {0, 0, 0}
+};
+Preferences prefs;
+
+// Lookup tables indexed by the Adafruit enum values
+const uint16_t SAMPLE_RATES[] = {25, 50, 100, 200};
+const uint16_t ACCEL_RANGES_G[] = {2, 4, 8, 16};
+const uint16_t GYRO_RANGES_DPS[] = {250, 500, 1000, 2000};
+const uint16_t BANDWIDTHS_HZ[] = {260, 184, 94, 44, 21, 10, 5};
+
+// Last command written by the dashboard, handled in loop()
+char pendingCommand[64];
+volatile bool commandPending = false;
+
 // UUIDs for BLE service and characteristic
 #define SERVICE_UUID        "12345678-1234-1234-1234-123456789abc"
 #define CHARACTERISTIC_UUID "87654321-4321-4321-4321-cba987654321"
@@ -43,10 +130,22 @@ class MyServerCallbacks: public BLEServerCallbacks {
    }
 };
 
+// Characteristic callbacks: queue commands for the main loop
+class CommandCallbacks: public BLECharacteristicCallbacks {
+  void onWrite(BLECharacteristic* characteristic) {
+    if (commandPending) return;  // one command at a time
+    std::string value = characteristic->getValue();
+    size_t len = value.length() < sizeof(pendingCommand) - 1 ? value.length() : sizeof(pendingCommand) - 1;
+    memcpy(pendingCommand, value.c_str(), len);
+    pendingCommand[len] = '\0';
+    commandPending = true;
+  }
+};
+
 // Function to configure the MPU6050 sensor
 void configureMPU(Adafruit_MPU6050 &mpu) {
   // Configure accelerometer range
-  mpu.setAccelerometerRange(MPU6050_RANGE_16_G);
+  mpu.setAccelerometerRange((mpu6050_accel_range_t)settings.accelRange);
   Serial.print("Sensor - Accelerometer range set to: ");
   
   switch (mpu.getAccelerometerRange()) {
@@ -65,7 +164,7 @@ void configureMPU(Adafruit_MPU6050 &mpu) {
   }
   
   // Configure gyroscope range
-  mpu.setGyroRange(MPU6050_RANGE_2000_DEG);
+  mpu.setGyroRange((mpu6050_gyro_range_t)settings.gyroRange);
   Serial.print("Sensor - Gyro range set to: ");
   
   switch (mpu.getGyroRange()) {
@@ -84,7 +183,7 @@ void configureMPU(Adafruit_MPU6050 &mpu) {
   }
   
   // Configure filter bandwidth
-  mpu.setFilterBandwidth(MPU6050_BAND_21_HZ);
+  mpu.setFilterBandwidth((mpu6050_bandwidth_t)settings.bandwidth);
   Serial.print("Sensor - Filter bandwidth set to: ");
   
   switch (mpu.getFilterBandwidth()) {
@@ -110,6 +209,36 @@ void configureMPU(Adafruit_MPU6050 &mpu) {
     Serial.println("5 Hz");
     break;
   }
+
+  // Scale factors for the raw counts (the range enums are 0-3 for both sensors)
+  const float accelLsb[] = {16384.0, 8192.0, 4096.0, 2048.0};
+  const float gyroLsb[] = {131.0, 65.5, 32.8, 16.4};
+  uint8_t accelRange = mpu.getAccelerometerRange() & 0x03;
+  uint8_t gyroRange = mpu.getGyroRange() & 0x03;
+  accelLsbPerG = accelLsb[accelRange];
+  gyroLsbPerDps = gyroLsb[gyroRange];
+  rangeBits = accelRange | (gyroRange << 2);
+  samplePeriodUs = 1000000UL / settings.rateHz;
+}
+
+// Load saved settings, keeping the defaults for anything missing or invalid
+void loadSettings() {
+  prefs.begin("neuroguard", true);
+  if (prefs.getBytesLength("settings") == sizeof(DeviceSettings)) {
+    DeviceSettings stored;
+    prefs.getBytes("settings", &stored, sizeof(DeviceSettings));
+    if (stored.rateHz >= 25 && stored.rateHz <= 200 && stored.accelRange <= 3
+        && stored.gyroRange <= 3 && stored.bandwidth <= 6) {
+      settings = stored;
+    }
+  }
+  prefs.end();
+}
+
+void saveSettings() {
+  prefs.begin("neuroguard", false);
+  prefs.putBytes("settings", &settings, sizeof(DeviceSettings));
+  prefs.end();
 }
 
 void setup(void) {
@@ -139,6 +268,7 @@ void setup(void) {
                     );
 
   pCharacteristic->addDescriptor(new BLE2902());
+  pCharacteristic->setCallbacks(new CommandCallbacks());
 
   // Start the service
   pService->start();
@@ -163,6 +293,7 @@ void setup(void) {
     }
   } else {
     Serial.println("MPU6050 Sensor Found at 0x68!");
+    loadSettings();
     configureMPU(mpu);
   }
 
@@ -171,27 +302,237 @@ void setup(void) {
   delay(100);
 }
 
+// Read raw accel and gyro counts in one burst (registers 0x3B-0x48, big-endian)
+bool readRawSample(RawSample &sample) {
+  Wire.beginTransmission(MPU_ADDR);
+  Wire.write(MPU_REG_ACCEL_XOUT_H);
+  if (Wire.endTransmission(false) != 0) return false;
+  if (Wire.requestFrom(MPU_ADDR, 14) != 14) return false;
+  int16_t words[7];
+  for (int i = 0; i < 7; i++) {
+    words[i] = (int16_t)((Wire.read() << 8) | Wire.read());
+  }
+  sample.timeUs = micros();
+  for (int i = 0; i < 3; i++) {
+    sample.accel[i] = words[i] - settings.accelOffset[i];
+    sample.gyro[i] = words[i + 4] - settings.gyroOffset[i];  // words[3] is temperature
+  }
+  return true;
+}
+
+void putUint16(uint8_t *buf, uint16_t value) {
+  buf[0] = value & 0xFF;
+  buf[1] = value >> 8;
+}
+
+void putUint32(uint8_t *buf, uint32_t value) {
+  for (int i = 0; i < 4; i++) buf[i] = (value >> (8 * i)) & 0xFF;
+}
+
+// Notify the buffered samples as one binary packet
+void sendBatch() {
+  uint8_t packet[PACKET_HEADER_BYTES + SAMPLES_PER_PACKET * PACKET_SAMPLE_BYTES];
+  packet[0] = PACKET_MAGIC;
+  packet[1] = PACKET_VERSION;
+  putUint16(packet + 2, packetSeq++);
+  packet[4] = batchCount;
+  packet[5] = rangeBits;
+  putUint16(packet + 6, 0);
+  for (uint8_t i = 0; i < batchCount; i++) {
+    uint8_t *out = packet + PACKET_HEADER_BYTES + i * PACKET_SAMPLE_BYTES;
+    putUint32(out, batch[i].timeUs);
+    for (int axis = 0; axis < 3; axis++) {
+      putUint16(out + 4 + axis * 2, (uint16_t)batch[i].accel[axis]);
+      putUint16(out + 10 + axis * 2, (uint16_t)batch[i].gyro[axis]);
+    }
+  }
+  pCharacteristic->setValue(packet, PACKET_HEADER_BYTES + batchCount * PACKET_SAMPLE_BYTES);
+  pCharacteristic->notify();
+}
+
+// Build the legacy JSON string for one sample (m/s² and rad/s)
+String sampleJson(const RawSample &sample) {
+  float ax = sample.accel[0] / accelLsbPerG * SENSORS_GRAVITY_STANDARD;
+  float ay = sample.accel[1] / accelLsbPerG * SENSORS_GRAVITY_STANDARD;
+  float az = sample.accel[2] / accelLsbPerG * SENSORS_GRAVITY_STANDARD;
+  float gx = sample.gyro[0] / gyroLsbPerDps * SENSORS_DPS_TO_RADS;
+  float gy = sample.gyro[1] / gyroLsbPerDps * SENSORS_DPS_TO_RADS;
+  float gz = sample.gyro[2] / gyroLsbPerDps * SENSORS_DPS_TO_RADS;
+  String jsonData = "{\"sensor\":{\"accel\":{\"x\":" + String(ax, 2) + ",";
+  jsonData += "\"y\":" + String(ay, 2) + ",";
+  jsonData += "\"z\":" + String(az, 2) + "},";
+  jsonData += "\"gyro\":{\"x\":" + String(gx, 2) + ",";
+  jsonData += "\"y\":" + String(gy, 2) + ",";
+  jsonData += "\"z\":" + String(gz, 2) + "}}}";
+  return jsonData;
+}
+
+// Notify a command response
+void sendResponse(const String &json) {
+  Serial.println(json);
+  if (deviceConnected) {
+    pCharacteristic->setValue(json.c_str());
+    pCharacteristic->notify();
+  }
+}
+
+String errorResponse(int id, const char *message) {
+  return "{\"resp\":" + String(id) + ",\"ok\":false,\"error\":\"" + message + "\"}";
+}
+
+// Index of value in a lookup table, or -1
+int indexOf(const uint16_t *table, int size, long value) {
+  for (int i = 0; i < size; i++) {
+    if (table[i] == value) return i;
+  }
+  return -1;
+}
+
+String settingsJson() {
+  return "\"rate\":" + String(settings.rateHz)
+    + ",\"accelRange\":" + String(ACCEL_RANGES_G[settings.accelRange])
+    + ",\"gyroRange\":" + String(GYRO_RANGES_DPS[settings.gyroRange])
+    + ",\"dlpf\":" + String(BANDWIDTHS_HZ[settings.bandwidth]);
+}
+
+// Average the sensor while it lies still and store the result as zero offsets.
+// The axis carrying gravity keeps 1 g.
+String calibrate(int id) {
+  for (int i = 0; i < 3; i++) {
+    settings.accelOffset[i] = 0;
+    settings.gyroOffset[i] = 0;
+  }
+  long sum[6] = {0};
+  int16_t minV[6], maxV[6];
+  for (int n = 0; n < CALIBRATION_SAMPLES; n++) {
+    RawSample sample;
+    if (!readRawSample(sample)) return errorResponse(id, "sensor read failed");
+    for (int i = 0; i < 6; i++) {
+      int16_t v = i < 3 ? sample.accel[i] : sample.gyro[i - 3];
+      sum[i] += v;
+      if (n == 0 || v < minV[i]) minV[i] = v;
+      if (n == 0 || v > maxV[i]) maxV[i] = v;
+    }
+    delay(5);
+  }
+  for (int i = 0; i < 6; i++) {
+    if (maxV[i] - minV[i] > CALIBRATION_MAX_SPREAD) return errorResponse(id, "device moved during calibration");
+  }
+  int gravityAxis = 0;
+  for (int i = 1; i < 3; i++) {
+    if (labs(sum[i]) > labs(sum[gravityAxis])) gravityAxis = i;
+  }
+  for (int i = 0; i < 3; i++) {
+    long mean = sum[i] / CALIBRATION_SAMPLES;
+    if (i == gravityAxis) mean -= (mean > 0 ? 1 : -1) * (long)accelLsbPerG;
+    settings.accelOffset[i] = mean;
+    settings.gyroOffset[i] = sum[i + 3] / CALIBRATION_SAMPLES;
+  }
+  saveSettings();
+  return "{\"resp\":" + String(id) + ",\"ok\":true,\"accelOffset\":["
+    + String(settings.accelOffset[0]) + "," + String(settings.accelOffset[1]) + "," + String(settings.accelOffset[2])
+    + "],\"gyroOffset\":["
+    + String(settings.gyroOffset[0]) + "," + String(settings.gyroOffset[1]) + "," + String(settings.gyroOffset[2]) + "]}";
+}
+
+String batteryJson() {
+  if (BATTERY_PIN < 0) return "\"batteryMv\":null,\"batteryPercent\":null";
+  int mv = analogReadMilliVolts(BATTERY_PIN) * BATTERY_DIVIDER;
+  int percent = constrain(map(mv, BATTERY_EMPTY_MV, BATTERY_FULL_MV, 0, 100), 0, 100);
+  return "\"batteryMv\":" + String(mv) + ",\"batteryPercent\":" + String(percent);
+}
+
+// Parse and run one "<id> <COMMAND> [value]" command
+void handleCommand(const char *line) {
+  int id = 0;
+  char command[12] = "";
+  long value = 0;
+  int fields = sscanf(line, "%d %11s %ld", &id, command, &value);
+  if (fields < 2) {
+    sendResponse(errorResponse(id, "malformed command"));
+    return;
+  }
+  String cmd = String(command);
+  String ok = "{\"resp\":" + String(id) + ",\"ok\":true,";
+
+  if (cmd == "RATE" || cmd == "ARANGE" || cmd == "GRANGE" || cmd == "DLPF") {
+    if (fields < 3) {
+      sendResponse(errorResponse(id, "missing value"));
+      return;
+    }
+    int idx;
+    if (cmd == "RATE") {
+      idx = indexOf(SAMPLE_RATES, 4, value);
+      if (idx >= 0) settings.rateHz = value;
+    } else if (cmd == "ARANGE") {
+      idx = indexOf(ACCEL_RANGES_G, 4, value);
+      if (idx >= 0) settings.accelRange = idx;
+    } else if (cmd == "GRANGE") {
+      idx = indexOf(GYRO_RANGES_DPS, 4, value);
+      if (idx >= 0) settings.gyroRange = idx;
+    } else {
+      idx = indexOf(BANDWIDTHS_HZ, 7, value);
+      if (idx >= 0) settings.bandwidth = idx;
+    }
+    if (idx < 0) {
+      sendResponse(errorResponse(id, "unsupported value"));
+      return;
+    }
+    // Offsets are in raw counts, so a range change invalidates the calibration
+    if (cmd == "ARANGE") memset(settings.accelOffset, 0, sizeof(settings.accelOffset));
+    if (cmd == "GRANGE") memset(settings.gyroOffset, 0, sizeof(settings.gyroOffset));
+    configureMPU(mpu);
+    saveSettings();
+    batchCount = 0;
+    sendResponse(ok + settingsJson() + "}");
+  } else if (cmd == "CAL") {
+    sendResponse(calibrate(id));
+  } else if (cmd == "INFO") {
+    sendResponse(ok + "\"firmware\":\"" + FIRMWARE_VERSION + "\",\"packetVersion\":" + String(PACKET_VERSION)
+      + "," + batteryJson() + "," + settingsJson() + "}");
+  } else if (cmd == "ID") {
+    sendResponse(ok + "\"name\":\"ESP32_MPU6050_BLE\",\"mac\":\"" + String(BLEDevice::getAddress().toString().c_str())
+      + "\",\"chip\":\"" + String(ESP.getChipModel()) + " rev " + String(ESP.getChipRevision()) + "\"}");
+  } else {
+    sendResponse(errorResponse(id, "unknown command"));
+  }
+}
+
 void loop() {
-  sensors_event_t a, g, temp;
-  
-  // Get new sensor event values
-  mpu.getEvent(&a, &g, &temp);
-
-  // Build the JSON string with the requested format
-  String jsonData = "{\"sensor\":{\"accel\":{\"x\":" + String(a.acceleration.x, 2) + ",";
-  jsonData += "\"y\":" + String(a.acceleration.y, 2) + ",";
-  jsonData += "\"z\":" + String(a.acceleration.z, 2) + "},";
-  jsonData += "\"gyro\":{\"x\":" + String(g.gyro.x, 2) + ",";
-  jsonData += "\"y\":" + String(g.gyro.y, 2) + ",";
-  jsonData += "\"z\":" + String(g.gyro.z, 2) + "}}}";
-  
-  // Print to Serial Monitor
-  Serial.println(jsonData);
+  if (commandPending) {
+    handleCommand(pendingCommand);
+    commandPending = false;
+  }
+
+  // Sample on a fixed schedule
+  uint32_t now = micros();
+  if ((int32_t)(now - nextSampleUs) < 0) return;
+  nextSampleUs = ((int32_t)(now - nextSampleUs) > (int32_t)samplePeriodUs) ? now + samplePeriodUs : nextSampleUs + samplePeriodUs;
+
+  RawSample sample;
+  if (!readRawSample(sample)) return;
+
+#if SERIAL_JSON
+  if (sampleCounter++ % max(1, settings.rateHz / SERIAL_JSON_MAX_HZ) == 0) {
+    Serial.println(sampleJson(sample));
+  }
+#endif
 
   // Send via BLE if device is connected
   if (deviceConnected) {
+#if BLE_LEGACY_JSON
+    String jsonData = sampleJson(sample);
     pCharacteristic->setValue(jsonData.c_str());
     pCharacteristic->notify();
+#else
+    batch[batchCount++] = sample;
+    if (batchCount == SAMPLES_PER_PACKET) {
+      sendBatch();
+      batchCount = 0;
+    }
+#endif
+  } else {
+    batchCount = 0;
   }
 
   // Handle reconnection
@@ -206,6 +547,4 @@ void loop() {
   if (deviceConnected && !oldDeviceConnected) {
     oldDeviceConnected = deviceConnected;
   }
-
-  delay(50); 
 }
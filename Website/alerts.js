@@ -0,0 +1,105 @@
+/* ====================================================
+   NeuroGuard Alert Rules
+   - Rule-based alerts for a recorded impact: a single
+     impact's ISS above a threshold, the player's NRS
+     rising to a higher risk level, and N impacts within
+     M minutes
+   - Alerts stay active until acknowledged and escalate
+     at a fixed interval while they are not
+   - Headless: no DOM, sound or storage access
+   - Loaded as a classic script in the browser (global
+     AlertRules) or with require() in Node
+==================================================== */
+
+const AlertRules = (() => {
+  /* --------------------- CONFIGURATION --------------------- */
+  /**
+   * issThreshold: ISS of a single impact that raises an alert.
+   * minLevel: lowest risk level whose onset raises an alert.
+   * clusterCount / clusterMinutes: this many impacts within this many minutes.
+   * escalateAfterSec: time before an unacknowledged alert escalates (and again
+   * after each escalation, up to MAX_ESCALATIONS).
+   */
+  const DEFAULT_RULES = Object.freeze({
+    issThreshold: 2,
+    minLevel: 'moderate',
+    clusterCount: 3,
+    clusterMinutes: 10,
+    escalateAfterSec: 60,
+  });
+
+  const LEVELS = Object.freeze(['low', 'moderate', 'high', 'severe']);
+  const MAX_ESCALATIONS = 5;
+  const MINUTE_MS = 60000;
+
+  /* --------------------- RULES --------------------- */
+  /**
+   * Alerts raised by a newly recorded impact. context is { previousLevel, level,
+   * history (the player's impacts, including this one), recentAlerts (the player's
+   * alerts) }. Returns [{ rule, severity: 'warning' | 'critical', ... }] where the
+   * extra fields describe what fired.
+   */
+  function evaluateImpact(rules, impact, { previousLevel, level, history = [], recentAlerts = [] }) {
+    const r = { ...DEFAULT_RULES, ...rules };
+    const alerts = [];
+
+    if (impact.iss >= r.issThreshold) {
+      alerts.push({ rule: 'iss', severity: 'critical', iss: impact.iss, threshold: r.issThreshold });
+    }
+
+    const rank = LEVELS.indexOf(level);
+    if (rank > LEVELS.indexOf(previousLevel) && rank >= LEVELS.indexOf(r.minLevel)) {
+      alerts.push({ rule: 'level', severity: rank >= LEVELS.indexOf('severe') ? 'critical' : 'warning', from: previousLevel, to: level, nrs: impact.nrs });
+    }
+
+    const windowStart = impact.time - r.clusterMinutes * MINUTE_MS;
+    const count = history.filter(imp => imp.time >= windowStart && imp.time <= impact.time).length;
+    const alreadyRaised = recentAlerts.some(a => a.rule === 'cluster' && a.impactTime >= windowStart);
+    if (r.clusterCount > 0 && count >= r.clusterCount && !alreadyRaised) {
+      alerts.push({ rule: 'cluster', severity: 'warning', count, minutes: r.clusterMinutes });
+    }
+    return alerts;
+  }
+
+  /* --------------------- ACKNOWLEDGEMENT & ESCALATION --------------------- */
+  function isActive(alert) {
+    return !alert.acknowledgedAt;
+  }
+
+  /**
+   * True if an unacknowledged alert has waited escalateAfterSec since it was raised
+   * or last escalated.
+   */
+  function dueForEscalation(alert, now, rules = DEFAULT_RULES) {
+    const r = { ...DEFAULT_RULES, ...rules };
+    if (!isActive(alert) || alert.escalations >= MAX_ESCALATIONS) return false;
+    return now - (alert.escalatedAt || alert.time) >= r.escalateAfterSec * 1000;
+  }
+
+  /** Mark an alert as escalated once more. */
+  function escalate(alert, now) {
+    alert.escalations = (alert.escalations || 0) + 1;
+    alert.escalatedAt = now;
+    return alert;
+  }
+
+  /** Record who acknowledged an alert and when. */
+  function acknowledge(alert, { time = Date.now(), by = '' } = {}) {
+    alert.acknowledgedAt = time;
+    alert.acknowledgedBy = by.trim();
+    return alert;
+  }
+
+  return {
+    DEFAULT_RULES,
+    LEVELS,
+    MAX_ESCALATIONS,
+    evaluateImpact,
+    isActive,
+    dueForEscalation,
+    escalate,
+    acknowledge,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = AlertRules;
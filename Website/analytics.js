@@ -0,0 +1,165 @@
+/* ====================================================
+   NeuroGuard Impact Analytics
+   - Long-term aggregates of stored impacts: impact counts
+     and ISS per day or week, cumulative ISS, the CLI after
+     every impact, peak g / α distributions and per-group
+     totals for comparing players and sessions
+   - Days and weeks follow the local calendar; weeks start
+     on Monday
+   - Headless: no DOM, chart or storage access
+   - Loaded as a classic script in the browser (global
+     ImpactAnalytics) or with require() in Node
+==================================================== */
+
+const ImpactAnalytics = (() => {
+  const Scoring = typeof ScoringEngine !== 'undefined' ? ScoringEngine : require('./scoring.js');
+
+  /* --------------------- CONFIGURATION --------------------- */
+  const DAY_MS = 86400000;
+  /** Date range presets; days null means since the first impact. */
+  const RANGES = Object.freeze([
+    { key: '7d', label: 'Last 7 days', days: 7 },
+    { key: '30d', label: 'Last 30 days', days: 30 },
+    { key: '90d', label: 'Last 90 days', days: 90 },
+    { key: '365d', label: 'Last 12 months', days: 365 },
+    { key: 'all', label: 'All time', days: null },
+  ]);
+  const PERIODS = Object.freeze(['day', 'week']);
+
+  /* --------------------- DATES --------------------- */
+  /** Start (local midnight) of the day or Monday-based week a time falls in. */
+  function periodStart(time, period = 'day') {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    if (period === 'week') date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+    return date.getTime();
+  }
+
+  /** Start of the following day or week (calendar-based, so DST days are not 24 h). */
+  function nextPeriod(start, period = 'day') {
+    const date = new Date(start);
+    date.setDate(date.getDate() + (period === 'week' ? 7 : 1));
+    return date.getTime();
+  }
+
+  /**
+   * { from, to } in ms for a range preset ending now. 'all' starts at the first of the
+   * impacts, or today without any.
+   */
+  function rangeBounds(key, now = Date.now(), impacts = []) {
+    const range = RANGES.find(r => r.key === key) || RANGES[0];
+    if (range.days === null) {
+      const first = impacts.reduce((min, imp) => Math.min(min, imp.time), now);
+      return { from: periodStart(first), to: now };
+    }
+    const from = new Date(periodStart(now));
+    from.setDate(from.getDate() - (range.days - 1));
+    return { from: from.getTime(), to: now };
+  }
+
+  function inRange(impacts, { from, to }) {
+    return impacts.filter(imp => imp.time >= from && imp.time <= to);
+  }
+
+  /* --------------------- SERIES --------------------- */
+  /**
+   * Impact count and summed ISS per day or week across a range, including empty
+   * periods, with the ISS accumulated from the start of the range.
+   */
+  function periodSeries(impacts, period, { from, to }) {
+    const series = [];
+    for (let start = periodStart(from, period); start <= to; start = nextPeriod(start, period)) {
+      series.push({ start, count: 0, iss: 0, cumulativeIss: 0 });
+    }
+    inRange(impacts, { from, to }).forEach(imp => {
+      const bucket = series.find(b => b.start === periodStart(imp.time, period));
+      if (!bucket) return;
+      bucket.count++;
+      bucket.iss += imp.iss;
+    });
+    let total = 0;
+    series.forEach(b => {
+      total += b.iss;
+      b.cumulativeIss = total;
+    });
+    return series;
+  }
+
+  /**
+   * The CLI after every impact in a range, built from the player's whole history so
+   * earlier impacts count. Starts with the CLI at the start of the range.
+   */
+  function cliTrend(history, { from, to }, metric = 'iss') {
+    const points = [{ time: from, cli: 0 }];
+    let cli = 0;
+    [...history].sort((a, b) => a.time - b.time).forEach(imp => {
+      if (imp.time > to) return;
+      cli = Scoring.updateCLI(cli, Scoring.impactSeverity(imp, metric));
+      if (imp.time < from) points[0].cli = cli;
+      else points.push({ time: imp.time, cli });
+    });
+    points.push({ time: to, cli });
+    return points;
+  }
+
+  /* --------------------- DISTRIBUTIONS --------------------- */
+  /** Peak linear acceleration (g) from the captured trace, or at the trigger for older impacts. */
+  function peakG(impact) {
+    return impact.peak_g !== undefined ? impact.peak_g : impact.a_peak;
+  }
+
+  /** Peak angular acceleration (rad/s²), like peakG. */
+  function peakAlpha(impact) {
+    return impact.peak_alpha !== undefined ? impact.peak_alpha : impact.alpha_peak;
+  }
+
+  /** A 1, 2 or 5 × 10ⁿ bin width giving at most maxBins bins up to max. */
+  function binWidth(max, maxBins = 12) {
+    const raw = Math.max(max, 1e-9) / maxBins;
+    const power = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].map(m => m * power).find(w => w >= raw);
+  }
+
+  /** Counts of values in equal bins from 0: [{ from, to, count }]. */
+  function histogram(values, width = binWidth(Math.max(0, ...values))) {
+    const bins = [];
+    values.forEach(value => {
+      const i = Math.max(0, Math.floor(value / width));
+      while (bins.length <= i) bins.push({ from: bins.length * width, to: (bins.length + 1) * width, count: 0 });
+      bins[i].count++;
+    });
+    return bins;
+  }
+
+  /* --------------------- COMPARISONS --------------------- */
+  /** Totals for a group of impacts (a player, a session). */
+  function groupStats(impacts) {
+    const peaks = impacts.map(peakG);
+    return {
+      count: impacts.length,
+      totalIss: impacts.reduce((sum, imp) => sum + imp.iss, 0),
+      maxIss: impacts.reduce((max, imp) => Math.max(max, imp.iss), 0),
+      meanPeakG: peaks.length ? peaks.reduce((a, b) => a + b, 0) / peaks.length : 0,
+      maxPeakG: peaks.length ? Math.max(...peaks) : 0,
+    };
+  }
+
+  return {
+    DAY_MS,
+    RANGES,
+    PERIODS,
+    periodStart,
+    nextPeriod,
+    rangeBounds,
+    inRange,
+    periodSeries,
+    cliTrend,
+    peakG,
+    peakAlpha,
+    binWidth,
+    histogram,
+    groupStats,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ImpactAnalytics;
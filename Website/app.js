@@ -2,65 +2,226 @@
    NeuroGuard App – Technical Enhancements & Fixes
    - Debounce DOM updates via updateUI()
    - Consolidate mouse/touch event handlers
-   - Web Worker suggestion: (Placeholder for heavy computations)
+   - Fullscreen view of any chart (double-click): follows the
+     live data, with its own zoom/pan, series toggles, a
+     crosshair readout and PNG snapshots
+   - Live charts on fixed-size ring buffers with a time axis,
+     min/max decimation and a selectable 5 s – 5 min window
+   - Sensor pipeline (decode → smooth → zero → detect) runs in a
+     Web Worker and hands typed-array sample batches back to
+     the charts and scores
    - Improved error handling and cleanup on unload
-   - Automatic BLE reconnection logic can be added here
+   - Automatic BLE reconnection with exponential backoff
+   - Pluggable data sources: Web Bluetooth, Web Serial (USB) or a
+     simulated headband
+   - Impact waveforms captured around each trigger, with a
+     clickable impact list and detail view
+   - Hit location and rotation plane per impact, with hit maps
+   - HIC15/HIC36, BrIC and peak rotational kinematics per impact,
+     selectable as the NRS severity input
+   - Orientation filter per headband: gravity is removed in the
+     earth frame and pitch/roll/yaw are shown live
+   - Concussion protocol cases: symptom checklists against a
+     baseline, removal from play and return-to-play sign-offs
+   - Rule-based alerts (impact ISS, NRS level, impact clusters)
+     that stay up until acknowledged and escalate with sound,
+     vibration and system notifications
+   - Sessions (practice, game, drill) with participants; impacts
+     are linked to the running session, with summaries and a
+     timeline per session
+   - Analytics view: daily/weekly impact counts, cumulative ISS,
+     CLI trend, peak g / α distributions and player and session
+     comparisons over a chosen date range
+   - Installable and offline-capable (manifest + service worker),
+     with a prompt to reload when a new version is deployed
+   - Accessible: risk changes and impacts are announced to screen
+     readers, connect/pause/zoom/fullscreen work from the keyboard,
+     risk levels carry a symbol as well as a colour, a
+     high-contrast theme and data tables for every chart
    - Persist settings via localStorage as needed
 ==================================================== */
 
 /* --------------------- CONFIGURATION --------------------- */
+/* Detection thresholds and score formulas live in scoring.js (ScoringEngine). */
 const DOM_FPS = 60;
 const RENDER_FPS = 60;
-const dataPointsPerSecond = 100;
-const SMOOTHING_WINDOW_SIZE = 7;
-const VISIBLE_DATA_POINTS = 400;
+const LIVE_CHART_BUCKETS = 400;
+const LIVE_CHART_MAX_RATE_HZ = 200;
 const NRS_VISIBLE_POINTS = 30;
 const Y_BUFFER_PERCENTAGE = 0.15;
 const MIN_Y_RANGE = 4;
 const NRS_UPDATE_INTERVAL = 5000;
-const GYRO_MULTIPLIER = 2.5;
-const WHISE_THRESHOLD = 0.1;
-const MIN_LINEAR_G = 1;
-const MIN_ROTATIONAL_RAD_S2 = 150;
-const DEAD_TIME_MS = 770;
-const AUTO_ZERO_ENABLED = false;
-const STILLNESS_WINDOW_MS = 250;
-const AUTO_ZERO_HOLD_MS = 0;
-const AUTO_ZERO_COOLDOWN_MS = 250;
-const AUTO_ZERO_MIN_UPTIME_MS = 100;
-const IMPACT_SUPPRESSION_MS = 0;
-const OMEGA_STD_THRESH = 0.12;
-const ACCEL_STD_THRESH = 0.25;
-const STILL_WINDOW_N = Math.max(5, Math.round(STILLNESS_WINDOW_MS * dataPointsPerSecond / 1000));
+const REPLAY_TICK_MS = 16;
+const RECORDING_CHUNK_SIZE = 1000;
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const RECONNECT_MAX_ATTEMPTS = 8;
+const DEVICE_COMMAND_TIMEOUT_MS = 3000;
+const DEVICE_CALIBRATION_TIMEOUT_MS = 8000;
+const SERIAL_BAUD_RATE = 115200;
+const SERIAL_MAX_LINE_BYTES = 1024;
+const IMPACT_PRE_TRIGGER_MS = 200;
+const IMPACT_POST_TRIGGER_MS = 500;
+const IMPACT_LIST_LIMIT = 50;
+const ALERT_LOG_LIMIT = 200;
+const ALERT_ESCALATION_CHECK_MS = 1000;
+const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const CHART_SUMMARY_INTERVAL_MS = 1000;
+const ANNOUNCE_DELAY_MS = 100;
+const NRS_TABLE_ROWS = 10;
+const KEYBOARD_PAN_PX = 50;
+const KEYBOARD_ZOOM_FACTOR = 1.2;
+
+/* Storage Keys (per-player keys are suffixed with ":<playerId>").
+   Impacts and recordings live in IndexedDB (storage.js); the history and
+   recording keys are only read to migrate data from older versions. */
+const LOCAL_STORAGE_KEY = 'neuroguard_impact_history';
+const NRS_STATE_KEY = 'neuroguard_nrs_state';
+const ROSTER_STORAGE_KEY = 'neuroguard_roster';
+const RECORDINGS_STORAGE_KEY = 'neuroguard_recordings';
+const PROFILES_STORAGE_KEY = 'neuroguard_profiles';
+const MOUNTING_STORAGE_KEY = 'neuroguard_mounting';
+const ALERT_PREFS_STORAGE_KEY = 'neuroguard_alert_prefs';
+const CHART_WINDOW_STORAGE_KEY = 'neuroguard_chart_window';
+const CONTRAST_STORAGE_KEY = 'neuroguard_high_contrast';
+
+/* Built-in Detection Profiles (custom profiles are stored in localStorage) */
+const BUILT_IN_PROFILES = [
+  {
+    id: 'default',
+    name: 'Default',
+    config: {},
+    riskThresholds: { moderate: 3, high: 6, severe: 8 },
+  },
+  {
+    id: 'football-helmet',
+    name: 'Football helmet',
+    config: { minLinearG: 2, minRotationalRadS2: 250, whiseThreshold: 0.12 },
+    riskThresholds: { moderate: 3, high: 6, severe: 8 },
+  },
+  {
+    id: 'soccer-headband',
+    name: 'Soccer headband',
+    config: { minLinearG: 1, minRotationalRadS2: 150, whiseThreshold: 0.08, deadTimeMs: 500 },
+    riskThresholds: { moderate: 3, high: 6, severe: 8 },
+  },
+  {
+    id: 'youth-conservative',
+    name: 'Youth (conservative)',
+    config: { minLinearG: 0.8, minRotationalRadS2: 120, whiseThreshold: 0.08 },
+    riskThresholds: { moderate: 2, high: 4, severe: 6 },
+    alertRules: { issThreshold: 1.5, clusterCount: 2 },
+  },
+];
+
+/* Settings panel fields: engine config keys and risk cut-offs */
+const PROFILE_FIELDS = [
+  { key: 'minLinearG', label: 'Min linear (g)', step: 0.1 },
+  { key: 'minRotationalRadS2', label: 'Min rotational (rad/s²)', step: 10 },
+  { key: 'whiseThreshold', label: 'WHISE threshold', step: 0.01 },
+  { key: 'deadTimeMs', label: 'Dead time (ms)', step: 10 },
+  { key: 'gyroMultiplier', label: 'Gyro multiplier', step: 0.1 },
+  { key: 'smoothingWindowSize', label: 'Smoothing window (samples)', step: 1, min: 1 },
+  { key: 'sampleRateHz', label: 'Nominal sample rate (Hz)', step: 1, min: 1 },
+  { key: 'maxSampleGapMs', label: 'Max sample gap (ms)', step: 10 },
+  { key: 'fusionKp', label: 'Orientation filter gain', step: 0.1, min: 0 },
+  { key: 'fusionAccelGate', label: 'Orientation accel gate (share of 1 g)', step: 0.01, min: 0 },
+  { key: 'severityMetric', label: 'NRS severity input', type: 'select', options: Object.keys(ScoringEngine.SEVERITY_METRICS) },
+  { key: 'autoZeroEnabled', label: 'Auto-zero enabled', type: 'checkbox' },
+  { key: 'stillnessWindowMs', label: 'Stillness window (ms)', step: 10 },
+  { key: 'autoZeroHoldMs', label: 'Auto-zero hold (ms)', step: 10 },
+  { key: 'autoZeroCooldownMs', label: 'Auto-zero cooldown (ms)', step: 10 },
+  { key: 'autoZeroMinUptimeMs', label: 'Auto-zero min uptime (ms)', step: 10 },
+  { key: 'impactSuppressionMs', label: 'Impact suppression (ms)', step: 10 },
+  { key: 'accelStdThresh', label: 'Accel stillness std', step: 0.01 },
+  { key: 'omegaStdThresh', label: 'Gyro stillness std', step: 0.01 },
+];
+/* Headband settings changeable over the command channel (values as the firmware expects them) */
+const DEVICE_SETTING_FIELDS = [
+  { key: 'rate', command: 'RATE', label: 'Sample rate', unit: 'Hz', options: [25, 50, 100, 200] },
+  { key: 'accelRange', command: 'ARANGE', label: 'Accel range', unit: '± g', options: [2, 4, 8, 16] },
+  { key: 'gyroRange', command: 'GRANGE', label: 'Gyro range', unit: '± °/s', options: [250, 500, 1000, 2000] },
+  { key: 'dlpf', command: 'DLPF', label: 'Low-pass filter', unit: 'Hz', options: [260, 184, 94, 44, 21, 10, 5] },
+];
+/* Impact export columns (player_name lets imports match players across devices) */
+const IMPACT_EXPORT_FIELDS = ['time', 'a_peak', 'alpha_peak', 'iss', 'peak_g', 'peak_alpha', 'peak_omega', 'hic15', 'hic36', 'bric', 'nrs', 'awe', 'cli', 'location', 'plane', 'player', 'player_name', 'profile'];
+/* Hit map labels for ScoringEngine.IMPACT_LOCATIONS and ROTATION_PLANES */
+const LOCATION_LABELS = { front: 'Front', back: 'Back', left: 'Left side', right: 'Right side', top: 'Top', bottom: 'Underneath' };
+const PLANE_LABELS = { sagittal: 'Sagittal', coronal: 'Coronal', axial: 'Axial' };
+const RECORDING_EXPORT_FIELDS = ['time', 'headband', 'event', 'ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+/* Live chart series: Okabe–Ito colours that stay distinct with colour-vision deficiencies, and a dash and legend shape each */
+const AXIS_SERIES_STYLES = [
+  { axis: 'X', color: 'rgb(213, 94, 0)', dash: [], pointStyle: 'circle' },
+  { axis: 'Y', color: 'rgb(86, 180, 233)', dash: [8, 4], pointStyle: 'rect' },
+  { axis: 'Z', color: 'rgb(240, 228, 66)', dash: [2, 3], pointStyle: 'triangle' },
+];
+
+/* Line colours for per-player analytics series */
+const ANALYTICS_COLORS = ['rgb(59, 130, 246)', 'rgb(239, 68, 68)', 'rgb(16, 185, 129)', 'rgb(250, 204, 21)', 'rgb(168, 85, 247)', 'rgb(236, 72, 153)', 'rgb(20, 184, 166)', 'rgb(249, 115, 22)'];
+
+const RISK_THRESHOLD_FIELDS = [
+  { key: 'moderate', label: 'Moderate from NRS' },
+  { key: 'high', label: 'High from NRS' },
+  { key: 'severe', label: 'Severe from NRS' },
+];
+/* Alert rule fields (AlertRules.DEFAULT_RULES keys); an alert count of 0 turns the cluster rule off */
+const ALERT_RULE_FIELDS = [
+  { key: 'issThreshold', label: 'Alert at impact ISS', step: 0.1, min: 0 },
+  { key: 'minLevel', label: 'Alert on NRS rising to', type: 'select', options: AlertRules.LEVELS.slice(1) },
+  { key: 'clusterCount', label: 'Alert at impacts (0 = off)', step: 1, min: 0 },
+  { key: 'clusterMinutes', label: '...within minutes', step: 1, min: 1 },
+  { key: 'escalateAfterSec', label: 'Escalate unacknowledged after (s)', step: 5, min: 5 },
+];
 
 /* --------------------- STATE --------------------- */
 let lastDomFlush = 0;
 let lastFrame = 0;
-let lastImpactTime = 0;
 let lastNRSUpdate = 0;
-let lastGyro = 0;
-let connectedAt = 0;
-let lastAutoZeroTime = 0;
-let stillStart = 0;
-let impactDetectionDisabled = true;
-let isConnected = false;
 let isPaused = false;
-let latestSensorData = null;
-let currentNRS = 0.0;
-let currentAWE = 0.0;
-let cli = 0.0;
-let latestISS = 0.0;
+let activePlayerId = null;
+let focusedHeadbandId = null;
+let headbandCounter = 0;
+let replayRun = 0;
+let serialPortCounter = 0;
+let activeProfileId = 'default';
+let deviceModalHeadbandId = null;
+let detailImpact = null;
+let shownProtocolCase = null;
+const sessionStartedAt = Date.now();
 let nrsUpdateInterval;
 let fullscreenChart = null;
 let currentFullscreenType = null;
-let fullscreenUpdateInterval = null;
+let fullscreenFollowing = true;
+let fullscreenReturnFocus = null;
+let chartSummaryInterval;
+let pendingAnnouncements = [];
 
 const latestDisplay = { a: {}, g: {} };
-const impactHistory = [];
-const accelHistory = { x: [], y: [], z: [] };
-const gyroHistory = { x: [], y: [], z: [] };
-const stillBuf = { accel: { x: [], y: [], z: [] }, gyro: { x: [], y: [], z: [] } };
-const offsets = { accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } };
+const roster = [];
+const playerStates = new Map();
+const headbands = new Map();
+const recordings = [];
+const customProfiles = [];
+const protocolCases = new Map();
+const sessions = [];
+const symptomBaselines = new Map();
+const activeAlerts = [];
+const alertLog = [];
+const alertPrefs = { sound: true, vibrate: true, notify: true };
+const alertWrites = new WeakMap();
+const announcedRiskLevels = new Map();
+let analyticsCharts = null;
+let waitingWorker = null;
+let alertAudio = null;
+const recorder = { active: null, buffer: [], seq: 0 };
+const replay = { recording: null, hb: null, samples: [], markers: [], index: 0, markerIndex: 0, clock: 0, speed: 1, playing: false, timer: null, lastTick: 0, impacts: 0 };
+const pipeline = createPipelineClient();
+
+/* Risk Level Labels */
+const RISK_LABELS = { low: 'Low Risk', moderate: 'Moderate', high: 'High - Evaluate', severe: 'Severe - Stop' };
+/* Risk levels at which an impact opens a concussion protocol case */
+const PROTOCOL_TRIGGER_LEVELS = ['high', 'severe'];
 
 /* BLE Configuration */
 const SERVICE_UUID = "12345678-1234-1234-1234-123456789abc";
@@ -72,65 +233,105 @@ const nrsScoreEl = document.getElementById('nrs-score');
 const nrsLevelEl = document.getElementById('nrs-level');
 const aweScoreEl = document.getElementById('awe-score');
 const cliScoreEl = document.getElementById('cli-score');
-
-let bleDevice;
-let bleCharacteristic;
-
-/* Chart Buffers Map */
-const chartBuffers = new Map();
+const playerSelectEl = document.getElementById('playerSelect');
+const playerInfoEl = document.getElementById('playerInfo');
+const playerModal = document.getElementById('playerModal');
+const playerForm = document.getElementById('playerForm');
+const sidelineGridEl = document.getElementById('sidelineGrid');
+const recordBtn = document.getElementById('recordBtn');
+const recordingSelectEl = document.getElementById('recordingSelect');
+const replayTrackSelectEl = document.getElementById('replayTrackSelect');
+const replaySpeedSelectEl = document.getElementById('replaySpeedSelect');
+const replayPlayBtn = document.getElementById('replayPlayBtn');
+const replayStatusEl = document.getElementById('replayStatus');
+const settingsModal = document.getElementById('settingsModal');
+const profileSelectEl = document.getElementById('profileSelect');
+const profileFieldsEl = document.getElementById('profileFields');
+const dataModal = document.getElementById('dataModal');
+const deviceModal = document.getElementById('deviceModal');
+const deviceFieldsEl = document.getElementById('deviceFields');
+const deviceInfoEl = document.getElementById('deviceInfo');
+const deviceLogEl = document.getElementById('deviceLog');
+const simulatorForm = document.getElementById('simulatorForm');
+const simulatorModeSelect = document.getElementById('simulatorModeSelect');
+const serialBtn = document.getElementById('serialBtn');
+const exportForm = document.getElementById('exportForm');
+const impactListEl = document.getElementById('impactList');
+const impactModal = document.getElementById('impactModal');
+const impactSummaryEl = document.getElementById('impactSummary');
+const impactBreakdownEl = document.getElementById('impactBreakdown');
+const impactWaveformEl = document.getElementById('impactWaveform');
+const impactWaveformNoteEl = document.getElementById('impactWaveformNote');
+const mountingForm = document.getElementById('mountingForm');
+const hitMapModal = document.getElementById('hitMapModal');
+const attitudeReadoutEl = document.getElementById('attitudeReadout');
+const protocolModal = document.getElementById('protocolModal');
+const protocolCaseSelectEl = document.getElementById('protocolCaseSelect');
+const protocolTriggerEl = document.getElementById('protocolTrigger');
+const protocolStagesEl = document.getElementById('protocolStages');
+const protocolAssessmentsEl = document.getElementById('protocolAssessments');
+const removalForm = document.getElementById('removalForm');
+const stageForm = document.getElementById('stageForm');
+const symptomForm = document.getElementById('symptomForm');
+const symptomFieldsEl = document.getElementById('symptomFields');
+const impactProtocolBtn = document.getElementById('impactProtocolBtn');
+const sessionModal = document.getElementById('sessionModal');
+const sessionForm = document.getElementById('sessionForm');
+const sessionParticipantsEl = document.getElementById('sessionParticipants');
+const sessionSelectEl = document.getElementById('sessionSelect');
+const sessionSummaryEl = document.getElementById('sessionSummary');
+const sessionTimelineEl = document.getElementById('sessionTimeline');
+const analyticsModal = document.getElementById('analyticsModal');
+const analyticsForm = document.getElementById('analyticsForm');
+const alertStackEl = document.getElementById('alertStack');
+const alertCountEl = document.getElementById('alertCount');
+const alertModal = document.getElementById('alertModal');
+const alertLogEl = document.getElementById('alertLog');
+const alertPrefsForm = document.getElementById('alertPrefsForm');
+const chartWindowSelectEl = document.getElementById('chartWindowSelect');
+const fullscreenModal = document.getElementById('fullscreenModal');
+const fullscreenTitleEl = document.getElementById('fullscreenTitle');
+const fullscreenAxesEl = document.getElementById('fullscreenAxes');
+const fullscreenFollowEl = document.getElementById('fullscreenFollow');
+const fullscreenReadoutEl = document.getElementById('fullscreenReadout');
+const pauseButton = document.getElementById('pauseButton');
+const contrastBtn = document.getElementById('contrastBtn');
+const srAnnouncerEl = document.getElementById('srAnnouncer');
 
 /* --------------------- HELPER FUNCTIONS --------------------- */
 
-/**
- * Calculate the mean of an array.
- */
-function mean(arr) {
-  return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
-}
-
-/**
- * Calculate the standard deviation (sample) of an array.
- */
-function std(arr) {
-  if (arr.length < 2) return 0;
-  const m = mean(arr);
-  const v = arr.reduce((sum, val) => sum + (val - m) ** 2, 0) / (arr.length - 1);
-  return Math.sqrt(v);
-}
-
-/**
- * Smooth raw sensor data using a moving average.
- */
-function smoothData(rawData, historyBuffer) {
-  ['x', 'y', 'z'].forEach(axis => {
-    historyBuffer[axis].push(rawData[axis]);
-    if (historyBuffer[axis].length > SMOOTHING_WINDOW_SIZE) historyBuffer[axis].shift();
-  });
-  return { x: mean(historyBuffer.x), y: mean(historyBuffer.y), z: mean(historyBuffer.z) };
-}
-
 /**
  * Debounced UI update function that limits updates to DOM_FPS.
  */
-function updateUI(zeroedA, zeroedG) {
+function updateUI(zeroedA, zeroedG, attitude) {
   const now = performance.now();
   if (now - lastDomFlush >= (1000 / DOM_FPS)) {
     lastDomFlush = now;
+    attitudeReadoutEl.textContent = attitude ? formatAttitude(attitude) : '';
   }
 }
 
+/**
+ * Head attitude as shown above the live charts, e.g. "Pitch −12° · Roll 3° · Yaw 40°".
+ */
+function formatAttitude({ pitch, roll, yaw }) {
+  const deg = value => `${Math.round(value)}°`.replace('-', '−');
+  return `Pitch ${deg(pitch)} · Roll ${deg(roll)} · Yaw ${deg(yaw)}`;
+}
+
 /**
  * Update the connection button status.
  */
-function updateConnectionStatus(status) {
+function updateConnectionStatus(status, hb = null) {
+  const headbandId = hb ? hb.id : null;
   switch (status) {
     case 'connected':
-      addSessionMarker('connect');
+      addSessionMarker('connect', headbandId);
       showNotification("Connected", "connected");
       break;
     case 'disconnected':
     default:
-      addSessionMarker('disconnect');
+      addSessionMarker('disconnect', headbandId);
       showNotification("Disconnected", "disconnected");
       break;
   }
@@ -145,6 +346,7 @@ function showNotification(message, type) {
   const text = document.getElementById("notification-text");
 
   text.textContent = message;
+  announce(message);
 
   // Reset classes
   notification.className = "fixed top-4 right-4 px-4 py-3 rounded-lg shadow-lg text-white font-medium transition-all duration-300 z-50";
@@ -168,16 +370,41 @@ function showNotification(message, type) {
 }
 
 /**
- * Add a session marker to chart data for events like connection changes, pause/resume.
+ * Report a failed save. Running out of storage is shown to the user since
+ * new impacts would otherwise be silently lost.
+ */
+function reportStorageError(e, what) {
+  console.error(`Failed to save ${what}:`, e);
+  if (DataStore.isQuotaError(e)) {
+    showNotification(`Storage full: ${what} not saved. Export and delete old data.`, "disconnected");
+  }
+}
+
+/**
+ * Add a session marker for events like connection changes, pause/resume.
+ * The marker is kept in the active recording and drawn unless a replay owns the charts.
  */
-function addSessionMarker(type) {
+function addSessionMarker(type, headbandId = null) {
   const now = Date.now();
+  recordMarker(type, headbandId, now);
+  if (!replay.hb) drawSessionMarker(type, now, headbandId);
+}
+
+/**
+ * Draw a session marker as a gap in the chart data. Dropouts of the headband on
+ * screen are also shaded until it reconnects.
+ */
+function drawSessionMarker(type, timeMs, headbandId = null) {
+  const now = timeMs;
+  if (type === 'dropout' || type === 'reconnect') {
+    if (headbandId && headbandId !== focusedHeadbandId) return;
+    [accelChart, gyroChart].forEach(chart => {
+      if (type === 'dropout') chart.$dropouts.push({ start: now, end: null });
+      else if (chart.$dropouts.length) chart.$dropouts[chart.$dropouts.length - 1].end = now;
+    });
+  }
   const timeStr = new Date(now).toLocaleTimeString();
-  [accelChart, gyroChart].forEach(chart => {
-    chart.data.labels.push(timeStr);
-    chart.data.datasets.forEach(ds => ds.data.push(null));
-    chart.$times.push(now);
-  });
+  [accelChart, gyroChart].forEach(chart => LiveSeries.pushGap(chart.$series, now));
   if (type === 'pause' || type === 'resume') {
     nrsChart.data.labels.push(timeStr);
     nrsChart.data.datasets[0].data.push(null);
@@ -188,700 +415,4125 @@ function addSessionMarker(type) {
  * Toggle paused/resumed state.
  */
 function togglePause() {
-  if (!isConnected) return;
-  const icon = pauseButton.querySelector('.pause-icon');
-  const text = pauseButton.querySelector('.pause-text');
+  if (!headbands.size) return;
   if (isPaused) {
-    instantZeroSensors();
+    headbands.forEach(hb => pipelineControl(hb, 'resume'));
     isPaused = false;
-    pauseButton.className = 'pause-button pause-inactive';
-    icon.textContent = '⏸️';
-    text.textContent = 'Pause';
     addSessionMarker('resume');
   } else {
     isPaused = true;
-    pauseButton.className = 'pause-button pause-active';
-    icon.textContent = '▶️';
-    text.textContent = 'Resume';
+    headbands.forEach(hb => {
+      pipelineControl(hb, 'pause');
+      flushImpactCaptures(hb);
+    });
     addSessionMarker('pause');
   }
+  renderPauseButton();
+  announce(isPaused ? 'Paused: impacts are not detected' : 'Resumed');
 }
 
 /**
- * Zero sensor offsets based on current sensor data.
+ * Show whether the headbands are paused; the button is disabled without headbands.
  */
-function instantZeroSensors() {
-  if (latestSensorData && latestSensorData.sensor) {
-    const sd = latestSensorData.sensor;
-    offsets.accel = { ...sd.accel };
-    offsets.gyro = { ...sd.gyro };
-  }
+function renderPauseButton() {
+  pauseButton.disabled = !headbands.size;
+  pauseButton.className = `pause-button ${isPaused ? 'pause-active' : 'pause-inactive'}`;
+  pauseButton.querySelector('.pause-icon').textContent = isPaused ? '▶️' : '⏸️';
+  pauseButton.querySelector('.pause-text').textContent = isPaused ? 'Resume' : 'Pause';
 }
 
+/* --------------------- PLAYER ROSTER --------------------- */
 /**
- * Check whether sensor readings are "still" based on standard deviation.
+ * Get the scoring state of a player (defaults to the active player).
  */
-function sensorIsAccelStill(buf) {
-  if (buf.accel.x.length < STILL_WINDOW_N) return false;
-  return Math.max(std(buf.accel.x), std(buf.accel.y), std(buf.accel.z)) < ACCEL_STD_THRESH;
-}
-function sensorIsGyroStill(buf) {
-  if (buf.gyro.x.length < STILL_WINDOW_N) return false;
-  return Math.max(std(buf.gyro.x), std(buf.gyro.y), std(buf.gyro.z)) < OMEGA_STD_THRESH;
+function getPlayerState(playerId = activePlayerId) {
+  return playerStates.get(playerId);
 }
 
 /**
- * Apply auto-zero adjustments for the specified sensor type.
+ * Find a roster entry by id.
  */
-function applyAutoZeroForSensor(kind) {
-  if (kind === 'accel') {
-    offsets.accel = {
-      x: mean(stillBuf.accel.x),
-      y: mean(stillBuf.accel.y),
-      z: mean(stillBuf.accel.z)
-    };
-  } else if (kind === 'gyro') {
-    offsets.gyro = {
-      x: mean(stillBuf.gyro.x),
-      y: mean(stillBuf.gyro.y),
-      z: mean(stillBuf.gyro.z)
-    };
-  }
+function getPlayer(playerId = activePlayerId) {
+  return roster.find(p => p.id === playerId) || null;
 }
 
 /**
- * Check auto-zero conditions and update offsets if conditions are met.
+ * Short display label for a player, e.g. "#12 Alex Smith".
  */
-function checkAutoZero() {
-  if (!AUTO_ZERO_ENABLED || isPaused) return;
-  const now = Date.now();
-  if (connectedAt && now - connectedAt < AUTO_ZERO_MIN_UPTIME_MS) return;
-  if (now - lastImpactTime < IMPACT_SUPPRESSION_MS) return;
-  const accelStill = sensorIsAccelStill(stillBuf);
-  const gyroStill = sensorIsGyroStill(stillBuf);
-  if (!(accelStill || gyroStill)) {
-    stillStart = 0;
-    return;
-  }
-  if (!stillStart) stillStart = now;
-  if (now - stillStart < STILLNESS_WINDOW_MS + AUTO_ZERO_HOLD_MS) return;
-  if (now - lastAutoZeroTime < AUTO_ZERO_COOLDOWN_MS) return;
-  if (accelStill) applyAutoZeroForSensor('accel');
-  if (gyroStill) applyAutoZeroForSensor('gyro');
-  lastAutoZeroTime = now;
-  stillStart = 0;
+function playerLabel(player) {
+  if (!player) return 'No player';
+  return player.number ? `#${player.number} ${player.name}` : player.name;
 }
 
 /**
- * Save impact history and state to localStorage.
+ * Save the roster and active selection to localStorage.
  */
-function saveImpactHistory() {
+function saveRoster() {
   try {
-    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(impactHistory));
-    localStorage.setItem(NRS_STATE_KEY, JSON.stringify({
-      lastUpdate: Date.now(),
-      currentNRS,
-      currentAWE,
-      cli,
-      latestISS
-    }));
+    localStorage.setItem(ROSTER_STORAGE_KEY, JSON.stringify({ players: roster, activePlayerId }));
   } catch (e) {
-    console.error("Failed to save history:", e);
+    reportStorageError(e, "roster");
   }
 }
 
 /**
- * Load impact history and state from localStorage.
+ * Add a player profile to the roster.
  */
-function loadImpactHistory() {
-  try {
-    const stored = localStorage.getItem(LOCAL_STORAGE_KEY);
-    const nrsState = localStorage.getItem(NRS_STATE_KEY);
-    if (stored) {
-      impactHistory.push(...JSON.parse(stored));
-      if (nrsState) {
-        const state = JSON.parse(nrsState);
-        cli = state.cli || 0;
-        latestISS = state.latestISS || 0;
-      }
-      rebuildNRSChart();
-      recalculateRiskScores();
-    }
-  } catch (e) {
-    console.error("Failed to load history:", e);
+function addPlayer({ name, number = '', position = '' }) {
+  const player = {
+    id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: name.trim() || `Player ${roster.length + 1}`,
+    number: String(number).trim(),
+    position: position.trim(),
+  };
+  roster.push(player);
+  playerStates.set(player.id, ScoringEngine.createScoreState(activeSeverityMetric()));
+  saveRoster();
+  return player;
+}
+
+/**
+ * Remove a player and their stored history. The last player cannot be removed.
+ */
+function removePlayer(playerId) {
+  if (roster.length <= 1) return false;
+  const idx = roster.findIndex(p => p.id === playerId);
+  if (idx === -1) return false;
+  roster.splice(idx, 1);
+  playerStates.delete(playerId);
+  protocolCases.delete(playerId);
+  symptomBaselines.delete(playerId);
+  DataStore.deleteImpacts(playerId).catch(e => console.error("Failed to delete history:", e));
+  DataStore.deleteProtocols(playerId).catch(e => console.error("Failed to delete protocol cases:", e));
+  headbands.forEach(hb => {
+    if (hb.playerId === playerId) hb.playerId = roster[0].id;
+  });
+  if (activePlayerId === playerId) selectPlayer(roster[0].id);
+  else {
+    saveRoster();
+    renderRoster();
   }
+  return true;
 }
 
 /**
- * Clear impact history and reset state.
+ * Switch the dashboard to a player. New impacts are tagged with this player.
  */
-function clearImpactHistory() {
-  impactHistory.length = 0;
-  currentNRS = 0.0;
-  currentAWE = 0.0;
-  latestISS = 0.0;
-  cli = 0.0;
-  localStorage.removeItem(LOCAL_STORAGE_KEY);
-  localStorage.removeItem(NRS_STATE_KEY);
+function selectPlayer(playerId) {
+  if (!playerStates.has(playerId)) return;
+  activePlayerId = playerId;
+  saveRoster();
+  renderRoster();
   rebuildNRSChart();
-  resetRiskScores();
-  showCustomAlert("Impact history cleared.");
+  renderRiskScores();
+  renderImpactList();
 }
 
 /**
- * Rebuild the NRS chart from impact history data.
+ * Render the player selector and the active player's profile line.
  */
-function rebuildNRSChart() {
-  nrsChart.data.labels = [];
-  nrsChart.data.datasets[0].data = [];
-  impactHistory.forEach(impact => {
-    if (typeof impact.nrs === 'number') {
-      nrsChart.data.labels.push(new Date(impact.time).toLocaleTimeString());
-      nrsChart.data.datasets[0].data.push(impact.nrs);
-    }
+function renderRoster() {
+  playerSelectEl.innerHTML = '';
+  roster.forEach(player => {
+    const option = document.createElement('option');
+    option.value = player.id;
+    option.textContent = playerLabel(player);
+    option.selected = player.id === activePlayerId;
+    playerSelectEl.appendChild(option);
   });
-  if (nrsChart.data.labels.length > NRS_VISIBLE_POINTS) {
-    const e = nrsChart.data.labels.length - NRS_VISIBLE_POINTS;
-    nrsChart.data.labels.splice(0, e);
-    nrsChart.data.datasets[0].data.splice(0, e);
-  }
-  nrsChart.update('none');
+  const player = getPlayer();
+  const protocolCase = player && openProtocolCase(player.id);
+  playerInfoEl.textContent = player
+    ? [playerLabel(player), player.position, protocolCase && `Protocol: ${ConcussionProtocol.caseStatus(protocolCase)}`].filter(Boolean).join(' · ')
+    : '';
+  renderSidelineGrid();
 }
 
 /**
- * Recalculate risk scores from the impact history.
+ * Load the roster and every player's history. Creates a default player on first run
+ * and moves any pre-roster (single-athlete) history onto it.
  */
-function recalculateRiskScores() {
-  if (!impactHistory.length) {
-    resetRiskScores();
-    return;
+async function loadRoster() {
+  try {
+    const stored = localStorage.getItem(ROSTER_STORAGE_KEY);
+    if (stored) {
+      const data = JSON.parse(stored);
+      roster.push(...(data.players || []));
+      activePlayerId = data.activePlayerId;
+    }
+  } catch (e) {
+    console.error("Failed to load roster:", e);
   }
-  const now = Date.now();
-  const oneDay = 86400000;
-  const recentImpacts = impactHistory.filter(imp => now - imp.time < 7 * oneDay);
-  let awe = 0;
-  recentImpacts.forEach(imp => {
-    const daysAgo = (now - imp.time) / oneDay;
-    awe += imp.iss * Math.exp(-0.4 * daysAgo);
-  });
-  currentAWE = awe;
-  if (recentImpacts.length > 0) {
-    const latestImpact = recentImpacts[recentImpacts.length - 1];
-    latestISS = latestImpact.iss;
-    const nrs = (0.35 * impact.iss + 0.35 * awe + 0.2 * cli) * 3;
-    currentNRS = Math.round(nrs * 10) / 10;
-    nrsScoreEl.textContent = currentNRS.toFixed(1);
-    aweScoreEl.textContent = awe.toFixed(2);
-    cliScoreEl.textContent = cli.toFixed(2);
-    updateRiskLevel(currentNRS);
-    latestImpact.nrs = currentNRS;
-    latestImpact.awe = awe;
-    latestImpact.cli = cli;
-  } else {
-    resetRiskScores();
+  roster.forEach(player => playerStates.set(player.id, ScoringEngine.createScoreState(activeSeverityMetric())));
+  if (!roster.length) {
+    const player = addPlayer({ name: 'Player 1' });
+    const legacyHistory = localStorage.getItem(LOCAL_STORAGE_KEY);
+    const legacyState = localStorage.getItem(NRS_STATE_KEY);
+    if (legacyHistory) localStorage.setItem(`${LOCAL_STORAGE_KEY}:${player.id}`, legacyHistory);
+    if (legacyState) localStorage.setItem(`${NRS_STATE_KEY}:${player.id}`, legacyState);
+    localStorage.removeItem(LOCAL_STORAGE_KEY);
+    localStorage.removeItem(NRS_STATE_KEY);
   }
+  if (!playerStates.has(activePlayerId)) activePlayerId = roster[0].id;
+  await Promise.all(roster.flatMap(player => [loadImpactHistory(player.id), loadProtocols(player.id)]));
+  selectPlayer(activePlayerId);
 }
 
 /**
- * Update risk level UI based on NRS score.
+ * Open the add-player form.
  */
-function updateRiskLevel(nrs) {
-  if (nrs < 3) {
-    nrsLevelEl.className = 'risk-level risk-low';
-    nrsLevelEl.textContent = 'Low Risk';
-  } else if (nrs < 6) {
-    nrsLevelEl.className = 'risk-level risk-moderate';
-    nrsLevelEl.textContent = 'Moderate';
-  } else if (nrs < 8) {
-    nrsLevelEl.className = 'risk-level risk-high';
-    nrsLevelEl.textContent = 'High - Evaluate';
-  } else {
-    nrsLevelEl.className = 'risk-level risk-severe';
-    nrsLevelEl.textContent = 'Severe - Stop';
-  }
+function openPlayerModal() {
+  playerForm.reset();
+  playerModal.classList.remove('hidden');
+  playerForm.elements.name.focus();
 }
 
 /**
- * Reset risk scores on the UI.
+ * Close the add-player form.
  */
-function resetRiskScores() {
-  nrsScoreEl.textContent = "0.0";
-  nrsLevelEl.className = 'risk-level risk-low';
-  nrsLevelEl.textContent = 'Low Risk';
-  aweScoreEl.textContent = "0.0";
-  cliScoreEl.textContent = "0.0";
-  currentNRS = 0.0;
-  currentAWE = 0.0;
-  latestISS = 0.0;
+function closePlayerModal() {
+  playerModal.classList.add('hidden');
 }
 
-/* --------------------- CHART INITIALIZATION --------------------- */
-// Initialize NRS Chart
-const nrsChart = new Chart(document.getElementById('nrsChartCanvas').getContext('2d'), {
-  type: 'line',
-  data: {
-    labels: [],
-    datasets: [{
-      label: 'NRS',
-      data: [],
-      borderColor: 'rgba(255, 99, 132, 1)',
-      backgroundColor: 'rgba(255, 99, 132, 0.2)',
-      borderWidth: 2,
-      fill: true,
-      tension: 0.2,
-      pointRadius: 0,
-      spanGaps: false,
-    }],
-  },
-  options: {
-    responsive: true,
-    maintainAspectRatio: false,
-    animation: { duration: 0 },
-    plugins: {
-      legend: {
-        labels: {
-          font: { family: "IBM Plex Sans", size: 14, weight: "500" },
-          color: "#ffffff"
-        }
-      },
-      tooltip: {
-        mode: 'index',
-        intersect: false,
-        titleFont: { family: "IBM Plex Sans", size: 14, weight: "500" },
-        bodyFont: { family: "IBM Plex Sans", size: 14, weight: "400" },
-        titleColor: "#ffffff",
-        bodyColor: "#ffffff",
-        backgroundColor: "#1d2126"
-      },
-      zoom: {
-        pan: { enabled: true, mode: 'xy', speed: 0.0025 },
-        zoom: { wheel: { enabled: true, speed: 0.005 }, pinch: { enabled: true }, mode: 'xy' }
-      }
-    },
-    scales: {
-      x: {
-        title: { display: true, text: 'Time', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
-        ticks: { color: '#e0e0e0', maxTicksLimit: 8, autoSkip: true, font: { family: "IBM Plex Sans", size: 14, weight: "400" } },
-        grid: { color: 'rgba(255,255,255,0.1)' },
-      },
-      y: {
-        min: 0,
-        max: 10,
-        title: { display: true, text: 'NRS', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
-        ticks: { color: '#e0e0e0', stepSize: 1, font: { family: "IBM Plex Sans", size: 14, weight: "400" } },
-        grid: { color: 'rgba(255,255,255,0.1)' },
-      }
-    },
-    elements: { point: { radius: 0 } }
-  },
-});
-
+/* --------------------- DETECTION PROFILES --------------------- */
 /**
- * Helper function to create accelerometer and gyroscope charts.
+ * All selectable profiles: built-ins first, then custom ones.
  */
-function createChart(ctx, labelPrefix, yAxisLabel) {
-  const chart = new Chart(ctx, {
-    type: 'line',
-    data: {
-      labels: [],
-      datasets: [
-        {
-          label: `${labelPrefix} X`,
-          borderColor: 'rgb(239, 68, 68)',
-          data: [],
-          tension: 0.1,
-          pointRadius: 0,
-        },
-        {
-          label: `${labelPrefix} Y`,
-          borderColor: 'rgb(59, 130, 246)',
-          data: [],
-          tension: 0.1,
-          pointRadius: 0,
-        },
-        {
-          label: `${labelPrefix} Z`,
-          borderColor: 'rgb(16, 185, 129)',
-          data: [],
-          tension: 0.1,
-          pointRadius: 0,
-        },
-      ],
-    },
-    options: {
-      responsive: true,
-      maintainAspectRatio: false,
-      animation: false,
-      interaction: { mode: 'index', intersect: false },
-      plugins: {
-        legend: {
-          labels: { 
-            usePointStyle: true, 
-            boxWidth: 8, 
-            padding: 16, 
-            color: '#e0e0e0',
-            font: { family: "IBM Plex Sans", size: 12, weight: "400" }
-          },
-        },
-        tooltip: {
-          callbacks: {
-            title: (items) => {
-              const t = items[0].chart.$times?.[items[0].dataIndex];
-              return t ? `Time: ${new Date(t).toLocaleTimeString()}` : '';
-            },
-          },
-          titleFont: { family: "IBM Plex Sans", size: 14, weight: "500" },
-          bodyFont: { family: "IBM Plex Sans", size: 14, weight: "400" },
-          titleColor: "#ffffff",
-          bodyColor: "#ffffff",
-          backgroundColor: "#1d2126"
-        },
-        zoom: {
-          pan: { enabled: true, mode: 'x', speed: 0.0025 },
-          zoom: { wheel: { enabled: true, speed: 0.005 }, pinch: { enabled: true }, mode: 'y' }
-        },
-      },
-      scales: {
-        x: {
-          title: { display: true, text: 'Time', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
-          ticks: { display: false, font: { family: "IBM Plex Sans", size: 12 } },
-          grid: { display: false },
-        },
-        y: {
-          title: { display: true, text: yAxisLabel, color: '#a0e0e0', font: { family: "IBM Plex Sans", size: 14 } },
-          min: -MIN_Y_RANGE,
-          max: MIN_Y_RANGE,
-          ticks: {
-            stepSize: 1,
-            color: '#e0e0e0',
-            font: { family: "IBM Plex Sans", size: 14 },
-            callback: v => parseFloat(v.toFixed(1)),
-          },
-          grid: {
-            color: ctx => (ctx.tick.value === 0 ? 'rgba(255,255,255,0.7)' : 'rgba(255,255,255,0.1)'),
-            lineWidth: ctx => (ctx.tick.value === 0 ? 2 : 1),
-          },
-        },
-      },
-      elements: { point: { radius: 0 } },
-    },
-  });
-  chart.$times = [];
-  return chart;
+function allProfiles() {
+  return [...BUILT_IN_PROFILES, ...customProfiles];
 }
 
-const accelChart = createChart(document.getElementById('accelChartCanvas').getContext('2d'), 'Accel', 'm/s²');
-const gyroChart = createChart(document.getElementById('gyroChartCanvas').getContext('2d'), 'Gyro', 'rad/s');
-chartBuffers.set(accelChart, { x: [], y: [], z: [], labels: [], times: [] });
-chartBuffers.set(gyroChart, { x: [], y: [], z: [], labels: [], times: [] });
+/**
+ * Find a profile by id.
+ */
+function getProfile(profileId) {
+  return allProfiles().find(p => p.id === profileId) || null;
+}
 
-/* --------------------- CHART INTERACTIONS & FULLSCREEN --------------------- */
 /**
- * Consolidated function to add mouse and touch event listeners,
- * reducing duplicate code.
+ * The profile currently applied to detection and risk levels.
  */
-function addInteractionListeners(canvas, chart, type) {
-  let holdTimeout, isHolding = false, isDragging = false;
-  const startHandler = () => {
-    isHolding = false;
-    isDragging = false;
-    holdTimeout = setTimeout(() => {
-      if (!isDragging) {
-        isHolding = true;
-        chart.resetZoom();
-        canvas.style.opacity = '0.7';
-        setTimeout(() => { canvas.style.opacity = '1'; }, 200);
-      }
-    }, 500);
-  };
-  const moveHandler = () => {
-    if (!isHolding) {
-      isDragging = true;
-      clearTimeout(holdTimeout);
-    }
-  };
-  const endHandler = () => {
-    clearTimeout(holdTimeout);
-    isDragging = false;
-  };
-  canvas.addEventListener('mousedown', startHandler);
-  canvas.addEventListener('mousemove', moveHandler);
-  canvas.addEventListener('mouseup', endHandler);
-  canvas.addEventListener('mouseleave', endHandler);
-  canvas.addEventListener('touchstart', startHandler);
-  canvas.addEventListener('touchend', endHandler);
-  canvas.addEventListener('dblclick', (e) => {
-    e.preventDefault();
-    openFullscreen(type);
-  });
-  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+function getActiveProfile() {
+  return getProfile(activeProfileId) || BUILT_IN_PROFILES[0];
 }
 
-function setupChartInteractions() {
-  const charts = [
-    { canvas: document.getElementById('nrsChartCanvas'), chart: nrsChart, type: 'nrs' },
-    { canvas: document.getElementById('accelChartCanvas'), chart: accelChart, type: 'accel' },
-    { canvas: document.getElementById('gyroChartCanvas'), chart: gyroChart, type: 'gyro' },
-  ];
-  charts.forEach(item => addInteractionListeners(item.canvas, item.chart, item.type));
+/**
+ * Save custom profiles and the active selection to localStorage.
+ */
+function saveProfiles() {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({ profiles: customProfiles, activeProfileId }));
+  } catch (e) {
+    reportStorageError(e, "profiles");
+  }
 }
 
 /**
- * Schedule a chart data point.
+ * Load custom profiles and the active selection from localStorage.
  */
-function scheduleChartPoint(chart, timeMs, x, y, z) {
-  const buf = chartBuffers.get(chart);
-  buf.x.push(x);
-  buf.y.push(y);
-  buf.z.push(z);
-  buf.labels.push('');
-  buf.times.push(timeMs);
-}
-
-/**
- * Commit buffered chart data. Batches updates to avoid redrawing on every point.
- */
-function commitChart(chart, buf) {
-  if (!buf.x.length) return;
-  const ds = chart.data.datasets;
-  ds[0].data.push(...buf.x);
-  ds[1].data.push(...buf.y);
-  ds[2].data.push(...buf.z);
-  chart.data.labels.push(...buf.labels);
-  chart.$times.push(...buf.times);
-  const over = chart.data.labels.length - VISIBLE_DATA_POINTS;
-  if (over > 0) {
-    ds.forEach(dataset => dataset.data.splice(0, over));
-    chart.data.labels.splice(0, over);
-    chart.$times.splice(0, over);
-  }
-  let maxAbs = 0;
-  ds[0].data.forEach((val, i) => {
-    if (val !== null) {
-      maxAbs = Math.max(maxAbs, Math.abs(val), Math.abs(ds[1].data[i]), Math.abs(ds[2].data[i]));
+function loadProfiles() {
+  try {
+    const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+    if (stored) {
+      const data = JSON.parse(stored);
+      customProfiles.push(...(data.profiles || []).map(normalizeProfile));
+      if (getProfile(data.activeProfileId)) activeProfileId = data.activeProfileId;
     }
-  });
-  const desired = Math.max(maxAbs * (1 + Y_BUFFER_PERCENTAGE), MIN_Y_RANGE);
-  const roundedDesired = Math.ceil(desired * 10) / 10;
-  if (Math.abs(chart.options.scales.y.max - roundedDesired) > 0.1) {
-    chart.options.scales.y.min = -roundedDesired;
-    chart.options.scales.y.max = roundedDesired;
+  } catch (e) {
+    console.error("Failed to load profiles:", e);
   }
-  chart.update('none');
-  buf.x.length = buf.y.length = buf.z.length = buf.labels.length = buf.times.length = 0;
+  applyProfile(activeProfileId);
 }
 
-function rafCommit(t) {
-  if (t - lastFrame >= (1000 / RENDER_FPS)) {
-    chartBuffers.forEach((buf, chart) => commitChart(chart, buf));
-    lastFrame = t;
+/**
+ * Build a clean profile from untrusted data (storage or an imported file).
+ * Unknown keys are dropped and missing values fall back to the engine defaults.
+ */
+function normalizeProfile(data) {
+  const config = {};
+  PROFILE_FIELDS.forEach(({ key, type, options }) => {
+    const value = data.config ? data.config[key] : undefined;
+    if (value === undefined) return;
+    if (type === 'checkbox') config[key] = Boolean(value);
+    else if (type === 'select') {
+      if (options.includes(value)) config[key] = value;
+    } else if (Number.isFinite(Number(value))) config[key] = Number(value);
+  });
+  const thresholds = { ...ScoringEngine.RISK_THRESHOLDS };
+  RISK_THRESHOLD_FIELDS.forEach(({ key }) => {
+    const value = data.riskThresholds ? Number(data.riskThresholds[key]) : NaN;
+    if (Number.isFinite(value)) thresholds[key] = value;
+  });
+  if (!(thresholds.moderate < thresholds.high && thresholds.high < thresholds.severe)) {
+    throw new Error("Risk cut-offs must increase from moderate to severe.");
   }
-  requestAnimationFrame(rafCommit);
+  const alertRules = {};
+  ALERT_RULE_FIELDS.forEach(({ key, type, options }) => {
+    const value = data.alertRules ? data.alertRules[key] : undefined;
+    if (value === undefined) return;
+    if (type === 'select') {
+      if (options.includes(value)) alertRules[key] = value;
+    } else if (Number.isFinite(Number(value)) && Number(value) >= 0) alertRules[key] = Number(value);
+  });
+  return {
+    id: typeof data.id === 'string' && data.id.startsWith('custom-') ? data.id : `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    name: String(data.name || 'Custom profile').trim(),
+    config,
+    riskThresholds: thresholds,
+    alertRules,
+  };
 }
-requestAnimationFrame(rafCommit);
 
-/* --------------------- SENSOR & IMPACT HANDLING --------------------- */
 /**
- * Push sensor values into a stillness buffer for auto-zero detection.
+ * Apply a profile live: every detector (including a running replay) and the risk levels.
  */
-function pushStillnessSample(accel, gyro) {
-  ['x', 'y', 'z'].forEach(axis => {
-    stillBuf.accel[axis].push(accel[axis]);
-    if (stillBuf.accel[axis].length > STILL_WINDOW_N) stillBuf.accel[axis].shift();
-    stillBuf.gyro[axis].push(gyro[axis] * GYRO_MULTIPLIER);
-    if (stillBuf.gyro[axis].length > STILL_WINDOW_N) stillBuf.gyro[axis].shift();
+function applyProfile(profileId) {
+  const profile = getProfile(profileId);
+  if (!profile) return;
+  activeProfileId = profile.id;
+  headbands.forEach(hb => pipeline.post({ type: 'configure', id: hb.id, config: detectorConfig(hb) }));
+  if (replay.hb) pipeline.post({ type: 'configure', id: replay.hb.id, config: detectorConfig(replay.hb) });
+  const metric = activeSeverityMetric();
+  playerStates.forEach((state, playerId) => {
+    if (state.severityMetric === metric) return;
+    ScoringEngine.setSeverityMetric(state, metric, Date.now());
+    saveImpactHistory(playerId);
+    if (playerId === activePlayerId) {
+      rebuildNRSChart();
+      renderImpactList();
+    }
   });
+  if (detailImpact) renderImpactSummary(detailImpact);
+  saveProfiles();
+  renderRiskScores();
+  updateSidelineTiles();
+  renderProfileSettings();
 }
 
 /**
- * Detect an impact event based on sensor thresholds.
+ * The impact metric the active profile scores NRS from.
  */
-function detectImpact(a, g) {
-  if (impactDetectionDisabled || isPaused) return;
+function activeSeverityMetric() {
+  return { ...ScoringEngine.DEFAULT_CONFIG, ...getActiveProfile().config }.severityMetric;
+}
+
+/**
+ * Add or replace a custom profile.
+ */
+function upsertCustomProfile(profile) {
+  const idx = customProfiles.findIndex(p => p.id === profile.id);
+  if (idx === -1) customProfiles.push(profile);
+  else customProfiles[idx] = profile;
+  saveProfiles();
+  return profile;
+}
+
+/**
+ * Delete a custom profile; falls back to the default profile if it was active.
+ */
+function deleteCustomProfile(profileId) {
+  const idx = customProfiles.findIndex(p => p.id === profileId);
+  if (idx === -1) return;
+  customProfiles.splice(idx, 1);
+  applyProfile(activeProfileId === profileId ? BUILT_IN_PROFILES[0].id : activeProfileId);
+}
+
+/**
+ * Read the settings form into a profile-shaped object.
+ */
+function readProfileForm() {
+  const config = {};
+  PROFILE_FIELDS.forEach(({ key, type }) => {
+    const input = profileFieldsEl.querySelector(`[name="${key}"]`);
+    if (type === 'checkbox') config[key] = input.checked;
+    else config[key] = type === 'select' ? input.value : Number(input.value);
+  });
+  const riskThresholds = {};
+  RISK_THRESHOLD_FIELDS.forEach(({ key }) => {
+    riskThresholds[key] = Number(profileFieldsEl.querySelector(`[name="risk-${key}"]`).value);
+  });
+  const alertRules = {};
+  ALERT_RULE_FIELDS.forEach(({ key, type }) => {
+    const input = profileFieldsEl.querySelector(`[name="alert-${key}"]`);
+    alertRules[key] = type === 'select' ? input.value : Number(input.value);
+  });
+  return { config, riskThresholds, alertRules };
+}
+
+/**
+ * Render the profile selector and the active profile's values.
+ */
+function renderProfileSettings() {
+  const profile = getActiveProfile();
+  const config = { ...ScoringEngine.DEFAULT_CONFIG, ...profile.config };
+  profileSelectEl.innerHTML = '';
+  allProfiles().forEach(p => {
+    const option = document.createElement('option');
+    option.value = p.id;
+    option.textContent = BUILT_IN_PROFILES.includes(p) ? `${p.name} (built-in)` : p.name;
+    option.selected = p.id === profile.id;
+    profileSelectEl.appendChild(option);
+  });
+
+  profileFieldsEl.innerHTML = '';
+  const inputClass = 'mt-1 w-full px-2 py-1 rounded-lg bg-[#1d2126] text-gray-200 border border-gray-700';
+  PROFILE_FIELDS.forEach(({ key, label, type, step, min, options }) => {
+    const field = document.createElement('label');
+    field.className = 'block text-xs text-gray-400';
+    field.textContent = label;
+    const input = document.createElement(type === 'select' ? 'select' : 'input');
+    input.name = key;
+    if (type === 'select') {
+      options.forEach(value => input.add(new Option(ScoringEngine.SEVERITY_METRICS[value].label, value)));
+      input.value = config[key];
+      input.className = inputClass;
+    } else if (type === 'checkbox') {
+      input.type = 'checkbox';
+      input.checked = Boolean(config[key]);
+      input.className = 'ml-2 align-middle';
+    } else {
+      input.type = 'number';
+      input.step = step;
+      if (min !== undefined) input.min = min;
+      input.value = config[key];
+      input.className = inputClass;
+    }
+    field.appendChild(input);
+    profileFieldsEl.appendChild(field);
+  });
+  RISK_THRESHOLD_FIELDS.forEach(({ key, label }) => {
+    const field = document.createElement('label');
+    field.className = 'block text-xs text-gray-400';
+    field.textContent = label;
+    const input = document.createElement('input');
+    input.name = `risk-${key}`;
+    input.type = 'number';
+    input.step = 0.5;
+    input.value = profile.riskThresholds[key];
+    input.className = inputClass;
+    field.appendChild(input);
+    profileFieldsEl.appendChild(field);
+  });
+  const rules = activeAlertRules();
+  ALERT_RULE_FIELDS.forEach(({ key, label, type, step, min, options }) => {
+    const field = document.createElement('label');
+    field.className = 'block text-xs text-gray-400';
+    field.textContent = label;
+    const input = document.createElement(type === 'select' ? 'select' : 'input');
+    input.name = `alert-${key}`;
+    if (type === 'select') {
+      options.forEach(value => input.add(new Option(RISK_LABELS[value], value)));
+    } else {
+      input.type = 'number';
+      input.step = step;
+      input.min = min;
+    }
+    input.value = rules[key];
+    input.className = inputClass;
+    field.appendChild(input);
+    profileFieldsEl.appendChild(field);
+  });
+  document.getElementById('deleteProfileBtn').disabled = BUILT_IN_PROFILES.includes(profile);
+}
+
+/**
+ * Save the form: updates the active custom profile, or stores edits to a
+ * built-in profile as a new custom profile.
+ */
+function saveProfileFromForm() {
+  const active = getActiveProfile();
+  const isBuiltIn = BUILT_IN_PROFILES.includes(active);
+  const name = isBuiltIn ? prompt("Name for the new profile:", `${active.name} (custom)`) : active.name;
+  if (name === null) return;
+  try {
+    const profile = normalizeProfile({ ...readProfileForm(), name, id: isBuiltIn ? undefined : active.id });
+    upsertCustomProfile(profile);
+    applyProfile(profile.id);
+    showNotification(`Profile "${profile.name}" applied`, "connected");
+  } catch (e) {
+    showNotification(e.message, "disconnected");
+  }
+}
+
+/**
+ * Download the active profile as JSON.
+ */
+function exportActiveProfile() {
+  const { name, config, riskThresholds } = getActiveProfile();
+  const data = { name, config: { ...ScoringEngine.DEFAULT_CONFIG, ...config }, riskThresholds, alertRules: activeAlertRules() };
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  downloadFile(`neuroguard-profile-${slug}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Import one profile, or a { profiles: [...] } bundle, from a JSON file.
+ */
+async function importProfiles(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const imported = (Array.isArray(data.profiles) ? data.profiles : [data])
+      .map(p => upsertCustomProfile(normalizeProfile({ ...p, id: undefined })));
+    applyProfile(imported[imported.length - 1].id);
+    showNotification(`Imported ${imported.length} profile(s)`, "connected");
+  } catch (e) {
+    console.error("Profile import failed:", e);
+    showNotification(`Import failed: ${e.message}`, "disconnected");
+  }
+}
+
+/**
+ * Trigger a browser download of generated content.
+ */
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* --------------------- DATA EXPORT & IMPORT --------------------- */
+/**
+ * Impacts of one player (or every player), oldest first, optionally limited to a time range.
+ */
+function collectImpacts({ playerId = null, from = null, to = null } = {}) {
+  const playerIds = playerId ? [playerId] : roster.map(p => p.id);
+  return playerIds
+    .flatMap(id => getPlayerState(id).impactHistory.map(imp => ({ ...imp, player: imp.player || id })))
+    .filter(imp => (from === null || imp.time >= from) && (to === null || imp.time <= to))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Read the export form into collectImpacts() options. Dates are whole local days.
+ */
+function readExportOptions() {
+  const { scope, from, to } = exportForm.elements;
+  return {
+    playerId: scope.value === 'active' ? activePlayerId : null,
+    from: from.value ? new Date(`${from.value}T00:00:00`).getTime() : null,
+    to: to.value ? new Date(`${to.value}T23:59:59.999`).getTime() : null,
+  };
+}
+
+/**
+ * Download impacts as CSV or JSON.
+ */
+function exportImpacts(format, options = readExportOptions()) {
+  const impacts = collectImpacts(options);
+  if (!impacts.length) {
+    showNotification("No impacts in that range", "disconnected");
+    return;
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === 'csv') {
+    const rows = impacts.map(imp => IMPACT_EXPORT_FIELDS.map(field => {
+      if (field === 'time') return new Date(imp.time).toISOString();
+      if (field === 'player_name') return getPlayer(imp.player) ? getPlayer(imp.player).name : '';
+      return imp[field];
+    }));
+    downloadFile(`neuroguard-impacts-${stamp}.csv`, ImpactFiles.toCSV(IMPACT_EXPORT_FIELDS, rows), 'text/csv');
+  } else {
+    const playerIds = new Set(impacts.map(imp => imp.player));
+    const data = {
+      exportedAt: new Date().toISOString(),
+      from: options.from,
+      to: options.to,
+      players: roster.filter(p => playerIds.has(p.id)),
+      impacts,
+    };
+    downloadFile(`neuroguard-impacts-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+  }
+}
+
+/**
+ * Download a recording's raw samples and session markers as CSV or JSON.
+ */
+async function exportRecording(recordingId, format) {
+  const recording = recordings.find(r => r.id === recordingId);
+  if (!recording) return;
+  let samples;
+  try {
+    samples = await DataStore.getSamples(recordingId);
+  } catch (e) {
+    console.error("Failed to load recording:", e);
+    showNotification("Could not read recording", "disconnected");
+    return;
+  }
+  const stamp = new Date(recording.startedAt).toISOString().slice(0, 19).replace(/:/g, '-');
+  if (format === 'csv') {
+    const rows = [
+      ...samples.map(([t, hbId, ...values]) => [t, hbId, 'sample', ...values]),
+      ...recording.markers.map(([t, type, hbId]) => [t, hbId, type]),
+    ].sort((a, b) => a[0] - b[0]);
+    downloadFile(`neuroguard-session-${stamp}.csv`, ImpactFiles.toCSV(RECORDING_EXPORT_FIELDS, rows), 'text/csv');
+  } else {
+    downloadFile(`neuroguard-session-${stamp}.json`, JSON.stringify({ ...recording, samples }), 'application/json');
+  }
+}
+
+/**
+ * Show how much browser storage the app is using.
+ */
+async function renderStorageUsage() {
+  const el = document.getElementById('storageUsage');
+  const estimate = await DataStore.estimate().catch(() => null);
+  const mb = bytes => (bytes / 1048576).toFixed(1);
+  el.textContent = estimate ? `Storage: ${mb(estimate.usage)} MB of ${mb(estimate.quota)} MB used` : '';
+}
+
+/**
+ * Find the roster player for an imported impact by id, then by name; unknown players are added.
+ * resolved maps imported ids to roster ids for the rest of the import, so every row of an
+ * unknown, unnamed player lands on the same new player.
+ */
+function resolveImportedPlayer(playerId, playerName, importedPlayers, resolved) {
+  if (playerStates.has(playerId)) return playerId;
+  if (playerId && resolved.has(playerId)) return resolved.get(playerId);
+  const info = importedPlayers.find(p => p.id === playerId) || { name: playerName || '' };
+  const name = (info.name || '').trim();
+  const match = name && roster.find(p => p.name.toLowerCase() === name.toLowerCase());
+  if (!name && !playerId) return activePlayerId;
+  const id = match ? match.id : addPlayer({ name: name || 'Imported player', number: info.number || '', position: info.position || '' }).id;
+  if (playerId) resolved.set(playerId, id);
+  return id;
+}
+
+/**
+ * Merge a previously exported CSV or JSON file into the impact history.
+ * Impacts already present (same player, time and ISS) are skipped.
+ */
+async function importImpacts(file) {
+  try {
+    const text = await file.text();
+    let players = [], rows;
+    if (/^\s*[[{]/.test(text)) {
+      const data = JSON.parse(text);
+      rows = Array.isArray(data) ? data : data.impacts || [];
+      players = Array.isArray(data.players) ? data.players : [];
+    } else {
+      rows = ImpactFiles.parseCSV(text);
+    }
+
+    const entries = [];
+    const resolvedPlayers = new Map();
+    let invalid = 0;
+    rows.forEach(raw => {
+      const impact = ImpactFiles.normalizeImpact(raw);
+      if (!impact) {
+        invalid++;
+        return;
+      }
+      entries.push({ playerId: resolveImportedPlayer(raw.player, raw.player_name, players, resolvedPlayers), impact });
+    });
+    const { added, skipped, playerIds } = ImpactFiles.mergeImpacts(entries, playerId => getPlayerState(playerId).impactHistory);
+
+    playerIds.forEach(playerId => {
+      recalculateRiskScores(playerId);
+      saveImpactHistory(playerId);
+    });
+    renderRoster();
+    rebuildNRSChart();
+    renderImpactList();
+    showNotification(`Imported ${added} impact(s), skipped ${skipped + invalid}`, "connected");
+  } catch (e) {
+    console.error("Impact import failed:", e);
+    showNotification(`Import failed: ${e.message}`, "disconnected");
+  }
+}
+
+/* --------------------- HISTORY & RISK SCORES --------------------- */
+/**
+ * Rewrite a player's stored impacts, e.g. after an import recalculated their scores.
+ */
+function saveImpactHistory(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (!state) return Promise.resolve();
+  return DataStore.replaceImpacts(playerId, state.impactHistory)
+    .catch(e => reportStorageError(e, "impact history"));
+}
+
+/**
+ * Load a player's impacts from IndexedDB. History still in localStorage from an
+ * older version is moved over first and removed once it is stored.
+ */
+async function loadImpactHistory(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (!state) return;
+  try {
+    const legacy = localStorage.getItem(`${LOCAL_STORAGE_KEY}:${playerId}`);
+    if (legacy) {
+      const impacts = JSON.parse(legacy).map(imp => ({ ...imp, player: imp.player || playerId }));
+      await DataStore.addImpacts(impacts);
+      localStorage.removeItem(`${LOCAL_STORAGE_KEY}:${playerId}`);
+    }
+    localStorage.removeItem(`${NRS_STATE_KEY}:${playerId}`);
+  } catch (e) {
+    reportStorageError(e, "migrated history");
+  }
+  try {
+    const impacts = await DataStore.getImpacts(playerId);
+    if (impacts.length) {
+      state.impactHistory.push(...impacts);
+      recalculateRiskScores(playerId);
+    }
+  } catch (e) {
+    console.error("Failed to load history:", e);
+  }
+}
+
+/**
+ * Clear a player's impact history and reset their state.
+ */
+function clearImpactHistory(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (!state) return;
+  state.impactHistory.length = 0;
+  state.currentNRS = 0.0;
+  state.currentAWE = 0.0;
+  state.latestISS = 0.0;
+  state.cli = 0.0;
+  DataStore.deleteImpacts(playerId).catch(e => console.error("Failed to clear history:", e));
+  if (playerId === activePlayerId) {
+    rebuildNRSChart();
+    resetRiskScores();
+    renderImpactList();
+  }
+  showNotification("Impact history cleared", "connected");
+}
+
+/**
+ * Rebuild the NRS chart from the active player's impact history.
+ */
+function rebuildNRSChart() {
+  const state = getPlayerState();
+  nrsChart.data.labels = [];
+  nrsChart.data.datasets[0].data = [];
+  (state ? state.impactHistory : []).forEach(impact => {
+    if (typeof impact.nrs === 'number') {
+      nrsChart.data.labels.push(new Date(impact.time).toLocaleTimeString());
+      nrsChart.data.datasets[0].data.push(impact.nrs);
+    }
+  });
+  if (nrsChart.data.labels.length > NRS_VISIBLE_POINTS) {
+    const e = nrsChart.data.labels.length - NRS_VISIBLE_POINTS;
+    nrsChart.data.labels.splice(0, e);
+    nrsChart.data.datasets[0].data.splice(0, e);
+  }
+  nrsChart.update('none');
+}
+
+/**
+ * Recalculate a player's risk scores from their impact history.
+ */
+function recalculateRiskScores(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  ScoringEngine.recalculateScores(state, Date.now());
+  renderRiskScores(playerId);
+}
+
+/**
+ * Write a player's scores to the dashboard if they are the active player.
+ */
+function renderRiskScores(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (!state || playerId !== activePlayerId) return;
+  nrsScoreEl.textContent = state.currentNRS.toFixed(1);
+  aweScoreEl.textContent = state.currentAWE.toFixed(2);
+  cliScoreEl.textContent = state.cli.toFixed(2);
+  updateRiskLevel(state.currentNRS);
+}
+
+/**
+ * Map an NRS score to its risk level CSS class and label.
+ */
+function riskLevelFor(nrs) {
+  const level = ScoringEngine.riskLevel(nrs, getActiveProfile().riskThresholds);
+  return { level, className: `risk-${level}`, text: RISK_LABELS[level] };
+}
+
+/**
+ * Update risk level UI based on NRS score.
+ */
+function updateRiskLevel(nrs) {
+  const level = riskLevelFor(nrs);
+  nrsLevelEl.className = `risk-level ${level.className}`;
+  nrsLevelEl.textContent = level.text;
+}
+
+/**
+ * Reset a player's risk scores (and the UI if they are the active player).
+ */
+function resetRiskScores(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (state) {
+    state.currentNRS = 0.0;
+    state.currentAWE = 0.0;
+    state.latestISS = 0.0;
+  }
+  if (playerId !== activePlayerId) return;
+  nrsScoreEl.textContent = "0.0";
+  nrsLevelEl.className = 'risk-level risk-low';
+  nrsLevelEl.textContent = 'Low Risk';
+  aweScoreEl.textContent = "0.0";
+  cliScoreEl.textContent = "0.0";
+}
+
+/* --------------------- CHART INITIALIZATION --------------------- */
+/**
+ * Chart plugin that keeps the fullscreen view in step with the dashboard chart it shows.
+ */
+const fullscreenSyncPlugin = {
+  id: 'fullscreenSync',
+  afterUpdate(chart) {
+    if (fullscreenChart && chart === fullscreenSource(currentFullscreenType)) syncFullscreenChart();
+  },
+};
+
+/**
+ * Configuration of the NRS chart (also used for its fullscreen view).
+ */
+function nrsChartConfig() {
+  return {
+    type: 'line',
+    plugins: [fullscreenSyncPlugin],
+    data: {
+      labels: [],
+      datasets: [{
+        label: 'NRS',
+        data: [],
+        borderColor: 'rgba(255, 99, 132, 1)',
+        backgroundColor: 'rgba(255, 99, 132, 0.2)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.2,
+        pointRadius: 0,
+        spanGaps: false,
+      }],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: { duration: 0 },
+      plugins: {
+        legend: {
+          labels: {
+            font: { family: "IBM Plex Sans", size: 14, weight: "500" },
+            color: "#ffffff"
+          }
+        },
+        tooltip: {
+          mode: 'index',
+          intersect: false,
+          titleFont: { family: "IBM Plex Sans", size: 14, weight: "500" },
+          bodyFont: { family: "IBM Plex Sans", size: 14, weight: "400" },
+          titleColor: "#ffffff",
+          bodyColor: "#ffffff",
+          backgroundColor: "#1d2126"
+        },
+        zoom: {
+          pan: { enabled: true, mode: 'xy', speed: 0.0025 },
+          zoom: { wheel: { enabled: true, speed: 0.005 }, pinch: { enabled: true }, mode: 'xy' }
+        }
+      },
+      scales: {
+        x: {
+          title: { display: true, text: 'Time', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
+          ticks: { color: '#e0e0e0', maxTicksLimit: 8, autoSkip: true, font: { family: "IBM Plex Sans", size: 14, weight: "400" } },
+          grid: { color: 'rgba(255,255,255,0.1)' },
+        },
+        y: {
+          min: 0,
+          max: 10,
+          title: { display: true, text: 'NRS', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
+          ticks: { color: '#e0e0e0', stepSize: 1, font: { family: "IBM Plex Sans", size: 14, weight: "400" } },
+          grid: { color: 'rgba(255,255,255,0.1)' },
+        }
+      },
+      elements: { point: { radius: 0 } }
+    },
+  };
+}
+
+// Initialize NRS Chart
+const nrsChart = new Chart(document.getElementById('nrsChartCanvas').getContext('2d'), nrsChartConfig());
+
+/**
+ * Chart plugin that shades headband dropouts recorded in chart.$dropouts.
+ */
+const dropoutPlugin = {
+  id: 'dropouts',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea, scales: { x } } = chart;
+    if (!chart.$dropouts.length || x.min === undefined) return;
+    const pixelAt = t => Math.min(Math.max(x.getPixelForValue(t), chartArea.left), chartArea.right);
+    chart.$dropouts = chart.$dropouts.filter(gap => gap.end === null || gap.end >= x.min);
+    ctx.save();
+    chart.$dropouts.forEach(gap => {
+      const left = pixelAt(gap.start);
+      const right = gap.end === null ? chartArea.right : pixelAt(gap.end);
+      const width = Math.max(right - left, 6);
+      ctx.fillStyle = 'rgba(245, 158, 11, 0.2)';
+      ctx.fillRect(left, chartArea.top, width, chartArea.bottom - chartArea.top);
+      ctx.fillStyle = '#f59e0b';
+      ctx.font = '11px "IBM Plex Sans"';
+      const label = gap.end === null ? 'Signal lost' : `Gap ${((gap.end - gap.start) / 1000).toFixed(1)} s`;
+      ctx.fillText(label, Math.min(left + 4, chartArea.right - 70), chartArea.top + 12);
+    });
+    ctx.restore();
+  },
+};
+
+/**
+ * Configuration of an accelerometer or gyroscope chart: a linear time axis (ms),
+ * labelled in seconds before the latest sample.
+ */
+function liveChartConfig(labelPrefix, yAxisLabel) {
+  return {
+    type: 'line',
+    plugins: [dropoutPlugin, fullscreenSyncPlugin],
+    data: {
+      datasets: AXIS_SERIES_STYLES.map(({ axis, color, dash, pointStyle }) => ({
+        label: `${labelPrefix} ${axis}`,
+        borderColor: color,
+        backgroundColor: color,
+        borderDash: dash,
+        pointStyle,
+        data: [],
+        tension: 0.1,
+        pointRadius: 0,
+      })),
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      parsing: false,
+      normalized: true,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      plugins: {
+        legend: {
+          labels: { 
+            usePointStyle: true, 
+            boxWidth: 8, 
+            padding: 16, 
+            color: '#e0e0e0',
+            font: { family: "IBM Plex Sans", size: 12, weight: "400" }
+          },
+        },
+        tooltip: {
+          callbacks: {
+            title: (items) => items.length ? `Time: ${new Date(items[0].parsed.x).toLocaleTimeString()}` : '',
+          },
+          titleFont: { family: "IBM Plex Sans", size: 14, weight: "500" },
+          bodyFont: { family: "IBM Plex Sans", size: 14, weight: "400" },
+          titleColor: "#ffffff",
+          bodyColor: "#ffffff",
+          backgroundColor: "#1d2126"
+        },
+        zoom: {
+          pan: { enabled: true, mode: 'x', speed: 0.0025 },
+          zoom: { wheel: { enabled: true, speed: 0.005 }, pinch: { enabled: true }, mode: 'y' }
+        },
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: { display: true, text: 'Time', color: '#a0a0a0', font: { family: "IBM Plex Sans", size: 14 } },
+          ticks: {
+            color: '#a0a0a0',
+            maxTicksLimit: 6,
+            font: { family: "IBM Plex Sans", size: 12 },
+            callback(value) { return formatChartOffset(value - this.max); },
+          },
+          grid: { display: false },
+        },
+        y: {
+          title: { display: true, text: yAxisLabel, color: '#a0e0e0', font: { family: "IBM Plex Sans", size: 14 } },
+          min: -MIN_Y_RANGE,
+          max: MIN_Y_RANGE,
+          ticks: {
+            stepSize: 1,
+            color: '#e0e0e0',
+            font: { family: "IBM Plex Sans", size: 14 },
+            callback: v => parseFloat(v.toFixed(1)),
+          },
+          grid: {
+            color: ctx => (ctx.tick.value === 0 ? 'rgba(255,255,255,0.7)' : 'rgba(255,255,255,0.1)'),
+            lineWidth: ctx => (ctx.tick.value === 0 ? 2 : 1),
+          },
+        },
+      },
+      elements: { point: { radius: 0 } },
+    },
+  };
+}
+
+/**
+ * Create an accelerometer or gyroscope chart. Its points come from a LiveSeries (chart.$series).
+ */
+function createChart(ctx, labelPrefix, yAxisLabel) {
+  const chart = new Chart(ctx, liveChartConfig(labelPrefix, yAxisLabel));
+  chart.$series = LiveSeries.createSeries({ windowMs: loadChartWindow(), buckets: LIVE_CHART_BUCKETS, maxRateHz: LIVE_CHART_MAX_RATE_HZ });
+  chart.$dropouts = [];
+  return chart;
+}
+
+/**
+ * Time axis label: seconds (or minutes) before the latest sample.
+ */
+function formatChartOffset(ms) {
+  const s = Math.round(ms / 100) / 10;
+  if (Math.abs(s) >= 60) return `${(s / 60).toFixed(1).replace(/\.0$/, '')} min`;
+  return s === 0 ? 'now' : `${s} s`;
+}
+
+const accelChart = createChart(document.getElementById('accelChartCanvas').getContext('2d'), 'Accel', 'm/s²');
+const gyroChart = createChart(document.getElementById('gyroChartCanvas').getContext('2d'), 'Gyro', 'rad/s');
+
+/* --------------------- CHART INTERACTIONS & FULLSCREEN --------------------- */
+/**
+ * Consolidated function to add mouse and touch event listeners,
+ * reducing duplicate code.
+ */
+function addInteractionListeners(canvas, chart, type) {
+  let holdTimeout, isHolding = false, isDragging = false;
+  const startHandler = () => {
+    isHolding = false;
+    isDragging = false;
+    holdTimeout = setTimeout(() => {
+      if (!isDragging) {
+        isHolding = true;
+        chart.resetZoom();
+        canvas.style.opacity = '0.7';
+        setTimeout(() => { canvas.style.opacity = '1'; }, 200);
+      }
+    }, 500);
+  };
+  const moveHandler = () => {
+    if (!isHolding) {
+      isDragging = true;
+      clearTimeout(holdTimeout);
+    }
+  };
+  const endHandler = () => {
+    clearTimeout(holdTimeout);
+    isDragging = false;
+  };
+  canvas.addEventListener('mousedown', startHandler);
+  canvas.addEventListener('mousemove', moveHandler);
+  canvas.addEventListener('mouseup', endHandler);
+  canvas.addEventListener('mouseleave', endHandler);
+  canvas.addEventListener('touchstart', startHandler);
+  canvas.addEventListener('touchend', endHandler);
+  canvas.addEventListener('dblclick', (e) => {
+    e.preventDefault();
+    openFullscreen(type);
+  });
+  canvas.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openFullscreen(type);
+    } else if (e.key === 'r' || e.key === 'R') {
+      chart.resetZoom();
+      announce('Zoom reset');
+    }
+  });
+  canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+}
+
+function setupChartInteractions() {
+  const charts = [
+    { canvas: document.getElementById('nrsChartCanvas'), chart: nrsChart, type: 'nrs' },
+    { canvas: document.getElementById('accelChartCanvas'), chart: accelChart, type: 'accel' },
+    { canvas: document.getElementById('gyroChartCanvas'), chart: gyroChart, type: 'gyro' },
+  ];
+  charts.forEach(item => addInteractionListeners(item.canvas, item.chart, item.type));
+}
+
+/**
+ * The dashboard chart a fullscreen view shows.
+ */
+function fullscreenSource(type) {
+  return { nrs: nrsChart, accel: accelChart, gyro: gyroChart }[type] || null;
+}
+
+/**
+ * Chart plugin that draws a crosshair at the pointer and fills the readout below the chart.
+ */
+const crosshairPlugin = {
+  id: 'crosshair',
+  afterEvent(chart, args) {
+    const { event } = args;
+    const { left, right, top, bottom } = chart.chartArea;
+    const inside = event.type !== 'mouseout' && event.x >= left && event.x <= right && event.y >= top && event.y <= bottom;
+    chart.$crosshair = inside ? { x: event.x, y: event.y } : null;
+    renderCrosshairReadout(chart);
+    args.changed = true;
+  },
+  afterDatasetsDraw(chart) {
+    if (!chart.$crosshair) return;
+    const { ctx, chartArea: { left, right, top, bottom } } = chart;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(chart.$crosshair.x, top);
+    ctx.lineTo(chart.$crosshair.x, bottom);
+    ctx.moveTo(left, chart.$crosshair.y);
+    ctx.lineTo(right, chart.$crosshair.y);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
+
+/**
+ * Chart plugin that paints the card background, so PNG snapshots are not transparent.
+ */
+const chartBackgroundPlugin = {
+  id: 'chartBackground',
+  beforeDraw(chart) {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#12181d';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  },
+};
+
+/**
+ * Index of the point nearest to time t in points sorted by time, skipping gaps; -1 if none.
+ */
+function nearestPointIndex(points, t) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].x < t) lo = mid + 1;
+    else hi = mid;
+  }
+  let best = -1;
+  [lo - 1, lo].forEach(i => {
+    if (i < 0 || i >= points.length || points[i].y === null) return;
+    if (best === -1 || Math.abs(points[i].x - t) < Math.abs(points[best].x - t)) best = i;
+  });
+  return best;
+}
+
+/**
+ * Values of the visible series under the crosshair: the NRS at the nearest update, or
+ * each accelerometer/gyroscope axis at the nearest sample.
+ */
+function renderCrosshairReadout(chart) {
+  fullscreenReadoutEl.textContent = '';
+  if (!chart.$crosshair) return;
+  const value = chart.scales.x.getValueForPixel(chart.$crosshair.x);
+  const parts = [];
+  if (currentFullscreenType === 'nrs') {
+    const i = Math.round(value);
+    const nrs = chart.data.datasets[0].data[i];
+    if (chart.data.labels[i] === undefined) return;
+    parts.push(chart.data.labels[i], `NRS ${typeof nrs === 'number' ? nrs.toFixed(1) : '–'}`);
+  } else {
+    const time = new Date(value);
+    parts.push(`${time.toLocaleTimeString()}.${String(time.getMilliseconds()).padStart(3, '0')}`);
+    chart.data.datasets.forEach((ds, d) => {
+      if (!chart.isDatasetVisible(d)) return;
+      const i = nearestPointIndex(ds.data, value);
+      parts.push(`${ds.label} ${i === -1 ? '–' : ds.data[i].y.toFixed(2)}`);
+    });
+  }
+  fullscreenReadoutEl.textContent = parts.join(' · ');
+}
+
+/**
+ * Show a chart expanded over the dashboard. It follows the live data until it is
+ * zoomed or panned.
+ */
+function openFullscreen(type) {
+  const source = fullscreenSource(type);
+  if (!source) return;
+  closeFullscreen();
+  const config = type === 'nrs' ? nrsChartConfig()
+    : type === 'accel' ? liveChartConfig('Accel', 'm/s²') : liveChartConfig('Gyro', 'rad/s');
+  config.plugins = [...(type === 'nrs' ? [] : [dropoutPlugin]), crosshairPlugin, chartBackgroundPlugin];
+  config.options.plugins.tooltip = { enabled: false };
+  const { pan, zoom } = config.options.plugins.zoom;
+  config.options.plugins.zoom = {
+    pan: { ...pan, mode: 'xy', onPanComplete: stopFullscreenFollowing },
+    zoom: { ...zoom, mode: 'xy', onZoomComplete: stopFullscreenFollowing },
+  };
+  currentFullscreenType = type;
+  fullscreenFollowing = true;
+  fullscreenReturnFocus = document.activeElement;
+  fullscreenTitleEl.textContent = { nrs: 'Neuro Risk Score', accel: 'Accelerometer', gyro: 'Gyroscope' }[type];
+  fullscreenModal.classList.remove('hidden');
+  fullscreenChart = new Chart(document.getElementById('fullscreenCanvas').getContext('2d'), config);
+  fullscreenChart.$dropouts = [];
+  source.data.datasets.forEach((ds, i) => fullscreenChart.setDatasetVisibility(i, source.isDatasetVisible(i)));
+  renderFullscreenAxes();
+  syncFullscreenChart();
+  fullscreenChart.canvas.setAttribute('aria-label', `${fullscreenTitleEl.textContent} chart: arrow keys pan, + and - zoom, R resets`);
+  fullscreenChart.canvas.focus();
+}
+
+/**
+ * Close the fullscreen view and free its chart.
+ */
+function closeFullscreen() {
+  if (!fullscreenChart) return;
+  fullscreenChart.destroy();
+  fullscreenChart = null;
+  currentFullscreenType = null;
+  fullscreenReadoutEl.textContent = '';
+  fullscreenModal.classList.add('hidden');
+  // Back to the chart (or control) the view was opened from
+  if (fullscreenReturnFocus && document.contains(fullscreenReturnFocus)) fullscreenReturnFocus.focus();
+  fullscreenReturnFocus = null;
+}
+
+/**
+ * Copy the dashboard chart's data and visible range into the fullscreen view.
+ */
+function syncFullscreenChart() {
+  if (!fullscreenChart) return;
+  renderFullscreenFollow();
+  if (!fullscreenFollowing) return;
+  const source = fullscreenSource(currentFullscreenType);
+  fullscreenChart.data.labels = (source.data.labels || []).slice();
+  fullscreenChart.data.datasets.forEach((ds, i) => { ds.data = source.data.datasets[i].data.slice(); });
+  ['x', 'y'].forEach(axis => {
+    fullscreenChart.options.scales[axis].min = source.options.scales[axis].min;
+    fullscreenChart.options.scales[axis].max = source.options.scales[axis].max;
+  });
+  fullscreenChart.$dropouts = source.$dropouts || [];
+  fullscreenChart.update('none');
+  renderCrosshairReadout(fullscreenChart);
+}
+
+function stopFullscreenFollowing() {
+  fullscreenFollowing = false;
+  renderFullscreenFollow();
+}
+
+function renderFullscreenFollow() {
+  fullscreenFollowEl.textContent = fullscreenFollowing ? '● Live' : 'Paused view: Reset View to follow live';
+  fullscreenFollowEl.className = `text-xs ${fullscreenFollowing ? 'text-green-400' : 'text-amber-400'}`;
+}
+
+/**
+ * Undo zoom and pan on the fullscreen view and follow the live data again.
+ */
+function resetFullscreenView() {
+  if (!fullscreenChart) return;
+  fullscreenChart.resetZoom();
+  fullscreenFollowing = true;
+  syncFullscreenChart();
+}
+
+/**
+ * Pan and zoom the fullscreen view from the keyboard, like dragging and the mouse wheel.
+ */
+function handleFullscreenKey(e) {
+  if (!fullscreenChart) return;
+  const pans = { ArrowLeft: { x: KEYBOARD_PAN_PX }, ArrowRight: { x: -KEYBOARD_PAN_PX }, ArrowUp: { y: KEYBOARD_PAN_PX }, ArrowDown: { y: -KEYBOARD_PAN_PX } };
+  if (pans[e.key]) {
+    fullscreenChart.pan(pans[e.key], undefined, 'none');
+  } else if (e.key === '+' || e.key === '=') {
+    fullscreenChart.zoom(KEYBOARD_ZOOM_FACTOR, 'none');
+  } else if (e.key === '-') {
+    fullscreenChart.zoom(1 / KEYBOARD_ZOOM_FACTOR, 'none');
+  } else if (e.key === 'r' || e.key === 'R') {
+    e.preventDefault();
+    resetFullscreenView();
+    announce('Following live data');
+    return;
+  } else {
+    return;
+  }
+  e.preventDefault();
+  stopFullscreenFollowing();
+}
+
+/**
+ * One toggle per series (X, Y, Z) to show or hide it in the fullscreen view.
+ */
+function renderFullscreenAxes() {
+  fullscreenAxesEl.innerHTML = '';
+  if (fullscreenChart.data.datasets.length < 2) return;
+  fullscreenChart.data.datasets.forEach((ds, i) => {
+    const button = document.createElement('button');
+    const visible = fullscreenChart.isDatasetVisible(i);
+    button.type = 'button';
+    button.textContent = ds.label.split(' ').pop();
+    button.title = `Show or hide ${ds.label}`;
+    button.setAttribute('aria-pressed', String(visible));
+    button.className = `px-3 py-1 rounded-lg text-sm border border-gray-700 ${visible ? 'bg-[#1d2126] text-gray-200' : 'bg-transparent text-gray-500 line-through'}`;
+    button.style.borderColor = visible ? ds.borderColor : '';
+    button.addEventListener('click', () => {
+      fullscreenChart.setDatasetVisibility(i, !fullscreenChart.isDatasetVisible(i));
+      fullscreenChart.update('none');
+      renderFullscreenAxes();
+      renderCrosshairReadout(fullscreenChart);
+    });
+    fullscreenAxesEl.appendChild(button);
+  });
+}
+
+/**
+ * Save the fullscreen chart as a PNG image.
+ */
+function snapshotFullscreenChart() {
+  if (!fullscreenChart) return;
+  const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+  const filename = `neuroguard-${currentFullscreenType}-${stamp}.png`;
+  fullscreenChart.canvas.toBlob(blob => {
+    if (blob) downloadFile(filename, blob, 'image/png');
+    else showNotification("Snapshot failed", "disconnected");
+  }, 'image/png');
+}
+
+/**
+ * Schedule a chart data point.
+ */
+function scheduleChartPoint(chart, timeMs, x, y, z) {
+  LiveSeries.push(chart.$series, timeMs, x, y, z);
+}
+
+/**
+ * Empty the accelerometer and gyroscope charts, e.g. when they switch to another stream.
+ */
+function clearLiveCharts() {
+  attitudeReadoutEl.textContent = '';
+  [accelChart, gyroChart].forEach(chart => {
+    LiveSeries.clear(chart.$series);
+    chart.data.datasets.forEach(ds => { ds.data = []; });
+    chart.$dropouts = [];
+    chart.update('none');
+  });
+}
+
+/**
+ * Redraw a live chart from its series if it changed. The cost depends on the bucket
+ * count, not on the window length or sample rate.
+ */
+function commitChart(chart) {
+  const series = chart.$series;
+  if (!series.dirty) return;
+  const { from, to, points, maxAbs } = LiveSeries.render(series);
+  chart.data.datasets.forEach((ds, i) => { ds.data = points[i]; });
+  if (from !== null) {
+    chart.options.scales.x.min = from;
+    chart.options.scales.x.max = to;
+  }
+  const desired = Math.max(maxAbs * (1 + Y_BUFFER_PERCENTAGE), MIN_Y_RANGE);
+  const roundedDesired = Math.ceil(desired * 10) / 10;
+  if (Math.abs(chart.options.scales.y.max - roundedDesired) > 0.1) {
+    chart.options.scales.y.min = -roundedDesired;
+    chart.options.scales.y.max = roundedDesired;
+  }
+  chart.update('none');
+}
+
+function rafCommit(t) {
+  if (t - lastFrame >= (1000 / RENDER_FPS)) {
+    [accelChart, gyroChart].forEach(commitChart);
+    lastFrame = t;
+  }
+  requestAnimationFrame(rafCommit);
+}
+requestAnimationFrame(rafCommit);
+
+/* --------------------- CHART WINDOW --------------------- */
+/**
+ * The saved live chart window (ms), or the shortest one.
+ */
+function loadChartWindow() {
+  const saved = Number(localStorage.getItem(CHART_WINDOW_STORAGE_KEY));
+  return LiveSeries.WINDOWS.some(w => w.ms === saved) ? saved : LiveSeries.WINDOWS[0].ms;
+}
+
+function renderChartWindowOptions() {
+  chartWindowSelectEl.innerHTML = '';
+  LiveSeries.WINDOWS.forEach(({ label, ms }) => {
+    const option = document.createElement('option');
+    option.value = ms;
+    option.textContent = label;
+    chartWindowSelectEl.appendChild(option);
+  });
+  chartWindowSelectEl.value = accelChart.$series.windowMs;
+}
+
+/**
+ * Show a different time window on both live charts. Samples already received are
+ * kept, so a longer window fills in straight away.
+ */
+function setChartWindow(ms) {
+  [accelChart, gyroChart].forEach(chart => LiveSeries.setWindow(chart.$series, ms));
+  try {
+    localStorage.setItem(CHART_WINDOW_STORAGE_KEY, String(ms));
+  } catch (e) {
+    reportStorageError(e, "chart window");
+  }
+}
+
+/* --------------------- ACCESSIBILITY --------------------- */
+/**
+ * Read a message out through the screen reader live region. Messages arriving
+ * together are read as one, and the region is emptied first so a repeated
+ * message is read again.
+ */
+function announce(message) {
+  if (!pendingAnnouncements.length) {
+    srAnnouncerEl.textContent = '';
+    setTimeout(() => {
+      srAnnouncerEl.textContent = pendingAnnouncements.join(' ');
+      pendingAnnouncements = [];
+    }, ANNOUNCE_DELAY_MS);
+  }
+  pendingAnnouncements.push(message);
+}
+
+function announcedPlayerName(playerId) {
+  const player = getPlayer(playerId);
+  return player ? playerLabel(player) : 'Unassigned player';
+}
+
+function announceImpact(impact) {
+  announce(`Impact on ${announcedPlayerName(impact.player)}: ${impact.a_peak.toFixed(1)} g, ISS ${impact.iss.toFixed(2)}.`);
+}
+
+/**
+ * Announce a player's NRS when their risk level changes, after an impact or as it
+ * decays. The first level seen for a player is only noted.
+ */
+function announceRiskChange(playerId, nrs) {
+  const { level, text } = riskLevelFor(nrs);
+  const previous = announcedRiskLevels.get(playerId);
+  announcedRiskLevels.set(playerId, level);
+  if (previous === undefined || previous === level) return;
+  const direction = AlertRules.LEVELS.indexOf(level) > AlertRules.LEVELS.indexOf(previous) ? 'rose' : 'fell';
+  announce(`${announcedPlayerName(playerId)}: risk ${direction} to ${text}, NRS ${nrs.toFixed(1)}.`);
+}
+
+/**
+ * The saved high-contrast setting, or the system preference if there is none.
+ */
+function loadContrast() {
+  const saved = localStorage.getItem(CONTRAST_STORAGE_KEY);
+  if (saved !== null) return saved === 'on';
+  return Boolean(window.matchMedia && window.matchMedia('(prefers-contrast: more)').matches);
+}
+
+function applyContrast(on) {
+  document.documentElement.classList.toggle('high-contrast', on);
+  contrastBtn.setAttribute('aria-pressed', String(on));
+}
+
+function toggleContrast() {
+  const on = !document.documentElement.classList.contains('high-contrast');
+  applyContrast(on);
+  announce(on ? 'High contrast on' : 'High contrast off');
+  try {
+    localStorage.setItem(CONTRAST_STORAGE_KEY, on ? 'on' : 'off');
+  } catch (e) {
+    reportStorageError(e, "contrast setting");
+  }
+}
+
+/**
+ * Latest, minimum and maximum of each series a live chart shows.
+ */
+function liveChartStats(chart) {
+  return chart.data.datasets.map(ds => {
+    const values = ds.data.filter(p => p.y !== null).map(p => p.y);
+    if (!values.length) return { label: ds.label, latest: null, min: null, max: null };
+    return { label: ds.label, latest: values[values.length - 1], min: Math.min(...values), max: Math.max(...values) };
+  });
+}
+
+/**
+ * Text alternatives for the charts: each canvas gets a summary as its accessible
+ * name, and the data tables below them are filled while they are open.
+ */
+function renderChartAlternatives() {
+  const windowLabel = formatChartOffset(accelChart.$series.windowMs);
+  [
+    { chart: accelChart, name: 'Accelerometer', unit: 'm/s²', table: 'accelChartTable' },
+    { chart: gyroChart, name: 'Gyroscope', unit: 'rad/s', table: 'gyroChartTable' },
+  ].forEach(({ chart, name, unit, table }) => {
+    const stats = liveChartStats(chart);
+    const latest = stats.filter(s => s.latest !== null);
+    chart.canvas.setAttribute('aria-label', latest.length
+      ? `${name} chart, last ${windowLabel}: ${latest.map(s => `${s.label.split(' ').pop()} ${s.latest.toFixed(2)} (${s.min.toFixed(2)} to ${s.max.toFixed(2)})`).join(', ')} ${unit}`
+      : `${name} chart: no data`);
+    const container = document.getElementById(table);
+    if (!container.closest('details').open) return;
+    const cell = v => (v === null ? '–' : v.toFixed(2));
+    container.innerHTML = `
+      <table class="w-full text-left tabular-nums">
+        <caption class="text-left text-gray-400 mb-1">${name} (${unit}), last ${windowLabel}</caption>
+        <thead><tr><th scope="col">Series</th><th scope="col">Latest</th><th scope="col">Min</th><th scope="col">Max</th></tr></thead>
+        <tbody>${stats.map(s => `<tr><th scope="row">${s.label}</th><td>${cell(s.latest)}</td><td>${cell(s.min)}</td><td>${cell(s.max)}</td></tr>`).join('')}</tbody>
+      </table>`;
+  });
+
+  const labels = nrsChart.data.labels;
+  const values = nrsChart.data.datasets[0].data;
+  const points = labels.map((label, i) => ({ label, nrs: values[i] })).filter(p => p.nrs !== null);
+  const player = getPlayer();
+  const latest = points[points.length - 1];
+  nrsChart.canvas.setAttribute('aria-label', latest
+    ? `NRS chart${player ? ` for ${playerLabel(player)}` : ''}: ${latest.nrs.toFixed(1)} (${riskLevelFor(latest.nrs).text}) at ${latest.label}, peak ${Math.max(...points.map(p => p.nrs)).toFixed(1)}`
+    : 'NRS chart: no data');
+  const nrsTable = document.getElementById('nrsChartTable');
+  if (!nrsTable.closest('details').open) return;
+  nrsTable.innerHTML = `
+    <table class="w-full text-left tabular-nums">
+      <thead><tr><th scope="col">Time</th><th scope="col">NRS</th><th scope="col">Risk</th></tr></thead>
+      <tbody>${points.slice(-NRS_TABLE_ROWS).reverse().map(p =>
+        `<tr><td>${p.label}</td><td>${p.nrs.toFixed(1)}</td><td>${riskLevelFor(p.nrs).text}</td></tr>`).join('')}</tbody>
+    </table>`;
+}
+
+/**
+ * Keyboard shortcuts: C connects a headband and P pauses or resumes (both only on
+ * the dashboard, not over a dialog), H switches the high-contrast theme. They are
+ * ignored while typing.
+ */
+function handleShortcut(e) {
+  if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+  if (e.target.closest && e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+  const key = e.key.toLowerCase();
+  const dialogOpen = Boolean(document.querySelector('.fixed.inset-0:not(.hidden)'));
+  const actions = {
+    c: dialogOpen ? null : () => document.getElementById('addHeadbandBtn').click(),
+    p: dialogOpen ? null : togglePause,
+    h: toggleContrast,
+  };
+  if (!actions[key]) return;
+  e.preventDefault();
+  actions[key]();
+}
+
+/* --------------------- SENSOR & IMPACT HANDLING --------------------- */
+/**
+ * Store a live impact on its player's history and update their scores.
+ */
+function recordImpact(impact) {
+  const state = getPlayerState(impact.player);
+  if (!state) return;
+  const previousLevel = riskLevelFor(state.currentNRS).level;
+  ScoringEngine.addImpact(state, impact);
+  DataStore.addImpacts([impact]).catch(e => reportStorageError(e, "impact"));
+  if (impact.player === activePlayerId) {
+    renderImpactList();
+    if (!hitMapModal.classList.contains('hidden')) renderHitMaps();
+  }
+  if (impact.session && !sessionModal.classList.contains('hidden')) renderSessionDetail();
+  processImpact(impact, previousLevel);
+}
+
+/**
+ * React to a scored impact: refresh the player's scores on screen and raise alerts.
+ */
+function processImpact(impact, previousLevel) {
+  announceImpact(impact);
+  updateNRSRealtime(impact.player);
+  startNRSUpdateInterval();
+  checkProtocolTrigger(impact);
+  evaluateAlerts(impact, previousLevel);
+}
+
+/**
+ * Update a player's NRS in real time; the chart follows the active player.
+ */
+function updateNRSRealtime(playerId = activePlayerId) {
+  const state = getPlayerState(playerId);
+  if (!state) return;
+  const now = Date.now();
+  ScoringEngine.refreshScores(state, now);
+  renderRiskScores(playerId);
+  announceRiskChange(playerId, state.currentNRS);
+  if (playerId === activePlayerId) {
+    nrsChart.data.labels.push(new Date(now).toLocaleTimeString());
+    nrsChart.data.datasets[0].data.push(state.currentNRS);
+    if (nrsChart.data.labels.length > NRS_VISIBLE_POINTS) {
+      nrsChart.data.labels.shift();
+      nrsChart.data.datasets[0].data.shift();
+    }
+    nrsChart.update('none');
+  }
+  updateSidelineTiles();
+  lastNRSUpdate = now;
+}
+
+/**
+ * Start the interval that updates every player's NRS.
+ */
+function startNRSUpdateInterval() {
+  if (nrsUpdateInterval) clearInterval(nrsUpdateInterval);
+  nrsUpdateInterval = setInterval(() => {
+    roster.forEach(player => updateNRSRealtime(player.id));
+  }, NRS_UPDATE_INTERVAL);
+}
+startNRSUpdateInterval();
+
+/**
+ * Keep a headband's last IMPACT_PRE_TRIGGER_MS of samples and add the sample to every
+ * impact still collecting its post-trigger window.
+ */
+function captureSample(hb, sample) {
+  const capture = hb.capture;
+  capture.pre.push(sample);
+  while (capture.pre[0].time < sample.time - IMPACT_PRE_TRIGGER_MS) capture.pre.shift();
+  capture.open = capture.open.filter(entry => {
+    entry.samples.push(sample);
+    if (sample.time - entry.impact.time < IMPACT_POST_TRIGGER_MS) return true;
+    finishImpactCapture(entry);
+    return false;
+  });
+}
+
+/**
+ * Start collecting a detected impact's waveform from the pre-trigger samples. The
+ * impact is recorded once the post-trigger window is complete.
+ */
+function startImpactCapture(hb, impact, { offsets, mounting }) {
+  hb.capture.open.push({
+    impact,
+    offsets,
+    mounting,
+    samples: hb.capture.pre.slice(),
+  });
+}
+
+/**
+ * Record every impact a headband is still capturing, e.g. when it disconnects or
+ * the dashboard is paused; their waveforms are cut short.
+ */
+function flushImpactCaptures(hb) {
+  hb.capture.open.forEach(finishImpactCapture);
+  hb.capture.open = [];
+}
+
+/**
+ * Add the standard metrics from a finished (or cut short) capture to its impact,
+ * record the impact and store the waveform with times relative to the trigger.
+ */
+function finishImpactCapture({ impact, offsets, mounting, samples }) {
+  const waveform = {
+    player: impact.player,
+    time: impact.time,
+    headband: impact.headband,
+    preMs: IMPACT_PRE_TRIGGER_MS,
+    postMs: IMPACT_POST_TRIGGER_MS,
+    offsets,
+    mounting,
+    samples: samples.map(({ time, accel, gyro, gravity, zeroedA, zeroedG }) => ({ t: time - impact.time, accel, gyro, gravity, zeroedA, zeroedG })),
+  };
+  Object.assign(impact, ScoringEngine.impactMetrics(waveform.samples, { offsets, mounting }));
+  recordImpact(impact);
+  DataStore.putWaveform(waveform)
+    .then(() => {
+      if (detailImpact === impact) renderImpactWaveform(impact, waveform);
+    })
+    .catch(e => reportStorageError(e, "impact waveform"));
+}
+
+/* --------------------- DATA SOURCES --------------------- */
+/*
+ * A data source delivers a headband's raw notifications, whatever the transport:
+ *   { id, name, kind, connected, open({ onData, onDisconnect }), close(), write(bytes), detach() }
+ * onData receives binary packets, legacy JSON or command replies (see packet.js);
+ * onDisconnect fires when the link drops or close() is called. write() is optional.
+ */
+
+/**
+ * Data source for a Web Bluetooth headband.
+ */
+function createBleSource(device) {
+  let handlers = null;
+  let characteristic = null;
+  const onValue = (event) => handlers.onData(event.target.value);
+  const onGattDisconnected = () => handlers.onDisconnect();
+  return {
+    id: device.id,
+    name: device.name || DEVICE_NAME,
+    kind: 'ble',
+    get connected() {
+      return device.gatt.connected;
+    },
+    async open(h) {
+      handlers = h;
+      const server = await device.gatt.connect();
+      const service = await server.getPrimaryService(SERVICE_UUID);
+      characteristic = await service.getCharacteristic(CHARACTERISTIC_UUID);
+      await characteristic.startNotifications();
+      // Same listener functions every time, so reconnecting never registers them twice
+      characteristic.addEventListener('characteristicvaluechanged', onValue);
+      device.addEventListener('gattserverdisconnected', onGattDisconnected);
+    },
+    async close() {
+      if (device.gatt.connected) await device.gatt.disconnect();
+    },
+    write(bytes) {
+      if (!characteristic) return Promise.reject(new Error('Not connected'));
+      return characteristic.writeValueWithResponse
+        ? characteristic.writeValueWithResponse(bytes)
+        : characteristic.writeValue(bytes);
+    },
+    detach() {
+      device.removeEventListener('gattserverdisconnected', onGattDisconnected);
+    },
+  };
+}
+
+/** Stable ids for serial ports, so picking the same port twice finds its headband. */
+const serialPortIds = new WeakMap();
+
+/**
+ * Data source for a USB-connected headband over Web Serial. The firmware prints one
+ * JSON sample per line; boot and status messages are skipped. Commands are BLE-only.
+ */
+function createSerialSource(port) {
+  if (!serialPortIds.has(port)) serialPortIds.set(port, `serial-${++serialPortCounter}`);
+  let handlers = null;
+  let reader = null;
+  let reading = null;
+  let isOpen = false;
+
+  const readLines = async () => {
+    let pending = new Uint8Array(0);
+    try {
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const joined = new Uint8Array(pending.length + value.length);
+        joined.set(pending);
+        joined.set(value, pending.length);
+        let start = 0;
+        for (let end = joined.indexOf(10); end !== -1; end = joined.indexOf(10, start)) {
+          if (joined[start] === 0x7B) handlers.onData(joined.subarray(start, end));
+          start = end + 1;
+        }
+        pending = joined.slice(start);
+        // A line this long is noise (e.g. a wrong baud rate), not a sample
+        if (pending.length > SERIAL_MAX_LINE_BYTES) pending = new Uint8Array(0);
+      }
+    } catch (e) {
+      console.warn("Serial read stopped:", e);
+    } finally {
+      reader.releaseLock();
+      reader = null;
+      if (isOpen) {
+        isOpen = false;
+        await port.close().catch(() => {});
+        handlers.onDisconnect();
+      }
+    }
+  };
+
+  return {
+    id: serialPortIds.get(port),
+    name: 'USB headband',
+    kind: 'serial',
+    get connected() {
+      return isOpen;
+    },
+    async open(h) {
+      handlers = h;
+      await port.open({ baudRate: SERIAL_BAUD_RATE });
+      isOpen = true;
+      reader = port.readable.getReader();
+      reading = readLines();
+    },
+    async close() {
+      if (!reader) return;
+      await reader.cancel().catch(() => {});
+      await reading;
+    },
+    detach() {},
+  };
+}
+
+/**
+ * Add a simulated headband streaming the given activity.
+ */
+function connectSimulator(mode = 'idle') {
+  const source = HeadbandSimulator.createSource({ mode, seed: Date.now() % 100000 });
+  return connectHeadband(source);
+}
+
+/* --------------------- HEADBANDS & SENSOR --------------------- */
+/**
+ * Create a headband and open its track in the sensor pipeline, which keeps its
+ * scoring-engine detector (smoothing buffers, offsets, stillness buffers and
+ * impact detector timing).
+ */
+function createHeadbandState(source, playerId, label = `Headband ${++headbandCounter}`, mounting = getMounting(source.id)) {
+  const hb = {
+    id: source.id,
+    label,
+    source,
+    playerId,
+    replay: false,
+    status: 'connected',
+    stream: SensorPacket.createStream(),
+    userDisconnected: false,
+    reconnect: { attempt: 0, timer: null, lostAt: 0, connecting: false },
+    commands: { nextId: 1, pending: new Map(), queue: Promise.resolve() },
+    deviceInfo: {},
+    capture: { pre: [], open: [] },
+    mounting,
+  };
+  pipeline.post({ type: 'open', id: hb.id, config: detectorConfig(hb), mounting });
+  hb.handlers = {
+    onData: (value) => handleSourceData(hb, value),
+    onDisconnect: () => onDisconnected(hb),
+  };
+  return hb;
+}
+
+/**
+ * Default player for a newly connected headband: the first player without one.
+ */
+function nextUnassignedPlayerId() {
+  const assigned = new Set([...headbands.values()].map(hb => hb.playerId));
+  const free = roster.find(player => !assigned.has(player.id));
+  return free ? free.id : activePlayerId;
+}
+
+/**
+ * Open a headband's data source with a fresh packet stream.
+ */
+async function openHeadbandSource(hb) {
+  hb.stream = SensorPacket.createStream();
+  pipeline.post({ type: 'stream', id: hb.id });
+  await hb.source.open(hb.handlers);
+}
+
+/**
+ * Connect to a headband's data source and start streaming. Already connected headbands
+ * stay connected; picking a headband that is waiting to reconnect retries it immediately.
+ */
+async function connectHeadband(source) {
+  if (headbands.has(source.id)) {
+    const existing = headbands.get(source.id);
+    if (existing.status === 'reconnecting') retryReconnect(existing);
+    else showNotification(`${existing.label} is already connected`, "connected");
+    return existing;
+  }
+  const label = source.kind === 'simulator' ? `Simulator ${++headbandCounter}`
+    : source.kind === 'serial' ? `USB Headband ${++headbandCounter}` : undefined;
+  const hb = createHeadbandState(source, nextUnassignedPlayerId(), label);
+  await openHeadbandSource(hb);
+
+  headbands.set(hb.id, hb);
+  pipelineControl(hb, 'connect', Date.now());
+  if (isPaused) pipelineControl(hb, 'pause');
+  renderPauseButton();
+  updateConnectionStatus('connected', hb);
+  if (!focusedHeadbandId) focusHeadband(hb.id);
+  else renderSidelineGrid();
+  // Older firmware does not answer commands; its detector keeps the profile's rate.
+  sendDeviceCommand(hb, 'INFO').then(reply => updateDeviceInfo(hb, reply), () => {});
+  return hb;
+}
+
+/**
+ * Disconnect a headband on request. It is not reconnected automatically.
+ */
+async function disconnectHeadband(hb) {
+  hb.userDisconnected = true;
+  clearTimeout(hb.reconnect.timer);
+  if (hb.source.connected) await hb.source.close();
+  else if (headbands.has(hb.id)) removeHeadband(hb);
+}
+
+/**
+ * Handle a headband's disconnect event. Unless the user disconnected it, the
+ * headband stays on the sideline and reconnects in the background.
+ */
+function onDisconnected(hb) {
+  if (!headbands.has(hb.id) || hb.status === 'reconnecting') return;
+  if (hb.userDisconnected) {
+    removeHeadband(hb);
+    return;
+  }
+  pipelineControl(hb, 'disconnect');
+  rejectPendingCommands(hb, 'Headband disconnected');
+  hb.status = 'reconnecting';
+  hb.reconnect.attempt = 0;
+  hb.reconnect.lostAt = Date.now();
+  addSessionMarker('dropout', hb.id);
+  showNotification(`${hb.label} lost: reconnecting…`, "disconnected");
+  scheduleReconnect(hb);
+}
+
+/**
+ * Schedule the next reconnect attempt, doubling the delay each time. Gives up after
+ * RECONNECT_MAX_ATTEMPTS and removes the headband.
+ */
+function scheduleReconnect(hb) {
+  if (hb.reconnect.attempt >= RECONNECT_MAX_ATTEMPTS) {
+    removeHeadband(hb);
+    showNotification(`${hb.label} could not reconnect`, "disconnected");
+    return;
+  }
+  const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** hb.reconnect.attempt, RECONNECT_MAX_DELAY_MS);
+  hb.reconnect.timer = setTimeout(() => attemptReconnect(hb), delay);
+  updateSidelineTiles();
+}
+
+/**
+ * Skip the backoff wait and try to reconnect now.
+ */
+function retryReconnect(hb) {
+  if (hb.status !== 'reconnecting' || hb.reconnect.connecting) return;
+  clearTimeout(hb.reconnect.timer);
+  attemptReconnect(hb);
+}
+
+/**
+ * Try to reconnect to the previously paired device. On success the detector keeps
+ * its zero offsets and the dropout is closed on the charts.
+ */
+async function attemptReconnect(hb) {
+  hb.reconnect.attempt++;
+  hb.reconnect.connecting = true;
+  updateSidelineTiles();
+  try {
+    await openHeadbandSource(hb);
+  } catch (e) {
+    console.warn(`Reconnect attempt ${hb.reconnect.attempt} failed:`, e);
+    hb.reconnect.connecting = false;
+    if (headbands.has(hb.id) && !hb.userDisconnected) scheduleReconnect(hb);
+    return;
+  }
+  hb.reconnect.connecting = false;
+  if (!headbands.has(hb.id) || hb.userDisconnected) {
+    hb.source.close();
+    return;
+  }
   const now = Date.now();
-  if (now - lastImpactTime < DEAD_TIME_MS) return;
-  const aMagnitude = Math.sqrt(a.x ** 2 + a.y ** 2 + a.z ** 2);
-  const aInG = aMagnitude / 9.81;
-  const gAdjusted = {
-    x: g.x * GYRO_MULTIPLIER,
-    y: g.y * GYRO_MULTIPLIER,
-    z: g.z * GYRO_MULTIPLIER,
+  hb.status = 'connected';
+  pipelineControl(hb, 'reconnect', now);
+  if (isPaused) pipelineControl(hb, 'pause');
+  addSessionMarker('reconnect', hb.id);
+  showNotification(`${hb.label} reconnected after ${((now - hb.reconnect.lostAt) / 1000).toFixed(1)} s`, "connected");
+  updateSidelineTiles();
+}
+
+/**
+ * Take a headband off the sideline for good.
+ */
+function removeHeadband(hb) {
+  clearTimeout(hb.reconnect.timer);
+  rejectPendingCommands(hb, 'Headband disconnected');
+  if (deviceModalHeadbandId === hb.id) closeDeviceModal();
+  flushImpactCaptures(hb);
+  hb.source.detach();
+  pipeline.post({ type: 'close', id: hb.id });
+  headbands.delete(hb.id);
+  updateConnectionStatus('disconnected', hb);
+  if (focusedHeadbandId === hb.id) {
+    focusedHeadbandId = null;
+    attitudeReadoutEl.textContent = '';
+    const next = headbands.keys().next();
+    if (!next.done) focusHeadband(next.value);
+  }
+  renderSidelineGrid();
+  if (!headbands.size) {
+    isPaused = false;
+    bluetoothModal.classList.remove("hidden");
+  }
+  renderPauseButton();
+}
+
+/**
+ * Hand one notification from a headband's data source (a binary sample batch, a
+ * legacy JSON sample or a command reply) to the sensor pipeline. The bytes are
+ * copied so the buffer can be transferred to the worker.
+ */
+function handleSourceData(hb, value) {
+  try {
+    const bytes = SensorPipeline.copyBytes(value);
+    pipeline.post({ type: 'data', id: hb.id, bytes, receivedAt: Date.now() }, [bytes.buffer]);
+  } catch (e) {
+    console.error("Error in data handler:", e);
+  }
+}
+
+/* --------------------- SENSOR PIPELINE --------------------- */
+/**
+ * Start the sensor pipeline in a Web Worker, or on the page where workers are not
+ * available (e.g. opened from file://). Either way it is driven by messages.
+ */
+function createPipelineClient() {
+  if (typeof Worker !== 'undefined') {
+    try {
+      const worker = new Worker('pipeline-worker.js');
+      worker.addEventListener('message', (event) => onPipelineMessage(event.data));
+      worker.addEventListener('error', (event) => console.error("Sensor pipeline worker error:", event.message));
+      return { post: (message, transfer = []) => worker.postMessage(message, transfer) };
+    } catch (e) {
+      console.warn("Sensor pipeline worker unavailable, processing on the page:", e);
+    }
+  }
+  const local = SensorPipeline.createPipeline(onPipelineMessage);
+  return { post: (message) => local.handle(message) };
+}
+
+/**
+ * The headband (or replay track) a pipeline message belongs to; null once it is gone.
+ */
+function pipelineHeadband(id) {
+  if (replay.hb && replay.hb.id === id) return replay.hb;
+  return headbands.get(id) || null;
+}
+
+/**
+ * Connect, reconnect, disconnect, pause or resume a headband's detector.
+ */
+function pipelineControl(hb, action, time = Date.now(), marker = null) {
+  pipeline.post({ type: 'control', id: hb.id, action, time, marker });
+}
+
+function onPipelineMessage(message) {
+  const hb = pipelineHeadband(message.id);
+  if (!hb) return;
+  try {
+    if (message.type === 'batch') handlePipelineBatch(hb, message);
+    else if (message.type === 'response') handleDeviceResponse(hb, message.response);
+    else if (message.type === 'marker') drawSessionMarker(message.marker, message.time);
+    else if (message.type === 'error') console.error(`${hb.label}: ${message.message}`);
+  } catch (e) {
+    console.error("Error in sensor pipeline handler:", e);
+  }
+}
+
+/**
+ * Take a processed sample batch: record and capture the raw samples, start impact
+ * captures and chart the batch if the headband is on screen. Live headbands and
+ * recording replay share this path.
+ */
+function handlePipelineBatch(hb, batch) {
+  if (batch.lost) console.warn(`${hb.label}: ${batch.lost} packet(s) lost`);
+  if (!hb.replay) hb.stream = batch.stream;
+  const onScreen = replay.hb ? hb === replay.hb : hb.id === focusedHeadbandId;
+  const impacts = batch.impacts.slice();
+  let sample = null;
+  for (let i = 0; i < batch.times.length; i++) {
+    const current = SensorPipeline.sampleAt(batch, i);
+    const { time, accel, gyro, gravity, zeroedA, zeroedG } = current;
+    // Recordings keep the raw stream while paused; only detection and the display stop
+    if (!hb.replay) recordSample(hb, { accel, gyro }, time);
+    if (batch.paused[i]) continue;
+    sample = current;
+    if (!hb.replay) captureSample(hb, { time, accel, gyro, gravity, zeroedA, zeroedG });
+    // An impact's capture starts from the samples up to and including its trigger
+    while (impacts.length && impacts[0].index === i) {
+      const { impact: detected, offsets, mounting } = impacts.shift();
+      const impact = { ...detected, player: hb.playerId, headband: hb.id, profile: activeProfileId };
+      if (hb.replay) onReplayImpact(impact);
+      else {
+        impact.session = SessionLog.sessionIdFor(getActiveSession(), hb.playerId);
+        startImpactCapture(hb, impact, { offsets, mounting });
+      }
+    }
+    if (onScreen) {
+      scheduleChartPoint(accelChart, time, zeroedA.x, zeroedA.y, zeroedA.z);
+      scheduleChartPoint(gyroChart, time, zeroedG.x, zeroedG.y, zeroedG.z);
+    }
+  }
+  if (onScreen && sample) {
+    latestDisplay.a = sample.zeroedA;
+    latestDisplay.g = sample.zeroedG;
+    updateUI(sample.zeroedA, sample.zeroedG, sample.attitude);
+  }
+}
+
+/* --------------------- DEVICE CONTROL --------------------- */
+/**
+ * How a headband is worn, as saved for its id (the default mounting if never set).
+ */
+function getMounting(headbandId) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(MOUNTING_STORAGE_KEY) || '{}');
+    if (stored[headbandId]) return stored[headbandId];
+  } catch (e) {
+    console.error("Failed to load mounting:", e);
+  }
+  return ScoringEngine.DEFAULT_MOUNTING;
+}
+
+/**
+ * Save and apply a headband's mounting. Throws if the axes are not perpendicular.
+ */
+function setHeadbandMounting(hb, mounting) {
+  ScoringEngine.mountingBasis(mounting);
+  hb.mounting = { forward: mounting.forward, up: mounting.up };
+  pipeline.post({ type: 'mounting', id: hb.id, mounting: hb.mounting });
+  try {
+    const stored = JSON.parse(localStorage.getItem(MOUNTING_STORAGE_KEY) || '{}');
+    stored[hb.id] = hb.mounting;
+    localStorage.setItem(MOUNTING_STORAGE_KEY, JSON.stringify(stored));
+  } catch (e) {
+    reportStorageError(e, "mounting");
+  }
+}
+
+/**
+ * Detector settings for a headband: the active profile, with the nominal sample
+ * rate taken from the headband when it has reported one.
+ */
+function detectorConfig(hb) {
+  const config = getActiveProfile().config;
+  return hb.deviceInfo.rate ? { ...config, sampleRateHz: hb.deviceInfo.rate } : config;
+}
+
+/**
+ * Send a "<id> <COMMAND> [value]" command to a headband. Commands are sent one at a
+ * time; resolves with the device's reply, rejects on an error reply or timeout.
+ */
+function sendDeviceCommand(hb, command, value = null, timeoutMs = DEVICE_COMMAND_TIMEOUT_MS) {
+  const run = () => new Promise((resolve, reject) => {
+    if (hb.status !== 'connected') {
+      reject(new Error('Headband not connected'));
+      return;
+    }
+    if (!hb.source.write) {
+      reject(new Error('This connection does not support commands'));
+      return;
+    }
+    const id = hb.commands.nextId;
+    hb.commands.nextId = id % 999 + 1;
+    const timer = setTimeout(() => {
+      hb.commands.pending.delete(id);
+      reject(new Error('No reply (firmware may not support commands)'));
+    }, timeoutMs);
+    hb.commands.pending.set(id, { command, resolve, reject, timer });
+    const text = [id, command, value].filter(part => part !== null).join(' ');
+    const bytes = new TextEncoder().encode(text);
+    hb.source.write(bytes).catch(e => {
+      clearTimeout(timer);
+      hb.commands.pending.delete(id);
+      reject(e);
+    });
+  });
+  const result = hb.commands.queue.then(run);
+  hb.commands.queue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Settle the pending command a device reply belongs to.
+ */
+function handleDeviceResponse(hb, response) {
+  const pending = hb.commands.pending.get(response.resp);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  hb.commands.pending.delete(response.resp);
+  if (response.ok) pending.resolve(response);
+  else pending.reject(new Error(response.error || `${pending.command} failed`));
+}
+
+/**
+ * Fail every command still waiting for a reply, e.g. when the headband drops out.
+ */
+function rejectPendingCommands(hb, reason) {
+  hb.commands.pending.forEach(({ timer, reject }) => {
+    clearTimeout(timer);
+    reject(new Error(reason));
+  });
+  hb.commands.pending.clear();
+}
+
+/**
+ * Store settings reported by a headband and match its detector's nominal rate.
+ */
+function updateDeviceInfo(hb, reply) {
+  const { resp, ok, ...info } = reply;
+  Object.assign(hb.deviceInfo, info);
+  pipeline.post({ type: 'configure', id: hb.id, config: detectorConfig(hb) });
+  if (deviceModalHeadbandId === hb.id) renderDeviceSettings();
+}
+
+/**
+ * Open the device settings panel for a headband and query its current state.
+ */
+function openDeviceModal(headbandId) {
+  const hb = headbands.get(headbandId);
+  if (!hb) return;
+  deviceModalHeadbandId = headbandId;
+  deviceLogEl.innerHTML = '';
+  renderDeviceSettings();
+  deviceModal.classList.remove('hidden');
+  refreshDeviceInfo();
+}
+
+/**
+ * Close the device settings panel.
+ */
+function closeDeviceModal() {
+  deviceModalHeadbandId = null;
+  deviceModal.classList.add('hidden');
+}
+
+/**
+ * Append an acknowledgement or error to the panel's command log.
+ */
+function logDeviceEvent(text, ok) {
+  const item = document.createElement('li');
+  item.className = ok ? 'text-green-400' : 'text-red-400';
+  item.textContent = `${new Date().toLocaleTimeString()} ${ok ? '✓' : '✕'} ${text}`;
+  deviceLogEl.prepend(item);
+}
+
+/**
+ * Fill the device panel with the headband's identity, status and setting selectors.
+ */
+function renderDeviceSettings() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb) return;
+  const info = hb.deviceInfo;
+  const battery = info.batteryPercent !== undefined && info.batteryPercent !== null
+    ? `${info.batteryPercent}% (${(info.batteryMv / 1000).toFixed(2)} V)` : '–';
+  const rows = [
+    ['Headband', hb.label],
+    ['Device', info.mac ? `${info.name} · ${info.mac}` : '–'],
+    ['Chip', info.chip || '–'],
+    ['Firmware', info.firmware || '–'],
+    ['Battery', battery],
+  ];
+  deviceInfoEl.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.className = 'text-gray-500';
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.className = 'text-gray-200';
+    dd.textContent = value;
+    deviceInfoEl.append(dt, dd);
+  });
+
+  deviceFieldsEl.innerHTML = '';
+  DEVICE_SETTING_FIELDS.forEach(field => {
+    const label = document.createElement('label');
+    label.className = 'block text-sm text-gray-400';
+    label.textContent = `${field.label} (${field.unit})`;
+    const select = document.createElement('select');
+    select.name = field.key;
+    select.className = 'mt-1 w-full px-3 py-2 rounded-lg bg-[#1d2126] text-gray-200 border border-gray-700';
+    if (info[field.key] === undefined) select.innerHTML = '<option value="">Unknown</option>';
+    field.options.forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      option.selected = info[field.key] === value;
+      select.appendChild(option);
+    });
+    label.appendChild(select);
+    deviceFieldsEl.appendChild(label);
+  });
+
+  ['forward', 'up'].forEach(key => {
+    const select = mountingForm.elements[key];
+    select.innerHTML = '';
+    ScoringEngine.MOUNTING_AXES.forEach(axis => {
+      const option = document.createElement('option');
+      option.value = axis;
+      option.textContent = axis;
+      option.selected = hb.mounting[key] === axis;
+      select.appendChild(option);
+    });
+  });
+
+  const simulator = hb.source.kind === 'simulator' ? hb.source.simulator : null;
+  simulatorForm.classList.toggle('hidden', !simulator);
+  if (simulator) simulatorForm.elements.mode.value = simulator.mode;
+}
+
+/**
+ * Apply the mounting chosen in the device panel.
+ */
+function applyMountingFromForm() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb) return;
+  const mounting = { forward: mountingForm.elements.forward.value, up: mountingForm.elements.up.value };
+  try {
+    setHeadbandMounting(hb, mounting);
+    logDeviceEvent(`Mounting: forward ${mounting.forward}, up ${mounting.up}`, true);
+  } catch (e) {
+    logDeviceEvent(e.message, false);
+    mountingForm.elements.forward.value = hb.mounting.forward;
+    mountingForm.elements.up.value = hb.mounting.up;
+  }
+}
+
+/**
+ * Fill a select with the simulator's activities.
+ */
+function renderSimulatorModes(select) {
+  select.innerHTML = '';
+  Object.entries(HeadbandSimulator.MODES).forEach(([mode, { label }]) => {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+/**
+ * Hit the panel's simulated headband with the impact entered in the form.
+ */
+function triggerSimulatedImpact() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb || hb.source.kind !== 'simulator') return;
+  const g = parseFloat(simulatorForm.elements.g.value);
+  const alpha = parseFloat(simulatorForm.elements.alpha.value);
+  if (!(g > 0) || !(alpha >= 0)) {
+    logDeviceEvent('Enter a peak g above 0 and a non-negative α', false);
+    return;
+  }
+  const { simulator } = hb.source;
+  const hit = HeadbandSimulator.HITS[simulatorForm.elements.location.value];
+  HeadbandSimulator.scheduleImpact(simulator, { g, alpha, ...hit });
+  const clipped = g > simulator.settings.accelRange ? ` (clips at ±${simulator.settings.accelRange} g)` : '';
+  logDeviceEvent(`Impact to the ${simulatorForm.elements.location.value}: ${g} g, ${alpha} rad/s²${clipped}`, true);
+}
+
+/**
+ * Query firmware version, battery, settings and identity from the panel's headband.
+ */
+async function refreshDeviceInfo() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb) return;
+  for (const command of ['INFO', 'ID']) {
+    try {
+      updateDeviceInfo(hb, await sendDeviceCommand(hb, command));
+    } catch (e) {
+      logDeviceEvent(`${command}: ${e.message}`, false);
+      return;
+    }
+  }
+  logDeviceEvent('Device info updated', true);
+}
+
+/**
+ * Send every setting changed in the panel, one command at a time.
+ */
+async function applyDeviceSettings() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb) return;
+  const changes = DEVICE_SETTING_FIELDS
+    .map(field => ({ field, value: Number(deviceFieldsEl.querySelector(`[name="${field.key}"]`).value) }))
+    .filter(({ field, value }) => value && value !== hb.deviceInfo[field.key]);
+  if (!changes.length) {
+    logDeviceEvent('No changes to apply', true);
+    return;
+  }
+  for (const { field, value } of changes) {
+    try {
+      updateDeviceInfo(hb, await sendDeviceCommand(hb, field.command, value));
+      logDeviceEvent(`${field.label} set to ${value} ${field.unit}`, true);
+    } catch (e) {
+      logDeviceEvent(`${field.label}: ${e.message}`, false);
+      renderDeviceSettings();
+      return;
+    }
+  }
+}
+
+/**
+ * Run on-device calibration. The headband must lie still until it replies.
+ */
+async function calibrateDevice() {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (!hb || !confirm("Place the headband flat and keep it still, then press OK.")) return;
+  logDeviceEvent('Calibrating…', true);
+  try {
+    const reply = await sendDeviceCommand(hb, 'CAL', null, DEVICE_CALIBRATION_TIMEOUT_MS);
+    logDeviceEvent(`Calibrated (accel offsets ${reply.accelOffset.join(', ')})`, true);
+  } catch (e) {
+    logDeviceEvent(`Calibration: ${e.message}`, false);
+  }
+}
+
+/* --------------------- IMPACT LIST & DETAIL --------------------- */
+/**
+ * List the active player's most recent impacts, newest first.
+ */
+function renderImpactList() {
+  const state = getPlayerState();
+  const impacts = state ? state.impactHistory.slice(-IMPACT_LIST_LIMIT).reverse() : [];
+  impactListEl.innerHTML = '';
+  if (!impacts.length) {
+    impactListEl.innerHTML = '<li class="text-gray-500">No impacts recorded</li>';
+    return;
+  }
+  impacts.forEach(impact => {
+    const level = riskLevelFor(impact.nrs || 0);
+    const button = document.createElement('button');
+    button.className = 'w-full flex items-center gap-3 px-2 py-1 rounded-lg hover:bg-[#1d2126] text-left';
+    button.innerHTML = `
+      <span class="text-gray-400">${new Date(impact.time).toLocaleString()}</span>
+      <span class="text-gray-200">${impact.a_peak.toFixed(1)} g · ${Math.round(impact.alpha_peak)} rad/s²</span>
+      <span class="ml-auto text-gray-300">ISS ${impact.iss.toFixed(2)}</span>
+      <span class="risk-level ${level.className}">NRS ${(impact.nrs || 0).toFixed(1)}<span class="sr-only">, ${level.text}</span></span>`;
+    button.addEventListener('click', () => openImpactDetail(impact));
+    const item = document.createElement('li');
+    item.appendChild(button);
+    impactListEl.appendChild(item);
+  });
+}
+
+/**
+ * Draws a dashed line at the trigger (t = 0) on the impact waveform charts.
+ */
+const triggerLinePlugin = {
+  id: 'triggerLine',
+  afterDatasetsDraw(chart) {
+    const { ctx, chartArea, scales: { x } } = chart;
+    const left = x.getPixelForValue(0);
+    if (left < chartArea.left || left > chartArea.right) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.6)';
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(left, chartArea.top);
+    ctx.lineTo(left, chartArea.bottom);
+    ctx.stroke();
+    ctx.fillStyle = '#e0e0e0';
+    ctx.font = '11px "IBM Plex Sans"';
+    ctx.fillText('Trigger', left + 4, chartArea.top + 12);
+    ctx.restore();
+  },
+};
+
+/**
+ * Chart of one impact's x/y/z and resultant against time from the trigger, with the
+ * resultant's peak marked.
+ */
+function createWaveformChart(canvas, labelPrefix, yAxisLabel) {
+  const font = { family: "IBM Plex Sans", size: 12 };
+  const line = (label, color, extra = {}) => ({ label, borderColor: color, backgroundColor: color, data: [], pointRadius: 0, borderWidth: 1.5, ...extra });
+  return new Chart(canvas.getContext('2d'), {
+    type: 'line',
+    plugins: [triggerLinePlugin],
+    data: {
+      datasets: [
+        line(`${labelPrefix} X`, 'rgb(239, 68, 68)'),
+        line(`${labelPrefix} Y`, 'rgb(59, 130, 246)'),
+        line(`${labelPrefix} Z`, 'rgb(16, 185, 129)'),
+        line('Resultant', 'rgb(229, 231, 235)', { borderWidth: 2 }),
+        line('Peak', 'rgb(250, 204, 21)', { type: 'scatter', pointRadius: 6, pointStyle: 'triangle' }),
+      ],
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      plugins: {
+        legend: { labels: { usePointStyle: true, boxWidth: 8, color: '#e0e0e0', font } },
+        tooltip: {
+          callbacks: { title: (items) => `${items[0].parsed.x.toFixed(0)} ms` },
+          backgroundColor: "#1d2126",
+        },
+      },
+      scales: {
+        x: {
+          type: 'linear',
+          title: { display: true, text: 'ms from trigger', color: '#a0a0a0', font },
+          ticks: { color: '#e0e0e0', font },
+          grid: { color: 'rgba(255,255,255,0.1)' },
+        },
+        y: {
+          title: { display: true, text: yAxisLabel, color: '#a0e0e0', font },
+          ticks: { color: '#e0e0e0', font },
+          grid: { color: 'rgba(255,255,255,0.1)' },
+        },
+      },
+    },
+  });
+}
+
+let impactAccelChart = null;
+let impactGyroChart = null;
+
+/**
+ * Times (ms from trigger) of the plotted resultants' peaks.
+ */
+function waveformPeakTimes(samples) {
+  const peakAt = key => samples.reduce((best, s) => {
+    const value = Math.hypot(s[key].x, s[key].y, s[key].z);
+    return value > best.value ? { t: s.t, value } : best;
+  }, { t: 0, value: -1 }).t;
+  return { linear: peakAt('zeroedA'), omega: peakAt('zeroedG') };
+}
+
+/**
+ * Plot a captured waveform in the detail view, or explain why there is none.
+ */
+function renderImpactWaveform(impact, waveform) {
+  impactWaveformEl.classList.toggle('hidden', !waveform);
+  if (!waveform) {
+    impactWaveformNoteEl.textContent = 'No waveform was captured for this impact (imported, recorded before capture was available, or still being captured).';
+    renderImpactSummary(impact);
+    return;
+  }
+  const cutShort = waveform.samples.length && waveform.samples[waveform.samples.length - 1].t < waveform.postMs - 50;
+  impactWaveformNoteEl.textContent = `${waveform.preMs} ms before to ${waveform.postMs} ms after the trigger · ${waveform.samples.length} samples`
+    + (cutShort ? ' · cut short by a disconnect or pause' : '');
+  if (!impactAccelChart) {
+    impactAccelChart = createWaveformChart(document.getElementById('impactAccelCanvas'), 'Accel', 'm/s²');
+    impactGyroChart = createWaveformChart(document.getElementById('impactGyroCanvas'), 'Gyro', 'rad/s');
+  }
+  const peaks = waveformPeakTimes(waveform.samples);
+  [[impactAccelChart, 'zeroedA', peaks.linear], [impactGyroChart, 'zeroedG', peaks.omega]].forEach(([chart, key, peakT]) => {
+    const ds = chart.data.datasets;
+    ['x', 'y', 'z'].forEach((axis, i) => {
+      ds[i].data = waveform.samples.map(s => ({ x: s.t, y: s[key][axis] }));
+    });
+    ds[3].data = waveform.samples.map(s => ({ x: s.t, y: Math.hypot(s[key].x, s[key].y, s[key].z) }));
+    ds[4].data = ds[3].data.filter(point => point.x === peakT);
+    chart.update('none');
+  });
+  renderImpactSummary(impact);
+}
+
+/**
+ * Fill the detail view's figures: detector values, standard metrics, the ISS factors
+ * and what the impact did to the player's NRS.
+ */
+function renderImpactSummary(impact) {
+  const state = getPlayerState(impact.player);
+  const metric = state ? state.severityMetric : 'iss';
+  const contribution = ScoringEngine.impactContribution(state ? state.impactHistory : [impact], impact, metric);
+  const iss = ScoringEngine.issTerms(impact.a_peak, impact.alpha_peak);
+  const known = key => Number.isFinite(impact[key]);
+  const rows = [
+    ['At trigger', `${impact.a_peak.toFixed(1)} g · ${Math.round(impact.alpha_peak)} rad/s²`],
+    ['Peak', known('peak_alpha')
+      ? `${impact.peak_g.toFixed(1)} g · ${Math.round(impact.peak_alpha)} rad/s² · ω ${impact.peak_omega.toFixed(1)} rad/s`
+      : '–'],
+    ['HIC15 / HIC36', known('hic15') ? `${impact.hic15.toFixed(0)} / ${impact.hic36.toFixed(0)}` : '–'],
+    ['BrIC', known('bric') ? impact.bric.toFixed(2) : '–'],
+    ['Location', impact.location ? LOCATION_LABELS[impact.location] : '–'],
+    ['Rotation plane', impact.plane ? PLANE_LABELS[impact.plane] : '–'],
+    ['Headband', headbands.has(impact.headband) ? headbands.get(impact.headband).label : impact.headband || '–'],
+    ['Profile', impact.profile || '–'],
+  ];
+  impactSummaryEl.innerHTML = '';
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.className = 'text-gray-500';
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.className = 'text-gray-200';
+    dd.textContent = value;
+    impactSummaryEl.append(dt, dd);
+  });
+
+  const sign = contribution.delta >= 0 ? '+' : '';
+  const { terms } = contribution;
+  impactBreakdownEl.innerHTML = `
+    <div>
+      <h3 class="text-sm font-medium text-gray-400 mb-1">ISS ${impact.iss.toFixed(2)}</h3>
+      <p class="text-gray-300">Linear log₁₀(1 + 0.8 × ${impact.a_peak.toFixed(1)} g) = ${iss.linear.toFixed(3)}</p>
+      <p class="text-gray-300">Rotational 1 + ${Math.round(impact.alpha_peak)} / 4500 = ${iss.rotational.toFixed(3)}</p>
+      <p class="text-gray-300">${iss.scale} × ${iss.linear.toFixed(3)} × ${iss.rotational.toFixed(3)} = ${impact.iss.toFixed(2)}</p>
+    </div>
+    <div>
+      <h3 class="text-sm font-medium text-gray-400 mb-1">NRS ${contribution.before.toFixed(1)} → ${contribution.after.toFixed(1)} (${sign}${contribution.delta.toFixed(1)})</h3>
+      <p class="text-gray-300">Latest ${ScoringEngine.SEVERITY_METRICS[metric].label}${metric === 'iss' ? '' : ' (ISS scale)'} ${terms.iss.toFixed(2)}</p>
+      <p class="text-gray-300">Acute (AWE) ${terms.awe.toFixed(2)}</p>
+      <p class="text-gray-300">Chronic (CLI) ${terms.cli.toFixed(2)}</p>
+    </div>`;
+}
+
+/**
+ * Open the detail view for an impact and load its waveform.
+ */
+async function openImpactDetail(impact) {
+  detailImpact = impact;
+  const player = getPlayer(impact.player);
+  document.getElementById('impactTitle').textContent = `${playerLabel(player)} · ${new Date(impact.time).toLocaleString()}`;
+  impactProtocolBtn.textContent = protocolCaseForImpact(impact) ? 'Open Protocol Case' : 'Start Protocol';
+  impactModal.classList.remove('hidden');
+  let waveform = null;
+  try {
+    waveform = await DataStore.getWaveform(impact.player, impact.time);
+  } catch (e) {
+    console.error("Failed to load impact waveform:", e);
+  }
+  if (detailImpact === impact) renderImpactWaveform(impact, waveform);
+}
+
+/**
+ * Close the impact detail view.
+ */
+function closeImpactDetail() {
+  detailImpact = null;
+  impactModal.classList.add('hidden');
+}
+
+/* --------------------- HIT MAP --------------------- */
+/**
+ * SVG path of a ring segment around (cx, cy) between two angles in degrees
+ * (0° points right, angles grow clockwise).
+ */
+function ringSegmentPath(cx, cy, inner, outer, from, to) {
+  const point = (r, deg) => `${(cx + r * Math.cos(deg * Math.PI / 180)).toFixed(1)} ${(cy + r * Math.sin(deg * Math.PI / 180)).toFixed(1)}`;
+  return `M ${point(inner, from)} L ${point(outer, from)} A ${outer} ${outer} 0 0 1 ${point(outer, to)} `
+    + `L ${point(inner, to)} A ${inner} ${inner} 0 0 0 ${point(inner, from)} Z`;
+}
+
+/**
+ * Head seen from above (nose up) with each hit location shaded by its share of the
+ * impacts; the crown is the top of the head and the bar below is underneath.
+ */
+function headDiagramSVG(counts) {
+  const max = Math.max(1, ...Object.values(counts));
+  const fill = location => (counts[location]
+    ? `rgba(239, 68, 68, ${(0.2 + 0.8 * counts[location] / max).toFixed(2)})` : '#1d2126');
+  const regions = [
+    ['front', ringSegmentPath(80, 80, 26, 62, -135, -45), [80, 36]],
+    ['right', ringSegmentPath(80, 80, 26, 62, -45, 45), [124, 84]],
+    ['back', ringSegmentPath(80, 80, 26, 62, 45, 135), [80, 128]],
+    ['left', ringSegmentPath(80, 80, 26, 62, 135, 225), [36, 84]],
+  ];
+  const shape = ([location, d, [x, y]]) => `
+    <path d="${d}" fill="${fill(location)}" stroke="#4b5563"><title>${LOCATION_LABELS[location]}: ${counts[location]}</title></path>
+    <text x="${x}" y="${y}" text-anchor="middle" fill="#e5e7eb" font-size="12">${counts[location]}</text>`;
+  return `<svg viewBox="0 0 160 185" class="w-full max-w-[12rem] mx-auto">
+    <path d="M 72 19 L 80 6 L 88 19" fill="none" stroke="#9ca3af" stroke-width="2"/>
+    ${regions.map(shape).join('')}
+    <circle cx="80" cy="80" r="26" fill="${fill('top')}" stroke="#4b5563"><title>${LOCATION_LABELS.top}: ${counts.top}</title></circle>
+    <text x="80" y="84" text-anchor="middle" fill="#e5e7eb" font-size="12">${counts.top}</text>
+    <rect x="50" y="155" width="60" height="24" rx="6" fill="${fill('bottom')}" stroke="#4b5563"><title>${LOCATION_LABELS.bottom}: ${counts.bottom}</title></rect>
+    <text x="80" y="171" text-anchor="middle" fill="#e5e7eb" font-size="12">${counts.bottom}</text>
+  </svg>`;
+}
+
+/**
+ * Count impacts per hit location and per rotation plane.
+ */
+function countHits(impacts) {
+  const locations = Object.fromEntries(ScoringEngine.IMPACT_LOCATIONS.map(l => [l, 0]));
+  const planes = Object.fromEntries(ScoringEngine.ROTATION_PLANES.map(p => [p, 0]));
+  let unknown = 0;
+  impacts.forEach(impact => {
+    if (impact.location in locations) locations[impact.location]++;
+    else unknown++;
+    if (impact.plane in planes) planes[impact.plane]++;
+  });
+  return { locations, planes, unknown };
+}
+
+/**
+ * Render the active player's hit maps for this session and for all time.
+ */
+function renderHitMaps() {
+  const state = getPlayerState();
+  const impacts = state ? state.impactHistory : [];
+  document.getElementById('hitMapTitle').textContent = `Hit Map · ${playerLabel(getPlayer())}`;
+  // The running session's impacts, or everything since the page was opened
+  const session = getActiveSession();
+  const since = new Date(session ? session.start : sessionStartedAt).toLocaleTimeString();
+  [
+    [
+      'hitMapSession',
+      `${session ? SessionLog.sessionTitle(session) : 'This session'} (since ${since})`,
+      impacts.filter(imp => (session ? imp.session === session.id : imp.time >= sessionStartedAt)),
+    ],
+    ['hitMapAllTime', 'All time', impacts],
+  ].forEach(([id, title, list]) => {
+    const { locations, planes, unknown } = countHits(list);
+    const planeText = ScoringEngine.ROTATION_PLANES.map(p => `${PLANE_LABELS[p]} ${planes[p]}`).join(' · ');
+    const container = document.getElementById(id);
+    container.innerHTML = `
+      ${headDiagramSVG(locations)}
+      <p class="text-xs text-gray-400 mt-2 text-center">Rotation: ${planeText}</p>
+      ${unknown ? `<p class="text-xs text-gray-500 text-center">${unknown} without a recorded direction</p>` : ''}`;
+    // The session title is user input, so it is set as text
+    const heading = document.createElement('h3');
+    heading.className = 'text-sm font-medium text-gray-400 mb-2';
+    heading.textContent = `${title}: ${list.length} impact(s)`;
+    container.prepend(heading);
+  });
+}
+
+/* --------------------- SESSIONS --------------------- */
+/**
+ * Load the stored sessions, newest first.
+ */
+async function loadSessions() {
+  try {
+    sessions.push(...await DataStore.getSessions());
+  } catch (e) {
+    console.error("Failed to load sessions:", e);
+  }
+  renderSessionButton();
+}
+
+/**
+ * The running session, or null.
+ */
+function getActiveSession() {
+  return sessions.find(SessionLog.isActive) || null;
+}
+
+/**
+ * Duration as "1 h 05 min", "12 min 30 s" or "45 s".
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor(seconds / 60) % 60;
+  const s = seconds % 60;
+  if (h) return `${h} h ${String(m).padStart(2, '0')} min`;
+  return m ? `${m} min ${String(s).padStart(2, '0')} s` : `${s} s`;
+}
+
+/**
+ * Start a session from the form. Impacts of the chosen players are linked to it until it stops.
+ */
+async function startSessionFromForm() {
+  if (getActiveSession()) return;
+  const form = sessionForm.elements;
+  const participants = [...sessionParticipantsEl.querySelectorAll('input:checked')].map(input => input.value);
+  let session;
+  try {
+    session = SessionLog.createSession({ type: form.type.value, label: form.label.value, participants });
+  } catch (e) {
+    showNotification(e.message, "disconnected");
+    return;
+  }
+  try {
+    await DataStore.putSession(session);
+  } catch (e) {
+    reportStorageError(e, "session");
+    return;
+  }
+  sessions.unshift(session);
+  sessionForm.elements.label.value = '';
+  showNotification(`${SessionLog.sessionTitle(session)} started`, "connected");
+  renderSessions(session.id);
+}
+
+/**
+ * Stop the running session and show its summary.
+ */
+async function stopSession() {
+  const session = getActiveSession();
+  if (!session) return;
+  SessionLog.endSession(session);
+  try {
+    await DataStore.putSession(session);
+  } catch (e) {
+    reportStorageError(e, "session");
+  }
+  showNotification(`${SessionLog.sessionTitle(session)} ended after ${formatDuration(session.end - session.start)}`, "connected");
+  renderSessions(session.id);
+}
+
+/**
+ * Delete the session shown in the list. Its impacts are kept.
+ */
+async function deleteSelectedSession() {
+  const session = sessions.find(s => String(s.id) === sessionSelectEl.value);
+  if (!session || SessionLog.isActive(session)) return;
+  if (!confirm(`Delete the session "${SessionLog.sessionTitle(session)}"? Its impacts are kept.`)) return;
+  try {
+    await DataStore.deleteSession(session.id);
+    sessions.splice(sessions.indexOf(session), 1);
+  } catch (e) {
+    reportStorageError(e, "session");
+  }
+  renderSessions();
+}
+
+/**
+ * Show the running session on the header button.
+ */
+function renderSessionButton() {
+  const session = getActiveSession();
+  const button = document.getElementById('sessionsBtn');
+  button.textContent = session ? `⏱ ${SessionLog.sessionTitle(session)}` : '⏱ Sessions';
+  button.classList.toggle('recording-active', Boolean(session));
+}
+
+/**
+ * Render the start form or the running session, the session list and the selected session.
+ */
+function renderSessions(selectedId = sessionSelectEl.value) {
+  const active = getActiveSession();
+  sessionForm.classList.toggle('hidden', Boolean(active));
+  document.getElementById('activeSession').classList.toggle('hidden', !active);
+  if (active) {
+    document.getElementById('activeSessionText').textContent =
+      `${SessionLog.sessionTitle(active)} running since ${new Date(active.start).toLocaleTimeString()}`;
+  } else {
+    const selected = new Set([...sessionParticipantsEl.querySelectorAll('input:checked')].map(input => input.value));
+    const fresh = !sessionParticipantsEl.children.length;
+    sessionParticipantsEl.innerHTML = '';
+    roster.forEach(player => {
+      const label = document.createElement('label');
+      label.innerHTML = '<input type="checkbox" class="mr-1 align-middle">';
+      label.firstChild.value = player.id;
+      label.firstChild.checked = fresh || selected.has(player.id);
+      label.append(playerLabel(player));
+      sessionParticipantsEl.appendChild(label);
+    });
+  }
+
+  sessionSelectEl.innerHTML = '';
+  sessions.forEach(session => {
+    const type = SessionLog.SESSION_TYPES.find(t => t.key === session.type);
+    const option = new Option(`${new Date(session.start).toLocaleString()} · ${type.label}${session.label ? ` · ${session.label}` : ''}`, session.id);
+    option.selected = String(session.id) === String(selectedId);
+    sessionSelectEl.add(option);
+  });
+  if (!sessions.length) sessionSelectEl.innerHTML = '<option value="">No sessions</option>';
+  renderSessionButton();
+  renderSessionDetail();
+}
+
+/**
+ * Render the summary and impact timeline of the session selected in the list.
+ */
+function renderSessionDetail() {
+  const session = sessions.find(s => String(s.id) === sessionSelectEl.value);
+  document.getElementById('deleteSessionBtn').disabled = !session || SessionLog.isActive(session);
+  sessionSummaryEl.innerHTML = '';
+  sessionTimelineEl.innerHTML = '';
+  if (!session) return;
+  const summary = SessionLog.summarize(session, playerStates);
+  const duration = formatDuration(summary.durationMs) + (SessionLog.isActive(session) ? ' (running)' : '');
+  sessionSummaryEl.innerHTML = `
+    <p class="text-gray-300 mb-2">${duration} · ${summary.impactCount} impact(s) · max ISS ${summary.maxIss.toFixed(2)}</p>
+    <table class="w-full text-left">
+      <thead class="text-xs text-gray-500"><tr><th>Player</th><th>Impacts</th><th>Max ISS</th><th>NRS</th></tr></thead>
+      <tbody class="text-gray-300"></tbody>
+    </table>`;
+  const tbody = sessionSummaryEl.querySelector('tbody');
+  summary.players.forEach(p => {
+    const row = document.createElement('tr');
+    const sign = p.nrsChange > 0 ? '+' : '';
+    row.innerHTML = `<td></td><td>${p.impacts.length}</td><td>${p.maxIss.toFixed(2)}</td>
+      <td>${p.nrsBefore.toFixed(1)} → ${p.nrsAfter.toFixed(1)} (${sign}${p.nrsChange.toFixed(1)})</td>`;
+    row.firstChild.textContent = getPlayer(p.player) ? playerLabel(getPlayer(p.player)) : 'Removed player';
+    tbody.appendChild(row);
+  });
+  renderSessionTimeline(summary);
+}
+
+/**
+ * One row per player with each impact placed at its time in the session, coloured by
+ * the NRS it produced. Clicking an impact opens its detail view.
+ */
+function renderSessionTimeline(summary) {
+  const span = Math.max(1, summary.end - summary.start);
+  summary.players.forEach(p => {
+    const row = document.createElement('div');
+    row.className = 'flex items-center gap-3 mb-1';
+    row.innerHTML = `<span class="w-32 truncate text-xs text-gray-400"></span>
+      <div class="relative flex-1 h-6 rounded bg-[#1d2126]"></div>`;
+    row.firstChild.textContent = getPlayer(p.player) ? playerLabel(getPlayer(p.player)) : 'Removed player';
+    const track = row.lastElementChild;
+    p.impacts.forEach(impact => {
+      const dot = document.createElement('button');
+      const level = riskLevelFor(impact.nrs || 0);
+      dot.className = `risk-marker absolute top-1.5 w-3 h-3 -ml-1.5 rounded-full ${level.className}`;
+      dot.style.left = `${(100 * (impact.time - summary.start) / span).toFixed(2)}%`;
+      dot.title = `${new Date(impact.time).toLocaleTimeString()} · ISS ${impact.iss.toFixed(2)} · NRS ${(impact.nrs || 0).toFixed(1)} · ${level.text}`;
+      dot.setAttribute('aria-label', dot.title);
+      dot.addEventListener('click', () => openImpactDetail(impact));
+      track.appendChild(dot);
+    });
+    sessionTimelineEl.appendChild(row);
+  });
+  const axis = document.createElement('div');
+  axis.className = 'flex justify-between ml-36 text-xs text-gray-500';
+  axis.innerHTML = '<span></span><span></span>';
+  axis.firstChild.textContent = new Date(summary.start).toLocaleTimeString();
+  axis.lastChild.textContent = new Date(summary.end).toLocaleTimeString();
+  sessionTimelineEl.appendChild(axis);
+}
+
+/* --------------------- ANALYTICS --------------------- */
+/**
+ * Chart for the analytics view. Time charts pan and zoom along x.
+ */
+function createAnalyticsChart(canvas, type, { xTitle, yTitle, timeAxis = false, zoom = false }) {
+  const font = { family: "IBM Plex Sans", size: 12 };
+  const axis = (text) => ({
+    title: { display: true, text, color: '#a0a0a0', font },
+    ticks: { color: '#e0e0e0', font, maxTicksLimit: 10 },
+    grid: { color: 'rgba(255,255,255,0.1)' },
+  });
+  const x = axis(xTitle);
+  if (timeAxis) {
+    x.type = 'linear';
+    x.ticks.callback = (value) => new Date(value).toLocaleDateString();
+  }
+  return new Chart(canvas.getContext('2d'), {
+    type,
+    data: { labels: [], datasets: [] },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: false,
+      interaction: { mode: 'nearest', axis: 'x', intersect: false },
+      plugins: {
+        legend: { labels: { boxWidth: 12, color: '#e0e0e0', font } },
+        tooltip: {
+          backgroundColor: "#1d2126",
+          callbacks: timeAxis ? { title: (items) => new Date(items[0].parsed.x).toLocaleString() } : {},
+        },
+        zoom: zoom ? {
+          pan: { enabled: true, mode: 'x' },
+          zoom: { wheel: { enabled: true, speed: 0.05 }, pinch: { enabled: true }, mode: 'x' },
+        } : false,
+      },
+      scales: { x, y: { ...axis(yTitle), beginAtZero: true } },
+    },
+  });
+}
+
+/**
+ * Create the analytics charts the first time the view opens.
+ */
+function ensureAnalyticsCharts() {
+  if (analyticsCharts) return;
+  const count = createAnalyticsChart(document.getElementById('analyticsCountCanvas'), 'bar', { xTitle: 'Period', yTitle: 'Impacts', zoom: true });
+  count.options.scales.y1 = {
+    ...count.options.scales.y,
+    position: 'right',
+    title: { ...count.options.scales.y.title, text: 'Cumulative ISS' },
+    grid: { drawOnChartArea: false },
   };
-  const omega = Math.sqrt(gAdjusted.x ** 2 + gAdjusted.y ** 2 + gAdjusted.z ** 2);
-  const alpha = (omega - lastGyro) / 0.01;
-  lastGyro = omega;
-  if (aInG < MIN_LINEAR_G) return;
-  if (Math.abs(alpha) < MIN_ROTATIONAL_RAD_S2) return;
-  const whise = 0.4 * (aInG / 100) + 0.6 * (Math.abs(alpha) / 6000);
-  if (whise >= WHISE_THRESHOLD) {
-    lastImpactTime = now;
-    const iss = Math.log10(1 + aInG * 0.8) * (1 + Math.abs(alpha) / 4500) * 0.75;
-    const impact = { time: now, a_peak: aInG, alpha_peak: Math.abs(alpha), iss: parseFloat(iss.toFixed(2)) };
-    impactHistory.push(impact);
-    saveImpactHistory();
-    processImpact(impact);
+  analyticsCharts = {
+    count,
+    cli: createAnalyticsChart(document.getElementById('analyticsCliCanvas'), 'line', { xTitle: 'Date', yTitle: 'CLI', timeAxis: true, zoom: true }),
+    peakG: createAnalyticsChart(document.getElementById('analyticsPeakGCanvas'), 'bar', { xTitle: 'Peak linear (g)', yTitle: 'Impacts' }),
+    alpha: createAnalyticsChart(document.getElementById('analyticsAlphaCanvas'), 'bar', { xTitle: 'Peak rotational (rad/s²)', yTitle: 'Impacts' }),
+  };
+}
+
+function resetAnalyticsZoom() {
+  if (analyticsCharts) Object.values(analyticsCharts).forEach(chart => chart.resetZoom && chart.resetZoom());
+}
+
+/**
+ * Value for a date input (local date).
+ */
+function dateInputValue(timeMs) {
+  return dateTimeInputValue(timeMs).slice(0, 10);
+}
+
+/**
+ * Fill the player and range selectors, keeping the current choices.
+ */
+function renderAnalyticsControls() {
+  const form = analyticsForm.elements;
+  const player = form.player.value;
+  form.player.innerHTML = '';
+  form.player.add(new Option('All players', ''));
+  roster.forEach(p => form.player.add(new Option(playerLabel(p), p.id)));
+  form.player.value = roster.some(p => p.id === player) ? player : '';
+  if (!form.range.options.length) {
+    ImpactAnalytics.RANGES.forEach(({ key, label }) => form.range.add(new Option(label, key)));
+    form.range.add(new Option('Custom', 'custom'));
+    form.range.value = '30d';
+  }
+}
+
+/**
+ * The players the analytics view covers.
+ */
+function analyticsPlayers() {
+  const playerId = analyticsForm.elements.player.value;
+  return playerId ? roster.filter(p => p.id === playerId) : roster.slice();
+}
+
+/**
+ * The chosen date range as { from, to } in ms. Custom ranges include the whole "to" day.
+ */
+function analyticsRange(impacts) {
+  const form = analyticsForm.elements;
+  if (form.range.value !== 'custom') {
+    const range = ImpactAnalytics.rangeBounds(form.range.value, Date.now(), impacts);
+    form.from.value = dateInputValue(range.from);
+    form.to.value = dateInputValue(range.to);
+    return range;
+  }
+  const from = new Date(`${form.from.value}T00:00`).getTime();
+  const to = new Date(`${form.to.value}T00:00`).getTime();
+  if (!Number.isFinite(from) || !Number.isFinite(to) || to < from) return null;
+  return { from, to: ImpactAnalytics.nextPeriod(to) - 1 };
+}
+
+/**
+ * Recompute every chart and comparison for the chosen players, range and grouping.
+ */
+function renderAnalytics() {
+  ensureAnalyticsCharts();
+  resetAnalyticsZoom();
+  const form = analyticsForm.elements;
+  form.from.disabled = form.to.disabled = form.range.value !== 'custom';
+  const players = analyticsPlayers();
+  const histories = players.map(p => ({ player: p, state: getPlayerState(p.id) }));
+  const all = histories.flatMap(({ state }) => state.impactHistory);
+  const range = analyticsRange(all);
+  if (!range) {
+    document.getElementById('analyticsSummary').textContent = 'Choose a "from" date on or before the "to" date.';
+    return;
+  }
+  const impacts = ImpactAnalytics.inRange(all, range);
+  const stats = ImpactAnalytics.groupStats(impacts);
+  document.getElementById('analyticsSummary').textContent =
+    `${new Date(range.from).toLocaleDateString()} – ${new Date(range.to).toLocaleDateString()}: ${stats.count} impact(s), total ISS ${stats.totalIss.toFixed(2)}, max ISS ${stats.maxIss.toFixed(2)}`;
+
+  const period = form.period.value;
+  const series = ImpactAnalytics.periodSeries(all, period, range);
+  const count = analyticsCharts.count;
+  count.data.labels = series.map(b => (period === 'week' ? 'Week of ' : '') + new Date(b.start).toLocaleDateString());
+  count.data.datasets = [
+    { label: 'Impacts', data: series.map(b => b.count), backgroundColor: 'rgba(59, 130, 246, 0.7)', yAxisID: 'y' },
+    { label: 'Cumulative ISS', type: 'line', data: series.map(b => b.cumulativeIss), borderColor: 'rgb(239, 68, 68)', backgroundColor: 'rgb(239, 68, 68)', pointRadius: 0, yAxisID: 'y1' },
+  ];
+
+  analyticsCharts.cli.data.datasets = histories.map(({ player, state }, i) => {
+    const color = ANALYTICS_COLORS[i % ANALYTICS_COLORS.length];
+    return {
+      label: playerLabel(player),
+      data: ImpactAnalytics.cliTrend(state.impactHistory, range, state.severityMetric).map(p => ({ x: p.time, y: p.cli })),
+      borderColor: color,
+      backgroundColor: color,
+      stepped: 'after',
+      pointRadius: 0,
+    };
+  });
+
+  [[analyticsCharts.peakG, ImpactAnalytics.peakG, 'rgba(16, 185, 129, 0.7)'], [analyticsCharts.alpha, ImpactAnalytics.peakAlpha, 'rgba(250, 204, 21, 0.7)']]
+    .forEach(([chart, value, color]) => {
+      const bins = ImpactAnalytics.histogram(impacts.map(value).filter(Number.isFinite));
+      chart.data.labels = bins.map(b => `${b.from}–${b.to}`);
+      chart.data.datasets = [{ label: 'Impacts', data: bins.map(b => b.count), backgroundColor: color }];
+    });
+
+  Object.values(analyticsCharts).forEach(chart => chart.update());
+  renderAnalyticsComparison(histories, range);
+}
+
+/**
+ * Tables comparing players, and the sessions in the range, over the chosen range.
+ */
+function renderAnalyticsComparison(histories, range) {
+  const head = (cells) => `<thead class="text-xs text-gray-500"><tr>${cells.map(c => `<th>${c}</th>`).join('')}</tr></thead>`;
+  const playersEl = document.getElementById('analyticsPlayers');
+  playersEl.innerHTML = head(['Player', 'Impacts', 'Total ISS', 'Max ISS', 'Mean peak g', 'CLI now', 'NRS now']) + '<tbody class="text-gray-300"></tbody>';
+  histories.forEach(({ player, state }) => {
+    const stats = ImpactAnalytics.groupStats(ImpactAnalytics.inRange(state.impactHistory, range));
+    const row = document.createElement('tr');
+    row.innerHTML = `<td></td><td>${stats.count}</td><td>${stats.totalIss.toFixed(2)}</td><td>${stats.maxIss.toFixed(2)}</td>
+      <td>${stats.meanPeakG.toFixed(1)}</td><td>${state.cli.toFixed(2)}</td><td>${state.currentNRS.toFixed(1)}</td>`;
+    row.firstChild.textContent = playerLabel(player);
+    playersEl.lastChild.appendChild(row);
+  });
+
+  const playerIds = new Set(histories.map(({ player }) => player.id));
+  const inRange = sessions
+    .filter(s => s.start >= range.from && s.start <= range.to && s.participants.some(id => playerIds.has(id)))
+    .reverse();
+  const sessionsEl = document.getElementById('analyticsSessions');
+  if (!inRange.length) {
+    sessionsEl.innerHTML = '<tbody><tr><td class="text-gray-500">No sessions in this range</td></tr></tbody>';
+    return;
+  }
+  sessionsEl.innerHTML = head(['Session', 'Started', 'Duration', 'Impacts', 'Impacts / h', 'Total ISS', 'Max ISS']) + '<tbody class="text-gray-300"></tbody>';
+  const impacts = histories.flatMap(({ state }) => state.impactHistory);
+  inRange.forEach(session => {
+    const stats = ImpactAnalytics.groupStats(impacts.filter(imp => imp.session === session.id));
+    const durationMs = (session.end || Date.now()) - session.start;
+    const row = document.createElement('tr');
+    row.innerHTML = `<td></td><td>${new Date(session.start).toLocaleString()}</td><td>${formatDuration(durationMs)}</td>
+      <td>${stats.count}</td><td>${(stats.count / Math.max(durationMs / 3600000, 1 / 60)).toFixed(1)}</td>
+      <td>${stats.totalIss.toFixed(2)}</td><td>${stats.maxIss.toFixed(2)}</td>`;
+    row.firstChild.textContent = SessionLog.sessionTitle(session);
+    sessionsEl.lastChild.appendChild(row);
+  });
+}
+
+/**
+ * Open the analytics view.
+ */
+function openAnalytics() {
+  renderAnalyticsControls();
+  analyticsModal.classList.remove('hidden');
+  renderAnalytics();
+}
+
+/* --------------------- ALERTS --------------------- */
+/**
+ * The active profile's alert rules.
+ */
+function activeAlertRules() {
+  return { ...AlertRules.DEFAULT_RULES, ...getActiveProfile().alertRules };
+}
+
+/**
+ * Load the alert output preferences from localStorage.
+ */
+function loadAlertPrefs() {
+  try {
+    const stored = localStorage.getItem(ALERT_PREFS_STORAGE_KEY);
+    if (stored) Object.assign(alertPrefs, JSON.parse(stored));
+  } catch (e) {
+    console.error("Failed to load alert preferences:", e);
+  }
+}
+
+function saveAlertPrefs() {
+  try {
+    localStorage.setItem(ALERT_PREFS_STORAGE_KEY, JSON.stringify(alertPrefs));
+  } catch (e) {
+    reportStorageError(e, "alert preferences");
+  }
+}
+
+/**
+ * Load the alert log. Alerts left unacknowledged when the page closed stay active.
+ */
+async function loadAlertLog() {
+  try {
+    alertLog.push(...await DataStore.getAlerts(ALERT_LOG_LIMIT));
+    activeAlerts.push(...alertLog.filter(AlertRules.isActive).reverse());
+  } catch (e) {
+    console.error("Failed to load alert log:", e);
+  }
+  renderAlerts();
+}
+
+/**
+ * Text of an alert, e.g. "#12 Alex Smith: 3 impacts within 10 min".
+ */
+function alertMessage(alert) {
+  const name = alert.playerName;
+  if (alert.rule === 'iss') return `${name}: impact ISS ${alert.iss.toFixed(2)} (alert at ${alert.threshold})`;
+  if (alert.rule === 'level') return `${name}: NRS ${alert.nrs.toFixed(1)}, ${RISK_LABELS[alert.from]} → ${RISK_LABELS[alert.to]}`;
+  return `${name}: ${alert.count} impacts within ${alert.minutes} min`;
+}
+
+/**
+ * Store an alert. Writes to the same alert are queued, so an alert acknowledged
+ * before its first write finished is not logged twice.
+ */
+function saveAlert(alert) {
+  const write = (alertWrites.get(alert) || Promise.resolve())
+    .then(() => DataStore.putAlert(alert))
+    .catch(e => reportStorageError(e, "alert"));
+  alertWrites.set(alert, write);
+  return write;
+}
+
+/**
+ * Raise every alert the active rules give for a newly recorded impact.
+ */
+function evaluateAlerts(impact, previousLevel) {
+  const state = getPlayerState(impact.player);
+  const fired = AlertRules.evaluateImpact(activeAlertRules(), impact, {
+    previousLevel,
+    level: riskLevelFor(impact.nrs).level,
+    history: state ? state.impactHistory : [impact],
+    recentAlerts: alertLog.filter(a => a.player === impact.player),
+  });
+  fired.forEach(details => raiseAlert({
+    ...details,
+    time: Date.now(),
+    player: impact.player,
+    playerName: playerLabel(getPlayer(impact.player)),
+    impactTime: impact.time,
+    escalations: 0,
+    escalatedAt: null,
+    acknowledgedAt: null,
+    acknowledgedBy: '',
+  }));
+}
+
+/**
+ * Log an alert, show it until it is acknowledged and signal it.
+ */
+function raiseAlert(alert) {
+  alert.message = alertMessage(alert);
+  alertLog.unshift(alert);
+  if (alertLog.length > ALERT_LOG_LIMIT) alertLog.length = ALERT_LOG_LIMIT;
+  activeAlerts.push(alert);
+  saveAlert(alert);
+  renderAlerts();
+  signalAlert(alert, false);
+}
+
+/**
+ * Sound, vibration and a system notification for an alert, as enabled.
+ * Escalations are louder and longer.
+ */
+function signalAlert(alert, escalated) {
+  const critical = alert.severity === 'critical';
+  if (alertPrefs.sound) playAlertSound(critical, escalated);
+  if (alertPrefs.vibrate && navigator.vibrate) {
+    navigator.vibrate(critical || escalated ? [400, 150, 400, 150, 400] : [300, 150, 300]);
+  }
+  if (alertPrefs.notify && 'Notification' in window && Notification.permission === 'granted') {
+    try {
+      const title = escalated ? `Unacknowledged NeuroGuard alert (${alert.escalations}×)` : 'NeuroGuard alert';
+      new Notification(title, { body: alert.message, tag: `neuroguard-alert-${alert.id}`, renotify: true, requireInteraction: true });
+    } catch (e) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.error("System notification failed:", e);
+    }
+  }
+}
+
+/**
+ * Beep through Web Audio: two beeps for a warning, three higher ones when critical.
+ */
+function playAlertSound(critical, escalated) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  try {
+    if (!alertAudio) alertAudio = new AudioContextClass();
+    const start = alertAudio.currentTime;
+    const beeps = (critical ? 3 : 2) * (escalated ? 2 : 1);
+    for (let i = 0; i < beeps; i++) {
+      const osc = alertAudio.createOscillator();
+      const gain = alertAudio.createGain();
+      osc.frequency.value = critical ? 1200 : 880;
+      gain.gain.value = escalated ? 0.6 : 0.3;
+      osc.connect(gain).connect(alertAudio.destination);
+      osc.start(start + i * 0.3);
+      osc.stop(start + i * 0.3 + 0.18);
+    }
+  } catch (e) {
+    console.error("Alert sound failed:", e);
+  }
+}
+
+/**
+ * Browsers only play audio after a user gesture; create the audio context on the first one.
+ */
+function unlockAlertSound() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  if (!alertAudio) alertAudio = new AudioContextClass();
+  if (alertAudio.state === 'suspended') alertAudio.resume().catch(() => {});
+}
+
+/**
+ * Acknowledge an active alert.
+ */
+function acknowledgeAlert(alert) {
+  AlertRules.acknowledge(alert);
+  const idx = activeAlerts.indexOf(alert);
+  if (idx !== -1) activeAlerts.splice(idx, 1);
+  saveAlert(alert);
+  renderAlerts();
+}
+
+/**
+ * Escalate unacknowledged alerts that have waited too long.
+ */
+function checkAlertEscalations() {
+  const now = Date.now();
+  const rules = activeAlertRules();
+  activeAlerts.filter(alert => AlertRules.dueForEscalation(alert, now, rules)).forEach(alert => {
+    AlertRules.escalate(alert, now);
+    saveAlert(alert);
+    signalAlert(alert, true);
+    renderAlerts();
+  });
+}
+
+/**
+ * Render the active alerts on top of the dashboard, the header count and the log.
+ */
+function renderAlerts() {
+  alertStackEl.innerHTML = '';
+  activeAlerts.slice().reverse().forEach(alert => {
+    const card = document.createElement('div');
+    const color = alert.severity === 'critical' ? 'bg-red-700' : 'bg-amber-600';
+    card.className = `${color} text-white rounded-lg shadow-xl px-4 py-3 flex items-center gap-3${alert.escalations ? ' alert-escalated' : ''}`;
+    card.setAttribute('role', 'alert');
+    const text = document.createElement('div');
+    text.className = 'flex-1 text-sm';
+    text.innerHTML = `<p class="font-medium"></p><p class="text-xs opacity-80"></p>`;
+    text.firstChild.textContent = alert.message;
+    text.lastChild.textContent = new Date(alert.time).toLocaleTimeString()
+      + (alert.escalations ? ` · escalated ${alert.escalations}×` : '');
+    const ack = document.createElement('button');
+    ack.className = 'px-3 py-1 rounded-lg bg-white/20 hover:bg-white/30 text-sm font-medium';
+    ack.textContent = 'Acknowledge';
+    ack.addEventListener('click', () => acknowledgeAlert(alert));
+    card.append(text, ack);
+    alertStackEl.appendChild(card);
+  });
+  alertCountEl.textContent = activeAlerts.length;
+  alertCountEl.classList.toggle('hidden', !activeAlerts.length);
+  if (!alertModal.classList.contains('hidden')) renderAlertLog();
+}
+
+/**
+ * Render the alert log, newest first.
+ */
+function renderAlertLog() {
+  alertLogEl.innerHTML = '';
+  if (!alertLog.length) {
+    alertLogEl.innerHTML = '<li class="text-gray-500">No alerts yet.</li>';
+  }
+  alertLog.forEach(alert => {
+    const li = document.createElement('li');
+    li.className = 'border-b border-gray-800 py-1';
+    const status = alert.acknowledgedAt
+      ? `Acknowledged after ${Math.round((alert.acknowledgedAt - alert.time) / 1000)} s`
+      : 'Not acknowledged';
+    const escalations = alert.escalations ? ` · escalated ${alert.escalations}×` : '';
+    li.innerHTML = `<span class="${alert.severity === 'critical' ? 'text-red-400' : 'text-amber-400'}"></span> <span class="text-gray-200"></span> <span class="text-xs text-gray-500"></span>`;
+    li.children[0].textContent = new Date(alert.time).toLocaleString();
+    li.children[1].textContent = alert.message;
+    li.children[2].textContent = status + escalations;
+    alertLogEl.appendChild(li);
+  });
+  const form = alertPrefsForm.elements;
+  form.sound.checked = alertPrefs.sound;
+  form.vibrate.checked = alertPrefs.vibrate;
+  form.notify.checked = alertPrefs.notify;
+  const permission = 'Notification' in window ? Notification.permission : 'unsupported';
+  const permissionBtn = document.getElementById('notifyPermissionBtn');
+  permissionBtn.disabled = permission !== 'default';
+  permissionBtn.textContent = {
+    default: 'Allow System Notifications',
+    granted: 'System notifications allowed',
+    denied: 'System notifications blocked in browser settings',
+    unsupported: 'System notifications not supported',
+  }[permission];
+}
+
+/**
+ * Ask for permission to show system notifications (needs a user gesture).
+ */
+async function requestNotificationPermission() {
+  if (!('Notification' in window)) return;
+  try {
+    await Notification.requestPermission();
+  } catch (e) {
+    console.error("Notification permission request failed:", e);
+  }
+  renderAlertLog();
+}
+
+/**
+ * Delete the alert log. Alerts still waiting for acknowledgement are kept.
+ */
+async function clearAlertLog() {
+  try {
+    await Promise.all(alertLog.map(alert => alertWrites.get(alert)));
+    await DataStore.clearAlerts();
+    alertLog.length = 0;
+    alertLog.push(...activeAlerts.slice().reverse());
+    await Promise.all(activeAlerts.map(saveAlert));
+  } catch (e) {
+    reportStorageError(e, "alert log");
+  }
+  renderAlerts();
+  renderAlertLog();
+}
+
+/* --------------------- CONCUSSION PROTOCOL --------------------- */
+/**
+ * Load a player's protocol cases and symptom baseline from IndexedDB.
+ */
+async function loadProtocols(playerId) {
+  try {
+    const [cases, baseline] = await Promise.all([DataStore.getProtocols(playerId), DataStore.getBaseline(playerId)]);
+    protocolCases.set(playerId, cases);
+    if (baseline) symptomBaselines.set(playerId, baseline);
+  } catch (e) {
+    console.error("Failed to load protocol cases:", e);
+  }
+}
+
+/**
+ * A player's protocol cases, oldest first.
+ */
+function getProtocolCases(playerId = activePlayerId) {
+  if (!protocolCases.has(playerId)) protocolCases.set(playerId, []);
+  return protocolCases.get(playerId);
+}
+
+/**
+ * A player's open case, or null.
+ */
+function openProtocolCase(playerId = activePlayerId) {
+  return getProtocolCases(playerId).find(ConcussionProtocol.isOpen) || null;
+}
+
+/**
+ * The case opened for an impact, or null.
+ */
+function protocolCaseForImpact(impact) {
+  return getProtocolCases(impact.player).find(c => c.impactTime === impact.time) || null;
+}
+
+/**
+ * Store a case and refresh everything that shows it.
+ */
+function saveProtocolCase(protocolCase) {
+  return DataStore.putProtocol(protocolCase)
+    .catch(e => reportStorageError(e, "protocol case"))
+    .then(() => {
+      renderRoster();
+      if (!protocolModal.classList.contains('hidden')) renderProtocol();
+    });
+}
+
+/**
+ * Open a case for a player unless one is already open. Returns the open case.
+ */
+function startProtocol(playerId, trigger, impactTime = null) {
+  const existing = openProtocolCase(playerId);
+  if (existing) return existing;
+  const protocolCase = ConcussionProtocol.createCase({ player: playerId, trigger, impactTime });
+  getProtocolCases(playerId).push(protocolCase);
+  showNotification(`${playerLabel(getPlayer(playerId))}: concussion protocol started`, "disconnected");
+  saveProtocolCase(protocolCase);
+  return protocolCase;
+}
+
+/**
+ * Start the protocol when an impact takes its player's NRS to an evaluation level.
+ */
+function checkProtocolTrigger(impact) {
+  const { level } = riskLevelFor(impact.nrs);
+  if (!PROTOCOL_TRIGGER_LEVELS.includes(level)) return;
+  startProtocol(impact.player, { type: 'nrs', nrs: impact.nrs, level }, impact.time);
+}
+
+/**
+ * Flag a player by hand, linking their latest impact (or the one given).
+ */
+function flagPlayer(playerId = activePlayerId, impact = null) {
+  const state = getPlayerState(playerId);
+  const linked = impact || (state && state.impactHistory[state.impactHistory.length - 1]) || null;
+  return startProtocol(playerId, { type: 'manual', nrs: state ? state.currentNRS : null }, linked ? linked.time : null);
+}
+
+/**
+ * Open the protocol view for the active player, showing a case (default: the
+ * open one, else the latest).
+ */
+function openProtocolModal(protocolCase = null) {
+  const cases = getProtocolCases();
+  shownProtocolCase = protocolCase || openProtocolCase() || cases[cases.length - 1] || null;
+  symptomForm.reset();
+  protocolModal.classList.remove('hidden');
+  renderProtocol();
+}
+
+function closeProtocolModal() {
+  shownProtocolCase = null;
+  protocolModal.classList.add('hidden');
+}
+
+/**
+ * Value for a datetime-local input (local time, minutes).
+ */
+function dateTimeInputValue(timeMs) {
+  const d = new Date(timeMs);
+  return new Date(timeMs - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Build the symptom checklist inputs.
+ */
+function renderSymptomFields() {
+  symptomFieldsEl.innerHTML = '';
+  ConcussionProtocol.SYMPTOMS.forEach(({ key, label }) => {
+    const row = document.createElement('label');
+    row.className = 'flex items-center justify-between gap-2 text-gray-300';
+    row.textContent = label;
+    const select = document.createElement('select');
+    select.name = key;
+    select.className = 'bg-[#1d2126] text-gray-200 rounded px-1 border border-gray-700';
+    for (let v = 0; v <= ConcussionProtocol.MAX_RATING; v++) select.add(new Option(String(v), String(v)));
+    row.appendChild(select);
+    symptomFieldsEl.appendChild(row);
+  });
+}
+
+/**
+ * Symptom ratings, examiner and notes from the checklist form.
+ */
+function readSymptomForm() {
+  const data = new FormData(symptomForm);
+  const symptoms = Object.fromEntries(ConcussionProtocol.SYMPTOMS.map(({ key }) => [key, data.get(key)]));
+  return { symptoms, examiner: data.get('examiner') || '', notes: data.get('notes') || '' };
+}
+
+/**
+ * Short scores of a checklist, e.g. "3 symptoms · severity 7 (+5 vs baseline)".
+ */
+function describeChecklist(symptoms, baseline) {
+  const cmp = ConcussionProtocol.compareToBaseline(symptoms, baseline);
+  const delta = n => `${n >= 0 ? '+' : ''}${n}`;
+  const versus = cmp.baseline ? ` (${delta(cmp.countDelta)} / ${delta(cmp.severityDelta)} vs baseline)` : '';
+  return `${cmp.count} symptom(s) · severity ${cmp.severity}${versus}`;
+}
+
+/**
+ * Render the shown case: trigger, removal record, return-to-play stages and the
+ * checklists compared with the player's baseline.
+ */
+function renderProtocol() {
+  const player = getPlayer();
+  const cases = getProtocolCases();
+  const baseline = symptomBaselines.get(activePlayerId) || null;
+  const c = shownProtocolCase && cases.includes(shownProtocolCase) ? shownProtocolCase : null;
+  document.getElementById('protocolTitle').textContent = `Concussion Protocol · ${playerLabel(player)}`;
+
+  protocolCaseSelectEl.innerHTML = '';
+  protocolCaseSelectEl.classList.toggle('hidden', !cases.length);
+  cases.forEach((entry, i) => {
+    const option = new Option(`${new Date(entry.openedAt).toLocaleDateString()} · ${ConcussionProtocol.caseStatus(entry)}`, String(i));
+    option.selected = entry === c;
+    protocolCaseSelectEl.add(option);
+  });
+  document.getElementById('flagPlayerBtn').disabled = !!openProtocolCase();
+
+  document.getElementById('protocolStatus').textContent = c
+    ? ConcussionProtocol.caseStatus(c) + (c.closeReason ? ` (${c.closeReason})` : '')
+    : 'No protocol case. Flag the player to start one.';
+  document.getElementById('protocolCase').classList.toggle('hidden', !c);
+  document.getElementById('saveAssessmentBtn').disabled = !c || !ConcussionProtocol.isOpen(c);
+  document.getElementById('closeCaseBtn').disabled = !c || !ConcussionProtocol.isOpen(c);
+
+  const baselineText = baseline
+    ? `Baseline ${new Date(baseline.time).toLocaleDateString()}: ${describeChecklist(baseline.symptoms, null)}`
+    : 'No baseline recorded for this player.';
+  const assessments = c ? c.assessments : [];
+  protocolAssessmentsEl.innerHTML = '';
+  [baselineText, ...assessments.map(a => {
+    const by = a.examiner ? ` · ${a.examiner}` : '';
+    return `${new Date(a.time).toLocaleString()}: ${describeChecklist(a.symptoms, baseline)}${by}`;
+  })].forEach((text, i) => {
+    const p = document.createElement('p');
+    p.className = i ? 'text-gray-200' : 'text-gray-500';
+    p.textContent = text;
+    protocolAssessmentsEl.appendChild(p);
+  });
+  if (!c) return;
+
+  const trigger = c.trigger.type === 'nrs'
+    ? `NRS ${c.trigger.nrs.toFixed(1)} (${RISK_LABELS[c.trigger.level]})`
+    : 'Flagged by staff';
+  const impact = c.impactTime === null ? null
+    : (getPlayerState(c.player) || { impactHistory: [] }).impactHistory.find(imp => imp.time === c.impactTime);
+  protocolTriggerEl.innerHTML = '';
+  [['Opened', new Date(c.openedAt).toLocaleString()], ['Trigger', trigger], ['Impact', null]].forEach(([label, value]) => {
+    const dt = document.createElement('dt');
+    dt.className = 'text-gray-500';
+    dt.textContent = label;
+    const dd = document.createElement('dd');
+    dd.className = 'text-gray-200';
+    if (value !== null) dd.textContent = value;
+    else if (impact) {
+      const link = document.createElement('button');
+      link.className = 'underline hover:text-white';
+      link.textContent = `${new Date(impact.time).toLocaleString()} · ISS ${impact.iss.toFixed(2)}`;
+      link.addEventListener('click', () => {
+        closeProtocolModal();
+        openImpactDetail(impact);
+      });
+      dd.appendChild(link);
+    } else dd.textContent = c.impactTime === null ? 'None linked' : `${new Date(c.impactTime).toLocaleString()} (no longer in history)`;
+    protocolTriggerEl.append(dt, dd);
+  });
+
+  const open = ConcussionProtocol.isOpen(c);
+  document.getElementById('protocolRemoval').textContent = c.removal
+    ? `${new Date(c.removal.time).toLocaleString()} by ${c.removal.by}${c.removal.notes ? ` · ${c.removal.notes}` : ''}`
+    : '';
+  removalForm.classList.toggle('hidden', !!c.removal || !open);
+  if (!c.removal) removalForm.elements.time.value = dateTimeInputValue(Date.now());
+
+  protocolStagesEl.innerHTML = '';
+  ConcussionProtocol.RTP_STAGES.forEach(({ stage, label, detail }) => {
+    const done = c.stages.find(s => s.stage === stage);
+    const li = document.createElement('li');
+    li.className = done ? 'text-gray-200' : 'text-gray-500';
+    li.title = detail;
+    li.textContent = `${stage}. ${label} — ${done ? `${new Date(done.time).toLocaleString()} · ${done.by}` : 'pending'}`;
+    protocolStagesEl.appendChild(li);
+  });
+  const next = ConcussionProtocol.nextStage(c);
+  stageForm.classList.toggle('hidden', !open || !c.removal || !next);
+  if (next) {
+    document.getElementById('signOffStageBtn').textContent = `Sign Off Stage ${next.stage}`;
+    stageForm.elements.time.value = dateTimeInputValue(Date.now());
   }
 }
 
 /**
- * Process an impact event, update risk scores, and show alerts.
+ * Save the checklist form to the shown case, or as the player's baseline.
  */
-function processImpact(impact) {
-  cli = 0.99 * cli + (1 - 0.99) * impact.iss;
-  const now = Date.now();
-  let awe = 0;
-  impactHistory.forEach(imp => {
-    const daysAgo = (now - imp.time) / 86400000;
-    awe += imp.iss * Math.exp(-0.4 * daysAgo);
-  });
-  currentAWE = awe;
-  latestISS = impact.iss;
-  const nrs = 0.35 * impact.iss + 0.35 * awe + 0.2 * cli;
-  const nrsRounded = Math.round(nrs * 10) / 10;
-  currentNRS = nrsRounded;
-  impact.nrs = nrsRounded;
-  impact.awe = awe;
-  impact.cli = cli;
-  nrsScoreEl.textContent = nrsRounded.toFixed(1) * 3;
-  aweScoreEl.textContent = awe.toFixed(2);
-  cliScoreEl.textContent = cli.toFixed(2);
-  updateRiskLevel(nrsRounded);
-  if (nrsRounded >= 8) showCustomAlert('severe', { nrs: nrsRounded });
-  else if (nrsRounded >= 6) showCustomAlert('high', { nrs: nrsRounded });
-  updateNRSRealtime();
-  startNRSUpdateInterval();
+function saveSymptomChecklist(asBaseline) {
+  try {
+    const entry = readSymptomForm();
+    if (asBaseline) {
+      const baseline = ConcussionProtocol.createBaseline({ player: activePlayerId, ...entry });
+      symptomBaselines.set(activePlayerId, baseline);
+      DataStore.putBaseline(baseline).catch(e => reportStorageError(e, "symptom baseline"));
+    } else {
+      if (!shownProtocolCase) return;
+      ConcussionProtocol.addAssessment(shownProtocolCase, entry);
+      saveProtocolCase(shownProtocolCase);
+    }
+    symptomForm.reset();
+    renderProtocol();
+  } catch (e) {
+    showNotification(e.message, "disconnected");
+  }
 }
 
 /**
- * Update NRS chart in real time.
+ * Record the removal from play from its form.
  */
-function updateNRSRealtime() {
-  const now = Date.now();
-  let awe = 0;
-  impactHistory.forEach(imp => {
-    const daysAgo = (now - imp.time) / 86400000;
-    awe += imp.iss * Math.exp(-0.4 * daysAgo);
-  });
-  currentAWE = awe;
-  const nrs = (0.35 * latestISS + 0.35 * awe + 0.2 * cli) * 3;
-  currentNRS = Math.max(0, nrs);
-  nrsScoreEl.textContent = currentNRS.toFixed(1);
-  aweScoreEl.textContent = awe.toFixed(2);
-  updateRiskLevel(currentNRS);
-  nrsChart.data.labels.push(new Date(now).toLocaleTimeString());
-  nrsChart.data.datasets[0].data.push(currentNRS);
-  if (nrsChart.data.labels.length > NRS_VISIBLE_POINTS) {
-    nrsChart.data.labels.shift();
-    nrsChart.data.datasets[0].data.shift();
+function recordRemovalFromForm() {
+  if (!shownProtocolCase) return;
+  try {
+    const { time, by, notes } = removalForm.elements;
+    ConcussionProtocol.recordRemoval(shownProtocolCase, { time: new Date(time.value).getTime() || Date.now(), by: by.value, notes: notes.value });
+    removalForm.reset();
+    saveProtocolCase(shownProtocolCase);
+  } catch (e) {
+    showNotification(e.message, "disconnected");
   }
-  nrsChart.update('none');
-  lastNRSUpdate = now;
-  saveImpactHistory();
 }
 
 /**
- * Start the interval that updates the NRS chart.
+ * Sign off the next return-to-play stage, asking first if the protocol advises against it.
  */
-function startNRSUpdateInterval() {
-  if (nrsUpdateInterval) clearInterval(nrsUpdateInterval);
-  nrsUpdateInterval = setInterval(updateNRSRealtime, NRS_UPDATE_INTERVAL);
+function signOffStageFromForm() {
+  const c = shownProtocolCase;
+  if (!c) return;
+  const time = new Date(stageForm.elements.time.value).getTime() || Date.now();
+  const warnings = ConcussionProtocol.signOffWarnings(c, time);
+  if (warnings.length && !confirm(`${warnings.join('\n')}\n\nSign off anyway?`)) return;
+  try {
+    ConcussionProtocol.signOffStage(c, { time, by: stageForm.elements.by.value });
+    stageForm.elements.by.value = '';
+    saveProtocolCase(c);
+    if (c.status === 'cleared') showNotification(`${playerLabel(getPlayer(c.player))} cleared to play`, "connected");
+  } catch (e) {
+    showNotification(e.message, "disconnected");
+  }
 }
-startNRSUpdateInterval();
 
-/* --------------------- BLE & SENSOR --------------------- */
 /**
- * Connect to the BLE device and start notifications.
+ * Close the shown case without completing return to play.
  */
-async function connectToBle() {
+function closeShownProtocolCase() {
+  const c = shownProtocolCase;
+  if (!c) return;
+  const reason = prompt("Why is this case being closed?", "No concussion found");
+  if (reason === null) return;
   try {
-    updateConnectionStatus('connecting');
-    if (!navigator.bluetooth) throw new Error("Web Bluetooth not supported.");
-    bleDevice = await navigator.bluetooth.requestDevice({
-      filters: [{ name: DEVICE_NAME }],
-      optionalServices: [SERVICE_UUID],
+    ConcussionProtocol.closeCase(c, { reason });
+    saveProtocolCase(c);
+  } catch (e) {
+    showNotification(e.message, "disconnected");
+  }
+}
+
+/* --------------------- SIDELINE GRID --------------------- */
+/**
+ * Show a headband on the live charts and its player in the score panel.
+ */
+function focusHeadband(headbandId) {
+  const hb = headbands.get(headbandId);
+  if (!hb) return;
+  if (focusedHeadbandId !== headbandId) {
+    focusedHeadbandId = headbandId;
+    if (!replay.hb) clearLiveCharts();
+  }
+  if (hb.playerId !== activePlayerId && playerStates.has(hb.playerId)) selectPlayer(hb.playerId);
+  else renderSidelineGrid();
+}
+
+/**
+ * Assign a headband to a player. Later impacts are recorded on that player's history.
+ */
+function assignHeadband(headbandId, playerId) {
+  const hb = headbands.get(headbandId);
+  if (!hb || !playerStates.has(playerId)) return;
+  hb.playerId = playerId;
+  if (headbandId === focusedHeadbandId) selectPlayer(playerId);
+  else renderSidelineGrid();
+}
+
+/**
+ * Render one tile per connected headband.
+ */
+function renderSidelineGrid() {
+  sidelineGridEl.innerHTML = '';
+  if (!headbands.size) {
+    sidelineGridEl.innerHTML = `<p class="text-sm text-gray-500">No headbands connected.</p>`;
+    return;
+  }
+  headbands.forEach(hb => {
+    const tile = document.createElement('div');
+    tile.dataset.headband = hb.id;
+    tile.className = `sideline-tile p-3 rounded-lg cursor-pointer${hb.id === focusedHeadbandId ? ' sideline-tile-focused' : ''}`;
+    tile.tabIndex = 0;
+    tile.setAttribute('aria-label', `${hb.label}: press Enter to show on the charts`);
+    if (hb.id === focusedHeadbandId) tile.setAttribute('aria-current', 'true');
+    tile.innerHTML = `
+      <div class="flex items-center justify-between mb-2">
+        <span class="text-xs font-medium text-gray-400">${hb.label}</span>
+        <span>
+          <button class="tile-device text-xs text-gray-500 hover:text-gray-200 mr-1" title="Device settings" aria-label="Device settings for ${hb.label}">⚙</button>
+          <button class="tile-disconnect text-xs text-gray-500 hover:text-red-400" title="Disconnect" aria-label="Disconnect ${hb.label}">✕</button>
+        </span>
+      </div>
+      <div class="tile-status hidden flex items-center justify-between text-xs text-amber-400 mb-2">
+        <span class="tile-status-text"></span>
+        <button class="tile-retry underline hover:text-amber-300">Retry now</button>
+      </div>
+      <select aria-label="Player wearing ${hb.label}" class="tile-player w-full bg-[#1d2126] text-gray-200 text-xs rounded-lg px-2 py-1 border border-gray-700"></select>
+      <div class="flex items-baseline gap-2 mt-2">
+        <p class="tile-nrs text-xl font-bold text-gray-100">0.0</p>
+        <p class="tile-level risk-level risk-low">Low Risk</p>
+      </div>
+      <p class="tile-link text-xs text-gray-500 mt-1"></p>`;
+
+    const select = tile.querySelector('.tile-player');
+    roster.forEach(player => {
+      const option = document.createElement('option');
+      option.value = player.id;
+      option.textContent = playerLabel(player);
+      option.selected = player.id === hb.playerId;
+      select.appendChild(option);
+    });
+    select.addEventListener('click', (e) => e.stopPropagation());
+    select.addEventListener('change', () => assignHeadband(hb.id, select.value));
+    tile.querySelector('.tile-disconnect').addEventListener('click', (e) => {
+      e.stopPropagation();
+      disconnectHeadband(hb);
+    });
+    tile.querySelector('.tile-device').addEventListener('click', (e) => {
+      e.stopPropagation();
+      openDeviceModal(hb.id);
+    });
+    tile.querySelector('.tile-retry').addEventListener('click', (e) => {
+      e.stopPropagation();
+      retryReconnect(hb);
+    });
+    tile.addEventListener('click', () => focusHeadband(hb.id));
+    tile.addEventListener('keydown', (e) => {
+      if (e.target !== tile || (e.key !== 'Enter' && e.key !== ' ')) return;
+      e.preventDefault();
+      focusHeadband(hb.id);
+      // The grid is rebuilt, so keep keyboard focus on this headband's new tile
+      const focused = Array.from(sidelineGridEl.children).find(el => el.dataset.headband === hb.id);
+      if (focused) focused.focus();
+    });
+    sidelineGridEl.appendChild(tile);
+  });
+  updateSidelineTiles();
+}
+
+/**
+ * Short link-quality line for a headband tile, e.g. "100 Hz · 0.4% lost".
+ */
+function linkSummary(stream) {
+  if (!stream.packets) return '';
+  if (stream.lastSeq === null) return 'JSON (legacy)';
+  const rate = stream.sampleRateHz ? `${Math.round(stream.sampleRateHz)} Hz` : '';
+  return [rate, `${(SensorPacket.lossRatio(stream) * 100).toFixed(1)}% lost`].filter(Boolean).join(' · ');
+}
+
+/**
+ * Refresh the NRS, risk level and connection state shown on each headband tile.
+ */
+function updateSidelineTiles() {
+  sidelineGridEl.querySelectorAll('[data-headband]').forEach(tile => {
+    const hb = headbands.get(tile.dataset.headband);
+    const state = hb && getPlayerState(hb.playerId);
+    if (!state) return;
+    const reconnecting = hb.status === 'reconnecting';
+    tile.classList.toggle('sideline-tile-offline', reconnecting);
+    tile.querySelector('.tile-status').classList.toggle('hidden', !reconnecting);
+    if (reconnecting) {
+      const { attempt, connecting } = hb.reconnect;
+      tile.querySelector('.tile-status-text').textContent = connecting
+        ? `Reconnecting (attempt ${attempt} of ${RECONNECT_MAX_ATTEMPTS})…`
+        : `Signal lost · retry ${attempt + 1} of ${RECONNECT_MAX_ATTEMPTS} pending`;
+      tile.querySelector('.tile-retry').disabled = connecting;
+    }
+    const level = riskLevelFor(state.currentNRS);
+    const levelEl = tile.querySelector('.tile-level');
+    tile.querySelector('.tile-nrs').textContent = state.currentNRS.toFixed(1);
+    tile.querySelector('.tile-link').textContent = linkSummary(hb.stream);
+    levelEl.className = `tile-level risk-level ${level.className}`;
+    levelEl.textContent = level.text;
+  });
+}
+
+/* --------------------- SESSION RECORDING & REPLAY --------------------- */
+/**
+ * Write buffered samples of the active recording as the next chunk, together with its
+ * metadata. Samples are [time, headbandId, ax, ay, az, gx, gy, gz] and markers
+ * [time, type, headbandId].
+ */
+function flushRecording(recording = recorder.active) {
+  if (!recording || !recorder.buffer.length) return Promise.resolve();
+  const samples = recorder.buffer.splice(0);
+  recording.sampleCount += samples.length;
+  recording.lastSampleAt = samples[samples.length - 1][0];
+  return DataStore.appendSamples({ ...recording }, recorder.seq++, samples);
+}
+
+/**
+ * Load saved recordings. Recordings still in localStorage from an older version are
+ * moved to IndexedDB, and ones cut short by closing the page are closed off.
+ */
+async function loadRecordings() {
+  try {
+    const stored = localStorage.getItem(RECORDINGS_STORAGE_KEY);
+    if (stored) {
+      for (const { samples, ...recording } of JSON.parse(stored)) {
+        recording.sampleCount = samples.length;
+        recording.lastSampleAt = samples.length ? samples[samples.length - 1][0] : recording.startedAt;
+        await DataStore.putRecording(recording);
+        for (let i = 0; i < samples.length; i += RECORDING_CHUNK_SIZE) {
+          await DataStore.appendSamples(recording, i / RECORDING_CHUNK_SIZE, samples.slice(i, i + RECORDING_CHUNK_SIZE));
+        }
+      }
+      localStorage.removeItem(RECORDINGS_STORAGE_KEY);
+    }
+  } catch (e) {
+    reportStorageError(e, "migrated recordings");
+  }
+  try {
+    for (const recording of await DataStore.getRecordings()) {
+      if (recording.endedAt === null) {
+        recording.endedAt = recording.lastSampleAt;
+        DataStore.putRecording(recording).catch(e => console.error("Failed to close recording:", e));
+      }
+      recordings.push(recording);
+    }
+  } catch (e) {
+    console.error("Failed to load recordings:", e);
+  }
+  renderRecordings();
+}
+
+/**
+ * Start capturing raw samples and session markers from every live headband.
+ */
+function startRecording() {
+  const now = Date.now();
+  recorder.active = {
+    id: `rec${now.toString(36)}`,
+    startedAt: now,
+    endedAt: null,
+    headbands: [],
+    markers: [],
+    sampleCount: 0,
+    lastSampleAt: now,
+  };
+  recorder.buffer = [];
+  recorder.seq = 0;
+  headbands.forEach(hb => addRecordingTrack(hb));
+  recordBtn.textContent = '■ Stop';
+  recordBtn.classList.add('recording-active');
+}
+
+/**
+ * Stop the active recording and store its remaining samples.
+ */
+async function stopRecording() {
+  const recording = recorder.active;
+  if (!recording) return;
+  recorder.active = null;
+  recording.endedAt = Date.now();
+  recordBtn.textContent = '● Record';
+  recordBtn.classList.remove('recording-active');
+  if (!recording.sampleCount && !recorder.buffer.length) {
+    showNotification("Nothing recorded", "disconnected");
+    return;
+  }
+  try {
+    await (recorder.buffer.length ? flushRecording(recording) : DataStore.putRecording({ ...recording }));
+  } catch (e) {
+    reportStorageError(e, "recording");
+    DataStore.deleteRecording(recording.id).catch(() => {});
+    showNotification("Recording could not be saved", "disconnected");
+    return;
+  }
+  recordings.push(recording);
+  renderRecordings(recording.id);
+  showNotification("Recording saved", "connected");
+}
+
+/**
+ * Register a headband on the active recording so it can be picked for replay.
+ */
+function addRecordingTrack(hb) {
+  const recording = recorder.active;
+  if (!recording || recording.headbands.some(t => t.id === hb.id)) return;
+  recording.headbands.push({ id: hb.id, label: hb.label, playerId: hb.playerId });
+}
+
+/**
+ * Append a raw sample to the active recording.
+ */
+function recordSample(hb, sensor, timeMs) {
+  const recording = recorder.active;
+  if (!recording) return;
+  addRecordingTrack(hb);
+  const { accel, gyro } = sensor;
+  recorder.buffer.push([timeMs, hb.id, accel.x, accel.y, accel.z, gyro.x, gyro.y, gyro.z]);
+  if (recorder.buffer.length >= RECORDING_CHUNK_SIZE) {
+    flushRecording().catch(e => {
+      reportStorageError(e, "recording");
+      if (recorder.active === recording) stopRecording();
     });
-    bleDevice.addEventListener('gattserverdisconnected', onDisconnected);
-    const server = await bleDevice.gatt.connect();
-    const service = await server.getPrimaryService(SERVICE_UUID);
-    bleCharacteristic = await service.getCharacteristic(CHARACTERISTIC_UUID);
-    await bleCharacteristic.startNotifications();
-    bleCharacteristic.addEventListener('characteristicvaluechanged', handleCharacteristicValueChanged);
-    updateConnectionStatus('connected');
-    pauseButton.classList.remove('hidden');
-    connectedAt = Date.now();
-    impactDetectionDisabled = true;
-    setTimeout(() => {
-      instantZeroSensors();
-      impactDetectionDisabled = false;
-    }, 500);
-  } catch (error) {
-    console.error("BLE Connection error:", error);
-    updateConnectionStatus('disconnected');
-    showCustomAlert(error.name === 'NotFoundError' ? "No device selected." : `BLE Error: ${error.message}`);
   }
 }
 
 /**
- * Disconnect from the BLE device.
+ * Append a session marker to the active recording.
+ */
+function recordMarker(type, headbandId, timeMs) {
+  if (recorder.active) recorder.active.markers.push([timeMs, type, headbandId]);
+}
+
+/**
+ * Delete a stored recording.
+ */
+function deleteRecording(recordingId) {
+  const idx = recordings.findIndex(r => r.id === recordingId);
+  if (idx === -1) return;
+  if (replay.recording && replay.recording.id === recordingId) stopReplay();
+  recordings.splice(idx, 1);
+  DataStore.deleteRecording(recordingId).catch(e => console.error("Failed to delete recording:", e));
+  renderRecordings();
+}
+
+/**
+ * Fill the recording and track selectors.
  */
-async function disconnectBle() {
-  if (bleDevice && bleDevice.gatt.connected) await bleDevice.gatt.disconnect();
+function renderRecordings(selectedId = recordingSelectEl.value) {
+  recordingSelectEl.innerHTML = '';
+  recordings.forEach(recording => {
+    const option = document.createElement('option');
+    const seconds = Math.round((recording.endedAt - recording.startedAt) / 1000);
+    option.value = recording.id;
+    option.textContent = `${new Date(recording.startedAt).toLocaleString()} (${seconds}s)`;
+    option.selected = recording.id === selectedId;
+    recordingSelectEl.appendChild(option);
+  });
+  if (!recordings.length) {
+    recordingSelectEl.innerHTML = '<option value="">No recordings</option>';
+  }
+  renderReplayTracks();
 }
 
 /**
- * Handle BLE disconnect event.
+ * Fill the track selector with the headbands of the selected recording.
  */
-function onDisconnected() {
-  updateConnectionStatus('disconnected');
-  pauseButton.classList.add('hidden');
-  impactDetectionDisabled = true;
-  isPaused = false;
+function renderReplayTracks() {
+  const recording = recordings.find(r => r.id === recordingSelectEl.value);
+  replayTrackSelectEl.innerHTML = '';
+  (recording ? recording.headbands : []).forEach(track => {
+    const option = document.createElement('option');
+    option.value = track.id;
+    option.textContent = [track.label, playerLabel(getPlayer(track.playerId))].join(' · ');
+    replayTrackSelectEl.appendChild(option);
+  });
 }
 
 /**
- * Handle BLE characteristic value changes.
+ * Load one headband track of a recording for replay. The charts switch to the replay
+ * and detected impacts are reported without being added to any player's history.
  */
-function handleCharacteristicValueChanged(event) {
-  const value = event.target.value;
-  const decoder = new TextDecoder('utf-8');
-  let receivedString = "";
+async function startReplay(recordingId, headbandId) {
+  const recording = recordings.find(r => r.id === recordingId);
+  const track = recording && recording.headbands.find(t => t.id === headbandId);
+  if (!track) return false;
+  stopReplay();
+  let samples;
   try {
-    receivedString = decoder.decode(value);
+    samples = (await DataStore.getSamples(recordingId)).filter(s => s[1] === headbandId);
+  } catch (e) {
+    console.error("Failed to load recording:", e);
+    return false;
+  }
+  if (!samples.length) return false;
+  // A new track id per replay, so batches still on their way from an earlier run are dropped
+  const hb = createHeadbandState({ id: `replay:${headbandId}:${++replayRun}` }, track.playerId, `${track.label} (replay)`, getMounting(headbandId));
+  hb.replay = true;
+  pipelineControl(hb, 'connect', samples[0][0]);
+  Object.assign(replay, {
+    recording,
+    hb,
+    samples,
+    markers: recording.markers.filter(m => m[2] === null || m[2] === headbandId),
+    index: 0,
+    markerIndex: 0,
+    clock: samples[0][0],
+    playing: false,
+    impacts: 0,
+  });
+  clearLiveCharts();
+  updateReplayStatus();
+  return true;
+}
 
-    // Parse JSON safely with a try-catch.
-    try {
-      latestSensorData = JSON.parse(receivedString);
-    } catch (e) {
-      console.error("JSON parse error:", e);
-      return;
+/**
+ * Leave replay mode and hand the charts back to the focused live headband.
+ */
+function stopReplay() {
+  clearTimeout(replay.timer);
+  if (!replay.hb) return;
+  pipeline.post({ type: 'close', id: replay.hb.id });
+  Object.assign(replay, { recording: null, hb: null, samples: [], markers: [], playing: false, timer: null });
+  clearLiveCharts();
+  updateReplayStatus();
+}
+
+/**
+ * Apply a recorded session marker to the replay track. The pipeline echoes it back
+ * in order with the samples, and it is drawn on the charts then.
+ */
+function applyReplayMarker([timeMs, type]) {
+  const action = type === 'dropout' ? 'disconnect' : type;
+  pipelineControl(replay.hb, action, timeMs, type);
+}
+
+/**
+ * Post recorded samples ([time, headbandId, ax, ay, az, gx, gy, gz] rows) to the
+ * pipeline as one typed-array batch.
+ */
+function postReplaySamples(rows) {
+  if (!rows.length) return;
+  const stride = SensorPipeline.RAW_STRIDE;
+  const times = new Float64Array(rows.length);
+  const raw = new Float64Array(rows.length * stride);
+  rows.forEach((row, i) => {
+    times[i] = row[0];
+    raw.set(row.slice(2, 2 + stride), i * stride);
+  });
+  pipeline.post({ type: 'samples', id: replay.hb.id, times, raw }, [times.buffer, raw.buffer]);
+}
+
+/**
+ * Feed every recorded sample (and marker) up to a replay time through the pipeline.
+ */
+function advanceReplayTo(timeMs) {
+  let rows = [];
+  while (replay.index < replay.samples.length && replay.samples[replay.index][0] <= timeMs) {
+    const row = replay.samples[replay.index++];
+    if (replay.markerIndex < replay.markers.length && replay.markers[replay.markerIndex][0] <= row[0]) {
+      postReplaySamples(rows);
+      rows = [];
     }
-    if (isPaused || !latestSensorData.sensor) return;
-
-    const smoothedA = smoothData(latestSensorData.sensor.accel, accelHistory);
-    const smoothedG = smoothData(latestSensorData.sensor.gyro, gyroHistory);
-    const zeroedA = {
-      x: smoothedA.x - offsets.accel.x,
-      y: smoothedA.y - offsets.accel.y,
-      z: smoothedA.z - offsets.accel.z,
-    };
-    const zeroedG = {
-      x: (smoothedG.x - offsets.gyro.x) * GYRO_MULTIPLIER,
-      y: (smoothedG.y - offsets.gyro.y) * GYRO_MULTIPLIER,
-      z: (smoothedG.z - offsets.gyro.z) * GYRO_MULTIPLIER,
-    };
-    latestDisplay.g = zeroedA;
-    latestDisplay.a = zeroedG;
-    pushStillnessSample(smoothedA, smoothedG);
-    detectImpact(zeroedA, zeroedG);
-    updateUI(zeroedA, zeroedG);
+    while (replay.markerIndex < replay.markers.length && replay.markers[replay.markerIndex][0] <= row[0]) {
+      applyReplayMarker(replay.markers[replay.markerIndex++]);
+    }
+    rows.push(row);
+  }
+  postReplaySamples(rows);
+  replay.clock = timeMs;
+  updateReplayStatus();
+}
 
-    const nowMs = Date.now();
-    scheduleChartPoint(accelChart, nowMs, zeroedG.x, zeroedG.y, zeroedG.z);
-    scheduleChartPoint(gyroChart, nowMs, zeroedA.x, zeroedA.y, zeroedA.z);
-    checkAutoZero();
-  } catch (e) {
-    console.error("Error in characteristic handler:", e);
+/**
+ * Advance the replay clock by the elapsed wall time scaled by the replay speed.
+ */
+function replayTick() {
+  if (!replay.playing) return;
+  const now = performance.now();
+  advanceReplayTo(replay.clock + (now - replay.lastTick) * replay.speed);
+  replay.lastTick = now;
+  if (replay.index >= replay.samples.length) {
+    pauseReplay();
+    return;
+  }
+  replay.timer = setTimeout(replayTick, REPLAY_TICK_MS);
+}
+
+/**
+ * Play (or resume) the loaded replay at the selected speed.
+ */
+function playReplay() {
+  if (!replay.hb) return;
+  if (replay.index >= replay.samples.length) {
+    startReplay(replay.recording.id, replay.samples[0][1]).then(ok => ok && playReplay());
+    return;
+  }
+  replay.playing = true;
+  replay.lastTick = performance.now();
+  replayTick();
+}
+
+/**
+ * Pause the replay, keeping its position.
+ */
+function pauseReplay() {
+  replay.playing = false;
+  clearTimeout(replay.timer);
+  updateReplayStatus();
+}
+
+/**
+ * Pause the replay and process exactly one more recorded sample.
+ */
+function stepReplay() {
+  if (!replay.hb || replay.index >= replay.samples.length) return;
+  pauseReplay();
+  advanceReplayTo(replay.samples[replay.index][0]);
+}
+
+/**
+ * Report an impact detected while replaying.
+ */
+function onReplayImpact(impact) {
+  replay.impacts++;
+  showNotification(`Replay impact: ${impact.a_peak.toFixed(1)} g, ISS ${impact.iss}`, "disconnected");
+}
+
+/**
+ * Show replay position, speed and impact count.
+ */
+function updateReplayStatus() {
+  replayPlayBtn.textContent = replay.playing ? '❚❚ Pause' : '▶ Replay';
+  if (!replay.hb) {
+    replayStatusEl.textContent = '';
+    return;
   }
+  const elapsed = (replay.clock - replay.samples[0][0]) / 1000;
+  const total = (replay.samples[replay.samples.length - 1][0] - replay.samples[0][0]) / 1000;
+  replayStatusEl.textContent =
+    `Replay ${Math.min(elapsed, total).toFixed(1)}s / ${total.toFixed(1)}s · ${replay.speed}× · ${replay.impacts} impact(s)`;
 }
 
 const searchBtn = document.getElementById("searchBtn");
@@ -892,6 +4544,7 @@ searchBtn.addEventListener("click", async () => {
   deviceList.innerHTML = `<p class="text-gray-400 text-sm">Scanning...</p>`;
 
   try {
+    if (!navigator.bluetooth) throw new Error("Web Bluetooth not supported.");
     const device = await navigator.bluetooth.requestDevice({
       filters: [{ name: DEVICE_NAME }],
       optionalServices: [SERVICE_UUID]
@@ -905,36 +4558,9 @@ searchBtn.addEventListener("click", async () => {
 
     document.getElementById("deviceSelect").addEventListener("click", async () => {
       try {
-        updateConnectionStatus("connecting");
-
-        const server = await device.gatt.connect();
-        bleDevice = device;
-        const service = await server.getPrimaryService(SERVICE_UUID);
-        bleCharacteristic = await service.getCharacteristic(CHARACTERISTIC_UUID);
-
-        await bleCharacteristic.startNotifications();
-        bleCharacteristic.addEventListener(
-          "characteristicvaluechanged",
-          handleCharacteristicValueChanged
-        );
-
-        isConnected = true;
-        connectedAt = Date.now();
-        updateConnectionStatus("connected");
+        await connectHeadband(createBleSource(device));
         bluetoothModal.classList.add("hidden");
-
-        impactDetectionDisabled = true;
-        setTimeout(() => {
-          instantZeroSensors();
-          impactDetectionDisabled = false;
-        }, 500);
-
-        bleDevice.addEventListener("gattserverdisconnected", () => {
-          isConnected = false;
-          updateConnectionStatus("disconnected");
-          bluetoothModal.classList.remove("hidden");
-        });
-
+        deviceList.innerHTML = "";
       } catch (err) {
         console.error("Connection failed:", err);
         showNotification("Connection failed", "disconnected");
@@ -948,12 +4574,309 @@ searchBtn.addEventListener("click", async () => {
   }
 });
 
+document.getElementById("addHeadbandBtn").addEventListener("click", () => {
+  deviceList.innerHTML = "";
+  bluetoothModal.classList.remove("hidden");
+  searchBtn.focus();
+});
+serialBtn.disabled = !('serial' in navigator);
+serialBtn.addEventListener("click", async () => {
+  let port;
+  try {
+    port = await navigator.serial.requestPort();
+  } catch (err) {
+    console.error("Serial port request failed:", err);
+    return;
+  }
+  try {
+    await connectHeadband(createSerialSource(port));
+    bluetoothModal.classList.add("hidden");
+  } catch (err) {
+    console.error("Serial connection failed:", err);
+    showNotification("Connection failed", "disconnected");
+  }
+});
+
+renderSimulatorModes(simulatorModeSelect);
+document.getElementById("addSimulatorBtn").addEventListener("click", async () => {
+  try {
+    await connectSimulator(simulatorModeSelect.value);
+    bluetoothModal.classList.add("hidden");
+  } catch (err) {
+    console.error("Simulator failed:", err);
+    showNotification("Simulator failed to start", "disconnected");
+  }
+});
+document.getElementById("closeBleModalBtn").addEventListener("click", () => {
+  bluetoothModal.classList.add("hidden");
+});
+
+/* --------------------- CHART CONTROLS --------------------- */
+chartWindowSelectEl.addEventListener('change', () => setChartWindow(Number(chartWindowSelectEl.value)));
+document.getElementById('fullscreenResetBtn').addEventListener('click', resetFullscreenView);
+document.getElementById('fullscreenSnapshotBtn').addEventListener('click', snapshotFullscreenChart);
+document.getElementById('closeFullscreenBtn').addEventListener('click', closeFullscreen);
+document.getElementById('fullscreenCanvas').addEventListener('keydown', handleFullscreenKey);
+document.addEventListener('keydown', (e) => {
+  if (e.key !== 'Escape') return;
+  if (fullscreenChart) closeFullscreen();
+  else if (!bluetoothModal.classList.contains('hidden')) bluetoothModal.classList.add('hidden');
+});
+
+/* --------------------- ACCESSIBILITY CONTROLS --------------------- */
+applyContrast(loadContrast());
+pauseButton.addEventListener('click', togglePause);
+contrastBtn.addEventListener('click', toggleContrast);
+document.addEventListener('keydown', handleShortcut);
+document.querySelectorAll('.chart-table').forEach(details => details.addEventListener('toggle', renderChartAlternatives));
+chartSummaryInterval = setInterval(renderChartAlternatives, CHART_SUMMARY_INTERVAL_MS);
+
+/* --------------------- ROSTER CONTROLS --------------------- */
+playerSelectEl.addEventListener('change', () => selectPlayer(playerSelectEl.value));
+document.getElementById('addPlayerBtn').addEventListener('click', openPlayerModal);
+document.getElementById('cancelPlayerBtn').addEventListener('click', closePlayerModal);
+document.getElementById('removePlayerBtn').addEventListener('click', () => {
+  const player = getPlayer();
+  if (!player) return;
+  if (roster.length <= 1) {
+    showNotification("At least one player is required", "disconnected");
+    return;
+  }
+  if (confirm(`Remove ${playerLabel(player)} and all of their impact history?`)) removePlayer(player.id);
+});
+
+playerForm.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const player = addPlayer({
+    name: playerForm.elements.name.value,
+    number: playerForm.elements.number.value,
+    position: playerForm.elements.position.value,
+  });
+  closePlayerModal();
+  selectPlayer(player.id);
+});
+
+/* --------------------- RECORDING CONTROLS --------------------- */
+recordBtn.addEventListener('click', () => {
+  if (recorder.active) stopRecording();
+  else startRecording();
+});
+recordingSelectEl.addEventListener('change', renderReplayTracks);
+replaySpeedSelectEl.addEventListener('change', () => {
+  replay.speed = parseFloat(replaySpeedSelectEl.value);
+  updateReplayStatus();
+});
+replayPlayBtn.addEventListener('click', async () => {
+  if (replay.playing) {
+    pauseReplay();
+    return;
+  }
+  const trackId = replayTrackSelectEl.value;
+  const loaded = replay.hb && replay.recording.id === recordingSelectEl.value && replay.samples[0][1] === trackId;
+  if (loaded || await startReplay(recordingSelectEl.value, trackId)) playReplay();
+});
+document.getElementById('replayStepBtn').addEventListener('click', async () => {
+  if (!replay.hb && !(await startReplay(recordingSelectEl.value, replayTrackSelectEl.value))) return;
+  stepReplay();
+});
+document.getElementById('replayExitBtn').addEventListener('click', stopReplay);
+document.getElementById('deleteRecordingBtn').addEventListener('click', () => {
+  if (recordingSelectEl.value && confirm("Delete this recording?")) deleteRecording(recordingSelectEl.value);
+});
+
+/* --------------------- SETTINGS CONTROLS --------------------- */
+document.getElementById('settingsBtn').addEventListener('click', () => {
+  renderProfileSettings();
+  settingsModal.classList.remove('hidden');
+});
+document.getElementById('closeSettingsBtn').addEventListener('click', () => settingsModal.classList.add('hidden'));
+profileSelectEl.addEventListener('change', () => applyProfile(profileSelectEl.value));
+document.getElementById('saveProfileBtn').addEventListener('click', saveProfileFromForm);
+document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+  const profile = getActiveProfile();
+  if (confirm(`Delete profile "${profile.name}"?`)) deleteCustomProfile(profile.id);
+});
+document.getElementById('exportProfileBtn').addEventListener('click', exportActiveProfile);
+document.getElementById('importProfileInput').addEventListener('change', (e) => {
+  if (e.target.files[0]) importProfiles(e.target.files[0]);
+  e.target.value = '';
+});
+
+/* --------------------- DEVICE SETTINGS CONTROLS --------------------- */
+document.getElementById('applyDeviceBtn').addEventListener('click', applyDeviceSettings);
+document.getElementById('calibrateDeviceBtn').addEventListener('click', calibrateDevice);
+document.getElementById('refreshDeviceBtn').addEventListener('click', refreshDeviceInfo);
+document.getElementById('closeDeviceBtn').addEventListener('click', closeDeviceModal);
+document.getElementById('simulateImpactBtn').addEventListener('click', triggerSimulatedImpact);
+mountingForm.addEventListener('change', applyMountingFromForm);
+renderSimulatorModes(simulatorForm.elements.mode);
+Object.keys(HeadbandSimulator.HITS).forEach(location => {
+  simulatorForm.elements.location.add(new Option(LOCATION_LABELS[location], location));
+});
+simulatorForm.elements.mode.addEventListener('change', (e) => {
+  const hb = headbands.get(deviceModalHeadbandId);
+  if (hb && hb.source.kind === 'simulator') HeadbandSimulator.setMode(hb.source.simulator, e.target.value);
+});
+
+/* --------------------- IMPACT DETAIL CONTROLS --------------------- */
+document.getElementById('closeImpactBtn').addEventListener('click', closeImpactDetail);
+document.getElementById('hitMapBtn').addEventListener('click', () => {
+  renderHitMaps();
+  hitMapModal.classList.remove('hidden');
+});
+document.getElementById('closeHitMapBtn').addEventListener('click', () => hitMapModal.classList.add('hidden'));
+
+impactProtocolBtn.addEventListener('click', () => {
+  const impact = detailImpact;
+  if (!impact) return;
+  const protocolCase = protocolCaseForImpact(impact) || flagPlayer(impact.player, impact);
+  closeImpactDetail();
+  if (impact.player !== activePlayerId) selectPlayer(impact.player);
+  openProtocolModal(protocolCase);
+});
+
+/* --------------------- PROTOCOL CONTROLS --------------------- */
+renderSymptomFields();
+document.getElementById('protocolBtn').addEventListener('click', () => openProtocolModal());
+document.getElementById('closeProtocolBtn').addEventListener('click', closeProtocolModal);
+document.getElementById('flagPlayerBtn').addEventListener('click', () => {
+  shownProtocolCase = flagPlayer();
+  renderProtocol();
+});
+protocolCaseSelectEl.addEventListener('change', () => {
+  shownProtocolCase = getProtocolCases()[Number(protocolCaseSelectEl.value)] || null;
+  renderProtocol();
+});
+document.getElementById('recordRemovalBtn').addEventListener('click', recordRemovalFromForm);
+document.getElementById('signOffStageBtn').addEventListener('click', signOffStageFromForm);
+document.getElementById('saveAssessmentBtn').addEventListener('click', () => saveSymptomChecklist(false));
+document.getElementById('saveBaselineBtn').addEventListener('click', () => saveSymptomChecklist(true));
+document.getElementById('closeCaseBtn').addEventListener('click', closeShownProtocolCase);
+
+/* --------------------- SESSION CONTROLS --------------------- */
+SessionLog.SESSION_TYPES.forEach(({ key, label }) => sessionForm.elements.type.add(new Option(label, key)));
+document.getElementById('sessionsBtn').addEventListener('click', () => {
+  renderSessions();
+  sessionModal.classList.remove('hidden');
+});
+document.getElementById('closeSessionsBtn').addEventListener('click', () => sessionModal.classList.add('hidden'));
+document.getElementById('startSessionBtn').addEventListener('click', startSessionFromForm);
+document.getElementById('stopSessionBtn').addEventListener('click', () => {
+  if (confirm("Stop the running session?")) stopSession();
+});
+document.getElementById('deleteSessionBtn').addEventListener('click', deleteSelectedSession);
+sessionSelectEl.addEventListener('change', renderSessionDetail);
+
+/* --------------------- ANALYTICS CONTROLS --------------------- */
+document.getElementById('analyticsBtn').addEventListener('click', openAnalytics);
+document.getElementById('closeAnalyticsBtn').addEventListener('click', () => analyticsModal.classList.add('hidden'));
+document.getElementById('resetAnalyticsZoomBtn').addEventListener('click', resetAnalyticsZoom);
+analyticsForm.addEventListener('change', renderAnalytics);
+
+/* --------------------- ALERT CONTROLS --------------------- */
+loadAlertPrefs();
+setInterval(checkAlertEscalations, ALERT_ESCALATION_CHECK_MS);
+document.addEventListener('pointerdown', unlockAlertSound, { once: true });
+document.getElementById('alertsBtn').addEventListener('click', () => {
+  renderAlertLog();
+  alertModal.classList.remove('hidden');
+});
+document.getElementById('closeAlertsBtn').addEventListener('click', () => alertModal.classList.add('hidden'));
+document.getElementById('acknowledgeAllBtn').addEventListener('click', () => activeAlerts.slice().forEach(acknowledgeAlert));
+document.getElementById('clearAlertLogBtn').addEventListener('click', () => {
+  if (confirm("Delete the alert log? Unacknowledged alerts are kept.")) clearAlertLog();
+});
+document.getElementById('notifyPermissionBtn').addEventListener('click', requestNotificationPermission);
+alertPrefsForm.addEventListener('change', () => {
+  const form = alertPrefsForm.elements;
+  alertPrefs.sound = form.sound.checked;
+  alertPrefs.vibrate = form.vibrate.checked;
+  alertPrefs.notify = form.notify.checked;
+  saveAlertPrefs();
+});
+
+/* --------------------- DATA CONTROLS --------------------- */
+document.getElementById('dataBtn').addEventListener('click', () => {
+  renderStorageUsage();
+  dataModal.classList.remove('hidden');
+});
+document.getElementById('closeDataBtn').addEventListener('click', () => dataModal.classList.add('hidden'));
+document.getElementById('exportCsvBtn').addEventListener('click', () => exportImpacts('csv'));
+document.getElementById('exportJsonBtn').addEventListener('click', () => exportImpacts('json'));
+document.getElementById('importImpactsInput').addEventListener('change', (e) => {
+  if (e.target.files[0]) importImpacts(e.target.files[0]);
+  e.target.value = '';
+});
+document.getElementById('exportRecordingCsvBtn').addEventListener('click', () => exportRecording(recordingSelectEl.value, 'csv'));
+document.getElementById('exportRecordingJsonBtn').addEventListener('click', () => exportRecording(recordingSelectEl.value, 'json'));
+
+/* --------------------- OFFLINE & UPDATES --------------------- */
+/**
+ * Register the service worker (sw.js) that makes the dashboard work offline, and
+ * offer to reload when a new version has been installed.
+ */
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register('sw.js');
+  } catch (e) {
+    console.error("Service worker registration failed:", e);
+    return;
+  }
+  // A worker already waiting was installed during an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) showUpdateBanner(registration.waiting);
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+    });
+  });
+  setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Offer to switch to the new version. It only takes over when accepted, so a
+ * running session is never reloaded by surprise.
+ */
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  document.getElementById('updateBanner').classList.remove('hidden');
+}
+
+/**
+ * Activate the waiting version; the page reloads once it has taken control.
+ */
+function applyUpdate() {
+  if (!waitingWorker) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+document.getElementById('applyUpdateBtn').addEventListener('click', applyUpdate);
+document.getElementById('dismissUpdateBtn').addEventListener('click', () => document.getElementById('updateBanner').classList.add('hidden'));
+window.addEventListener('load', registerServiceWorker);
+
 /* --------------------- EVENT LISTENERS & CLEANUP --------------------- */
 window.addEventListener('beforeunload', () => {
   if (nrsUpdateInterval) clearInterval(nrsUpdateInterval);
-  if (fullscreenUpdateInterval) clearInterval(fullscreenUpdateInterval);
+  clearInterval(chartSummaryInterval);
+  stopRecording();
 });
 
-window.addEventListener("DOMContentLoaded", () => {
+window.addEventListener("DOMContentLoaded", async () => {
   setupChartInteractions();
+  renderChartWindowOptions();
+  loadProfiles();
+  try {
+    await DataStore.open();
+  } catch (e) {
+    console.error("Failed to open storage:", e);
+    showNotification("Storage unavailable: impacts will not be saved", "disconnected");
+  }
+  await loadRoster();
+  await loadRecordings();
+  await loadSessions();
+  await loadAlertLog();
 });
@@ -0,0 +1,124 @@
+/* ====================================================
+   NeuroGuard Impact Files
+   - CSV writing and parsing for impact and recording
+     exports
+   - Validation of imported impact rows (CSV or JSON)
+   - Merging imports into players' histories: an impact
+     a player already has (same time and ISS) is skipped
+   - Headless: no DOM or storage access
+   - Loaded as a classic script in the browser (global
+     ImpactFiles) or with require() in Node
+==================================================== */
+
+const ImpactFiles = (() => {
+  const Scoring = typeof ScoringEngine !== 'undefined' ? ScoringEngine : require('./scoring.js');
+
+  /* --------------------- CONFIGURATION --------------------- */
+  /* Standard metrics computed from an impact's captured trace (ScoringEngine.impactMetrics) */
+  const METRIC_FIELDS = Object.freeze(['peak_g', 'peak_alpha', 'peak_omega', 'hic15', 'hic36', 'bric']);
+
+  /* --------------------- CSV --------------------- */
+  /** Quote a CSV cell when needed. */
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  }
+
+  /** Build CSV text from a header and row arrays. */
+  function toCSV(fields, rows) {
+    return [fields, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+  }
+
+  /** Parse CSV text into objects keyed by the header row. */
+  function parseCSV(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cell += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) rows.push([...row, cell]);
+    const [header = [], ...body] = rows.filter(r => r.some(c => c.trim() !== ''));
+    return body.map(r => Object.fromEntries(header.map((key, i) => [key.trim(), r[i]])));
+  }
+
+  /* --------------------- IMPORT --------------------- */
+  /**
+   * Validate one imported impact row; returns null if it is unusable.
+   */
+  function normalizeImpact(raw) {
+    const time = typeof raw.time === 'number' || /^\d+$/.test(raw.time) ? Number(raw.time) : Date.parse(raw.time);
+    const impact = { time, a_peak: Number(raw.a_peak), alpha_peak: Number(raw.alpha_peak), iss: Number(raw.iss) };
+    if (![impact.time, impact.a_peak, impact.alpha_peak, impact.iss].every(Number.isFinite)) return null;
+    ['nrs', 'awe', 'cli', ...METRIC_FIELDS].forEach(key => {
+      if (raw[key] !== undefined && raw[key] !== '' && Number.isFinite(Number(raw[key]))) impact[key] = Number(raw[key]);
+    });
+    if (raw.profile) impact.profile = String(raw.profile);
+    if (Scoring.IMPACT_LOCATIONS.includes(raw.location)) impact.location = raw.location;
+    if (Scoring.ROTATION_PLANES.includes(raw.plane)) impact.plane = raw.plane;
+    if (raw.direction && ['x', 'y', 'z'].every(axis => Number.isFinite(Number(raw.direction[axis])))) {
+      impact.direction = { x: Number(raw.direction.x), y: Number(raw.direction.y), z: Number(raw.direction.z) };
+    }
+    return impact;
+  }
+
+  /** What identifies an impact within a player's history when importing. */
+  function impactKey(impact) {
+    return `${impact.time}:${impact.iss}`;
+  }
+
+  /**
+   * Add imported impacts ([{ playerId, impact }]) to the players' histories, skipping
+   * any the player already has, including earlier rows of the same import.
+   * historyOf(playerId) returns the history array to add to.
+   * Returns { added, skipped, playerIds } with the ids of players that gained impacts.
+   */
+  function mergeImpacts(entries, historyOf) {
+    const known = new Map();
+    const playerIds = new Set();
+    let added = 0, skipped = 0;
+    entries.forEach(({ playerId, impact }) => {
+      const history = historyOf(playerId);
+      if (!known.has(playerId)) known.set(playerId, new Set(history.map(impactKey)));
+      const key = impactKey(impact);
+      if (known.get(playerId).has(key)) {
+        skipped++;
+        return;
+      }
+      known.get(playerId).add(key);
+      history.push({ ...impact, player: playerId });
+      playerIds.add(playerId);
+      added++;
+    });
+    return { added, skipped, playerIds };
+  }
+
+  return {
+    METRIC_FIELDS,
+    toCSV,
+    parseCSV,
+    normalizeImpact,
+    impactKey,
+    mergeImpacts,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ImpactFiles;
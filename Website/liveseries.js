@@ -0,0 +1,184 @@
+/* ====================================================
+   NeuroGuard Live Series
+   - Fixed-size storage for the live x/y/z charts: a ring
+     buffer of raw samples long enough for the longest
+     window, and a ring of time buckets holding each
+     channel's min and max
+   - Adding a sample is O(1) and drawing costs the same for
+     a 5 s or a 5 min window: every bucket contributes at
+     most its min and max, at the times they occurred
+   - Gaps (dropouts, pause) are stored as NaN samples and
+     drawn as breaks in the lines
+   - Headless: no DOM or chart access
+   - Loaded as a classic script in the browser (global
+     LiveSeries) or with require() in Node
+==================================================== */
+
+const LiveSeries = (() => {
+  /* --------------------- CONFIGURATION --------------------- */
+  /** Visible time windows for the live charts. */
+  const WINDOWS = Object.freeze([
+    { key: '5s', label: '5 s', ms: 5000 },
+    { key: '10s', label: '10 s', ms: 10000 },
+    { key: '30s', label: '30 s', ms: 30000 },
+    { key: '1m', label: '1 min', ms: 60000 },
+    { key: '5m', label: '5 min', ms: 300000 },
+  ]);
+  const CHANNELS = 3;
+
+  /* --------------------- SERIES --------------------- */
+  /**
+   * Create a series. The raw ring holds the longest window at maxRateHz; buckets is
+   * the number of min/max buckets across the visible window.
+   */
+  function createSeries({ windowMs = WINDOWS[0].ms, buckets = 400, maxRateHz = 200 } = {}) {
+    const capacity = Math.ceil(WINDOWS[WINDOWS.length - 1].ms * maxRateHz / 1000);
+    // One slot more than the window spans, as its first and last buckets are partial
+    const slots = buckets + 1;
+    const series = {
+      capacity,
+      times: new Float64Array(capacity),
+      values: new Float64Array(capacity * CHANNELS),
+      start: 0,
+      length: 0,
+      latest: -Infinity,
+      buckets,
+      slots,
+      windowMs,
+      bucketMs: windowMs / buckets,
+      ids: new Float64Array(slots),
+      min: new Float64Array(slots * CHANNELS),
+      max: new Float64Array(slots * CHANNELS),
+      minT: new Float64Array(slots * CHANNELS),
+      maxT: new Float64Array(slots * CHANNELS),
+      gaps: new Float64Array(slots),
+      dirty: true,
+    };
+    series.ids.fill(NaN);
+    return series;
+  }
+
+  /** Slot of the bucket a time falls in, emptied first if it held an older bucket. */
+  function bucketSlot(series, time) {
+    const id = Math.floor(time / series.bucketMs);
+    const slot = ((id % series.slots) + series.slots) % series.slots;
+    if (series.ids[slot] !== id) {
+      series.ids[slot] = id;
+      series.gaps[slot] = NaN;
+      series.min.fill(Infinity, slot * CHANNELS, (slot + 1) * CHANNELS);
+      series.max.fill(-Infinity, slot * CHANNELS, (slot + 1) * CHANNELS);
+    }
+    return slot;
+  }
+
+  function addToBucket(series, time, x, y, z) {
+    const slot = bucketSlot(series, time);
+    if (Number.isNaN(x)) {
+      series.gaps[slot] = time;
+      return;
+    }
+    const base = slot * CHANNELS;
+    [x, y, z].forEach((value, c) => {
+      if (value < series.min[base + c]) {
+        series.min[base + c] = value;
+        series.minT[base + c] = time;
+      }
+      if (value > series.max[base + c]) {
+        series.max[base + c] = value;
+        series.maxT[base + c] = time;
+      }
+    });
+  }
+
+  /** Append a sample; the oldest is overwritten once the ring is full. */
+  function push(series, time, x, y, z) {
+    let i;
+    if (series.length < series.capacity) {
+      i = (series.start + series.length) % series.capacity;
+      series.length++;
+    } else {
+      i = series.start;
+      series.start = (series.start + 1) % series.capacity;
+    }
+    series.times[i] = time;
+    series.values[i * CHANNELS] = x;
+    series.values[i * CHANNELS + 1] = y;
+    series.values[i * CHANNELS + 2] = z;
+    series.latest = Math.max(series.latest, time);
+    // A late sample from before the window would take the slot of a newer bucket
+    if (time >= series.latest - series.windowMs) addToBucket(series, time, x, y, z);
+    series.dirty = true;
+  }
+
+  /** Break the lines at a time (a dropout, pause or resume). */
+  function pushGap(series, time) {
+    push(series, time, NaN, NaN, NaN);
+  }
+
+  /** Change the visible window, rebuilding the buckets from the raw samples. */
+  function setWindow(series, windowMs) {
+    series.windowMs = windowMs;
+    series.bucketMs = windowMs / series.buckets;
+    series.ids.fill(NaN);
+    const from = series.latest - windowMs;
+    for (let n = series.length - 1; n >= 0; n--) {
+      const i = (series.start + n) % series.capacity;
+      if (series.times[i] < from) break;
+      const v = i * CHANNELS;
+      addToBucket(series, series.times[i], series.values[v], series.values[v + 1], series.values[v + 2]);
+    }
+    series.dirty = true;
+  }
+
+  function clear(series) {
+    series.start = 0;
+    series.length = 0;
+    series.latest = -Infinity;
+    series.ids.fill(NaN);
+    series.dirty = true;
+  }
+
+  /* --------------------- RENDERING --------------------- */
+  /**
+   * The visible window as chart points: { from, to, points: [x[], y[], z[]], maxAbs },
+   * each point { x: time, y } with y null at gaps. from and to are null while empty.
+   */
+  function render(series) {
+    series.dirty = false;
+    const points = [[], [], []];
+    if (!series.length) return { from: null, to: null, points, maxAbs: 0 };
+    const to = series.latest;
+    const from = to - series.windowMs;
+    let maxAbs = 0;
+    for (let id = Math.floor(from / series.bucketMs); id <= Math.floor(to / series.bucketMs); id++) {
+      const slot = ((id % series.slots) + series.slots) % series.slots;
+      if (series.ids[slot] !== id) continue;
+      const gap = series.gaps[slot];
+      for (let c = 0; c < CHANNELS; c++) {
+        const k = slot * CHANNELS + c;
+        const bucket = [];
+        if (series.min[k] <= series.max[k]) {
+          bucket.push({ x: series.minT[k], y: series.min[k] });
+          if (series.maxT[k] !== series.minT[k]) bucket.push({ x: series.maxT[k], y: series.max[k] });
+          maxAbs = Math.max(maxAbs, Math.abs(series.min[k]), Math.abs(series.max[k]));
+        }
+        if (!Number.isNaN(gap)) bucket.push({ x: gap, y: null });
+        bucket.sort((a, b) => a.x - b.x);
+        points[c].push(...bucket);
+      }
+    }
+    return { from, to, points, maxAbs };
+  }
+
+  return {
+    WINDOWS,
+    createSeries,
+    push,
+    pushGap,
+    setWindow,
+    clear,
+    render,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LiveSeries;
@@ -0,0 +1,215 @@
+/* ====================================================
+   NeuroGuard Orientation Filter
+   - Tracks sensor attitude as a quaternion with a
+     complementary (Mahony-style) filter: the gyro is
+     integrated and the accelerometer slowly pulls the
+     estimate back towards gravity
+   - Removes gravity in the earth frame, so a tilted
+     head no longer reads as linear acceleration
+   - Accelerometer correction is skipped while the sensor
+     is not close to 1 g (impacts, hard running steps)
+   - No magnetometer: yaw is relative to the last reset
+     and drifts slowly
+   - Loaded as a classic script in the browser (global
+     OrientationFilter) or with require() in Node
+==================================================== */
+
+const OrientationFilter = (() => {
+  /* --------------------- CONFIGURATION --------------------- */
+  const GRAVITY = 9.81;
+  const RAD_TO_DEG = 180 / Math.PI;
+
+  /**
+   * kp: proportional gain of the accelerometer correction (1/s).
+   * ki: integral gain that learns the remaining gyro bias (1/s²).
+   * accelGate: accelerometer readings further than this share of 1 g from 1 g are
+   * not used for correction.
+   * maxGapMs: samples further apart are not integrated across.
+   */
+  const DEFAULT_GAINS = Object.freeze({ kp: 1, ki: 0.02, accelGate: 0.1, maxGapMs: 250 });
+
+  /* --------------------- QUATERNIONS --------------------- */
+  /*
+   * q = { w, x, y, z } rotates sensor-frame vectors into the earth frame
+   * (earth z up, x/y the sensor's heading at the last reset).
+   */
+  function multiply(a, b) {
+    return {
+      w: a.w * b.w - a.x * b.x - a.y * b.y - a.z * b.z,
+      x: a.w * b.x + a.x * b.w + a.y * b.z - a.z * b.y,
+      y: a.w * b.y - a.x * b.z + a.y * b.w + a.z * b.x,
+      z: a.w * b.z + a.x * b.y - a.y * b.x + a.z * b.w,
+    };
+  }
+
+  function conjugate(q) {
+    return { w: q.w, x: -q.x, y: -q.y, z: -q.z };
+  }
+
+  function normalize(q) {
+    const n = Math.hypot(q.w, q.x, q.y, q.z) || 1;
+    return { w: q.w / n, x: q.x / n, y: q.y / n, z: q.z / n };
+  }
+
+  /** Rotate vector v by quaternion q. */
+  function rotate(q, v) {
+    const r = multiply(multiply(q, { w: 0, x: v.x, y: v.y, z: v.z }), conjugate(q));
+    return { x: r.x, y: r.y, z: r.z };
+  }
+
+  function cross(a, b) {
+    return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+  }
+
+  /* --------------------- FILTER --------------------- */
+  /**
+   * Create a filter. It is level with heading 0 until reset from an accel sample.
+   */
+  function createFilter() {
+    return {
+      q: { w: 1, x: 0, y: 0, z: 0 },
+      integral: { x: 0, y: 0, z: 0 },
+      lastTime: null,
+      yawRef: 0,
+    };
+  }
+
+  /** Quaternion with zero heading whose "up" matches an accelerometer reading. */
+  function levelledQuaternion(accel) {
+    const n = Math.hypot(accel.x, accel.y, accel.z);
+    // Shortest rotation taking the measured "up" onto earth z
+    const up = { x: accel.x / n, y: accel.y / n, z: accel.z / n };
+    const axis = cross(up, { x: 0, y: 0, z: 1 });
+    const s = Math.hypot(axis.x, axis.y, axis.z);
+    if (s < 1e-9) return up.z > 0 ? { w: 1, x: 0, y: 0, z: 0 } : { w: 0, x: 1, y: 0, z: 0 };
+    const angle = Math.atan2(s, up.z);
+    const k = Math.sin(angle / 2) / s;
+    return normalize({ w: Math.cos(angle / 2), x: axis.x * k, y: axis.y * k, z: axis.z * k });
+  }
+
+  /**
+   * Align the filter's tilt with a resting accelerometer reading (m/s²), clear the
+   * learned bias and make the current heading yaw 0 for the given forward axis.
+   */
+  function reset(f, accel, forward = { x: 1, y: 0, z: 0 }) {
+    f.integral = { x: 0, y: 0, z: 0 };
+    f.lastTime = null;
+    if (Math.hypot(accel.x, accel.y, accel.z) > 0) f.q = levelledQuaternion(accel);
+    zeroYaw(f, forward);
+  }
+
+  /** Make the current heading of a sensor-frame forward axis yaw 0. */
+  function zeroYaw(f, forward = { x: 1, y: 0, z: 0 }) {
+    f.yawRef = 0;
+    f.yawRef = heading(f, forward);
+  }
+
+  /**
+   * Snap the filter's tilt to a resting accelerometer reading without changing the
+   * yaw of the given forward axis.
+   */
+  function level(f, accel, forward = { x: 1, y: 0, z: 0 }) {
+    if (!(Math.hypot(accel.x, accel.y, accel.z) > 0)) return;
+    const yaw = heading(f, forward);
+    f.q = levelledQuaternion(accel);
+    f.yawRef = 0;
+    f.yawRef = heading(f, forward) - yaw;
+  }
+
+  /** Forget the previous sample time, e.g. after a dropped connection. */
+  function restart(f) {
+    f.lastTime = null;
+  }
+
+  /**
+   * Advance the filter by one sample: accel in m/s², gyro in rad/s with the bias
+   * already removed, time in ms.
+   */
+  function update(f, accel, gyro, timeMs, gains = DEFAULT_GAINS) {
+    const { kp, ki, accelGate, maxGapMs } = { ...DEFAULT_GAINS, ...gains };
+    const dtMs = f.lastTime === null ? 0 : timeMs - f.lastTime;
+    f.lastTime = timeMs;
+    if (dtMs <= 0 || dtMs > maxGapMs) return;
+    const dt = dtMs / 1000;
+
+    const omega = { ...gyro };
+    const n = Math.hypot(accel.x, accel.y, accel.z);
+    if (n > 0 && Math.abs(n - GRAVITY) <= accelGate * GRAVITY) {
+      // Error between measured and estimated up, both in sensor coordinates
+      const error = cross({ x: accel.x / n, y: accel.y / n, z: accel.z / n }, upVector(f));
+      ['x', 'y', 'z'].forEach(axis => {
+        f.integral[axis] += ki * error[axis] * dt;
+        omega[axis] += kp * error[axis] + f.integral[axis];
+      });
+    } else {
+      ['x', 'y', 'z'].forEach(axis => { omega[axis] += f.integral[axis]; });
+    }
+
+    const dq = multiply(f.q, { w: 0, x: omega.x, y: omega.y, z: omega.z });
+    f.q = normalize({
+      w: f.q.w + 0.5 * dq.w * dt,
+      x: f.q.x + 0.5 * dq.x * dt,
+      y: f.q.y + 0.5 * dq.y * dt,
+      z: f.q.z + 0.5 * dq.z * dt,
+    });
+  }
+
+  /** Unit "up" direction in sensor coordinates. */
+  function upVector(f) {
+    return rotate(conjugate(f.q), { x: 0, y: 0, z: 1 });
+  }
+
+  /**
+   * Linear acceleration (m/s²) without gravity, in the earth frame and rotated back
+   * into sensor coordinates, plus the gravity reading that was removed.
+   */
+  function removeGravity(f, accel) {
+    const earthAccel = rotate(f.q, accel);
+    const earth = { x: earthAccel.x, y: earthAccel.y, z: earthAccel.z - GRAVITY };
+    const up = upVector(f);
+    return {
+      earth,
+      sensor: rotate(conjugate(f.q), earth),
+      gravity: { x: up.x * GRAVITY, y: up.y * GRAVITY, z: up.z * GRAVITY },
+    };
+  }
+
+  /** Heading (rad) of a sensor-frame axis, relative to the last reset. */
+  function heading(f, axis) {
+    const e = rotate(f.q, axis);
+    const yaw = Math.atan2(e.y, e.x) - f.yawRef;
+    return Math.atan2(Math.sin(yaw), Math.cos(yaw));
+  }
+
+  /**
+   * Attitude in degrees from a mounting basis ({ forward, left, up } sensor-frame unit
+   * vectors): pitch nose up positive, roll right ear down positive and yaw turned left
+   * positive.
+   */
+  function attitude(f, basis) {
+    const up = upVector(f);
+    const dot = (b) => up.x * b.x + up.y * b.y + up.z * b.z;
+    const head = { x: dot(basis.forward), y: dot(basis.left), z: dot(basis.up) };
+    return {
+      pitch: Math.atan2(head.x, Math.hypot(head.y, head.z)) * RAD_TO_DEG,
+      roll: Math.atan2(head.y, head.z) * RAD_TO_DEG,
+      yaw: heading(f, basis.forward) * RAD_TO_DEG,
+    };
+  }
+
+  return {
+    DEFAULT_GAINS,
+    rotate,
+    createFilter,
+    reset,
+    zeroYaw,
+    level,
+    restart,
+    update,
+    upVector,
+    removeGravity,
+    attitude,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = OrientationFilter;
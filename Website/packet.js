@@ -0,0 +1,218 @@
+/* ====================================================
+   NeuroGuard Sensor Packets
+   - Decodes headband notifications: binary v1 batches
+     and the legacy {"sensor":{...}} JSON string
+   - Maps device microsecond timestamps to wall-clock ms
+   - Detects dropped packets from sequence gaps
+   - Device command replies arrive as {"resp":<id>,...} JSON
+   - Loaded as a classic script in the browser (global
+     SensorPacket) or with require() in Node
+==================================================== */
+
+const SensorPacket = (() => {
+  /* --------------------- FORMAT --------------------- */
+  /*
+   * Binary v1, little-endian:
+   *   header (8 bytes)  u8 magic 'N' (0x4E), u8 version, u16 sequence,
+   *                     u8 sample count, u8 ranges (bits 0-1 accel, bits 2-3 gyro),
+   *                     u16 reserved
+   *   sample (16 bytes) u32 device time (µs), int16 ax, ay, az, gx, gy, gz (raw MPU6050 counts)
+   */
+  const MAGIC = 0x4E;
+  const VERSION = 1;
+  const HEADER_BYTES = 8;
+  const SAMPLE_BYTES = 16;
+  const GRAVITY = 9.81;
+  const DEG_TO_RAD = Math.PI / 180;
+
+  /** LSB per g for the ±2/4/8/16 g accel ranges. */
+  const ACCEL_LSB_PER_G = [16384, 8192, 4096, 2048];
+  /** LSB per °/s for the ±250/500/1000/2000 °/s gyro ranges. */
+  const GYRO_LSB_PER_DPS = [131, 65.5, 32.8, 16.4];
+
+  const SEQ_MODULO = 0x10000;
+  const TIME_MODULO = 0x100000000;
+  /** Re-anchor the device clock when it drifts this far from arrival times. */
+  const MAX_CLOCK_SKEW_MS = 1000;
+
+  const textDecoder = typeof TextDecoder !== 'undefined' ? new TextDecoder('utf-8') : null;
+
+  /* --------------------- DECODING --------------------- */
+  /**
+   * Decode one notification (DataView, ArrayBuffer or typed array).
+   * Returns { legacy, version, seq, samples: [{ deviceTimeUs, accel, gyro }] },
+   * { response } for a reply to a device command, or null.
+   */
+  function decode(value) {
+    const view = toDataView(value);
+    if (!view || !view.byteLength) return null;
+    if (view.getUint8(0) === MAGIC) return decodeBinary(view);
+    return decodeJSON(view);
+  }
+
+  function toDataView(value) {
+    if (value instanceof DataView) return value;
+    if (value instanceof ArrayBuffer) return new DataView(value);
+    if (ArrayBuffer.isView(value)) return new DataView(value.buffer, value.byteOffset, value.byteLength);
+    return null;
+  }
+
+  function decodeBinary(view) {
+    if (view.byteLength < HEADER_BYTES) return null;
+    const version = view.getUint8(1);
+    if (version !== VERSION) throw new Error(`Unsupported packet version ${version}`);
+    const seq = view.getUint16(2, true);
+    const count = view.getUint8(4);
+    const ranges = view.getUint8(5);
+    if (view.byteLength < HEADER_BYTES + count * SAMPLE_BYTES) return null;
+    const accelScale = GRAVITY / ACCEL_LSB_PER_G[ranges & 0x03];
+    const gyroScale = DEG_TO_RAD / GYRO_LSB_PER_DPS[(ranges >> 2) & 0x03];
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const o = HEADER_BYTES + i * SAMPLE_BYTES;
+      samples.push({
+        deviceTimeUs: view.getUint32(o, true),
+        accel: {
+          x: view.getInt16(o + 4, true) * accelScale,
+          y: view.getInt16(o + 6, true) * accelScale,
+          z: view.getInt16(o + 8, true) * accelScale,
+        },
+        gyro: {
+          x: view.getInt16(o + 10, true) * gyroScale,
+          y: view.getInt16(o + 12, true) * gyroScale,
+          z: view.getInt16(o + 14, true) * gyroScale,
+        },
+      });
+    }
+    return { legacy: false, version, seq, samples };
+  }
+
+  function decodeJSON(view) {
+    const data = JSON.parse(textDecoder.decode(view));
+    if (data && data.resp !== undefined) return { response: data };
+    return parseLegacy(data);
+  }
+
+  /**
+   * Wrap an already-parsed legacy {"sensor":{accel,gyro}} object as a packet.
+   */
+  function parseLegacy(data) {
+    if (!data || !data.sensor) return null;
+    return { legacy: true, version: 0, seq: null, samples: [{ deviceTimeUs: null, ...data.sensor }] };
+  }
+
+  /* --------------------- STREAM TIMING --------------------- */
+  /**
+   * Per-connection timing and loss counters. Create a new one on every (re)connect.
+   */
+  function createStream() {
+    return {
+      lastSeq: null,
+      packets: 0,
+      lostPackets: 0,
+      samplesPerPacket: 0,
+      lastDeviceUs: null,
+      deviceEpochUs: 0,
+      anchor: null,
+      sampleRateHz: null,
+    };
+  }
+
+  /** Device time in µs, unwrapped past the u32 rollover (~71 minutes). */
+  function unwrapDeviceTime(stream, deviceTimeUs) {
+    if (stream.lastDeviceUs !== null && deviceTimeUs < stream.lastDeviceUs
+        && stream.lastDeviceUs - deviceTimeUs > TIME_MODULO / 2) {
+      stream.deviceEpochUs += TIME_MODULO;
+    }
+    stream.lastDeviceUs = deviceTimeUs;
+    return stream.deviceEpochUs + deviceTimeUs;
+  }
+
+  /**
+   * Timestamp a decoded packet's samples in wall-clock ms and update loss counters.
+   * Legacy packets have no device clock and use the arrival time.
+   * Returns { samples: [{ timeMs, accel, gyro }], lost } where lost counts packets
+   * missing before this one.
+   */
+  function timestamp(stream, packet, receivedAt) {
+    if (packet.legacy) {
+      stream.packets++;
+      return { samples: packet.samples.map(s => ({ timeMs: receivedAt, accel: s.accel, gyro: s.gyro })), lost: 0 };
+    }
+
+    let lost = 0;
+    if (stream.lastSeq !== null) {
+      lost = (packet.seq - stream.lastSeq - 1 + SEQ_MODULO) % SEQ_MODULO;
+      // A huge jump is a device restart, not ~65k lost packets.
+      if (lost > SEQ_MODULO / 2) lost = 0;
+    }
+    stream.lastSeq = packet.seq;
+    stream.packets++;
+    stream.lostPackets += lost;
+    stream.samplesPerPacket = packet.samples.length;
+
+    const times = packet.samples.map(s => unwrapDeviceTime(stream, s.deviceTimeUs));
+    if (times.length > 1) {
+      const rate = (times.length - 1) * 1e6 / (times[times.length - 1] - times[0]);
+      if (Number.isFinite(rate)) stream.sampleRateHz = stream.sampleRateHz === null ? rate : stream.sampleRateHz * 0.9 + rate * 0.1;
+    }
+
+    const last = times[times.length - 1];
+    const mapped = stream.anchor && stream.anchor.hostMs + (last - stream.anchor.deviceUs) / 1000;
+    if (!stream.anchor || mapped > receivedAt + MAX_CLOCK_SKEW_MS || mapped < receivedAt - MAX_CLOCK_SKEW_MS) {
+      stream.anchor = { deviceUs: last, hostMs: receivedAt };
+    }
+    const { deviceUs, hostMs } = stream.anchor;
+    return {
+      samples: packet.samples.map((s, i) => ({ timeMs: hostMs + (times[i] - deviceUs) / 1000, accel: s.accel, gyro: s.gyro })),
+      lost,
+    };
+  }
+
+  /**
+   * Share of packets lost on a stream, 0–1.
+   */
+  function lossRatio(stream) {
+    const expected = stream.packets + stream.lostPackets;
+    return expected ? stream.lostPackets / expected : 0;
+  }
+
+  /* --------------------- ENCODING --------------------- */
+  /**
+   * Encode samples ({ deviceTimeUs, accel, gyro } in m/s² and rad/s) as a binary v1
+   * packet, the same way the firmware does.
+   */
+  function encode(seq, samples, { accelRange = 3, gyroRange = 3 } = {}) {
+    const buffer = new ArrayBuffer(HEADER_BYTES + samples.length * SAMPLE_BYTES);
+    const view = new DataView(buffer);
+    const accelLsb = ACCEL_LSB_PER_G[accelRange] / GRAVITY;
+    const gyroLsb = GYRO_LSB_PER_DPS[gyroRange] / DEG_TO_RAD;
+    const int16 = v => Math.max(-32768, Math.min(32767, Math.round(v)));
+    view.setUint8(0, MAGIC);
+    view.setUint8(1, VERSION);
+    view.setUint16(2, seq % SEQ_MODULO, true);
+    view.setUint8(4, samples.length);
+    view.setUint8(5, accelRange | (gyroRange << 2));
+    samples.forEach((s, i) => {
+      const o = HEADER_BYTES + i * SAMPLE_BYTES;
+      view.setUint32(o, s.deviceTimeUs % TIME_MODULO, true);
+      ['x', 'y', 'z'].forEach((axis, j) => {
+        view.setInt16(o + 4 + j * 2, int16(s.accel[axis] * accelLsb), true);
+        view.setInt16(o + 10 + j * 2, int16(s.gyro[axis] * gyroLsb), true);
+      });
+    });
+    return buffer;
+  }
+
+  return {
+    VERSION,
+    decode,
+    parseLegacy,
+    createStream,
+    timestamp,
+    lossRatio,
+    encode,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SensorPacket;
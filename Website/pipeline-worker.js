@@ -0,0 +1,13 @@
+/* ====================================================
+   NeuroGuard Sensor Pipeline Worker
+   - Runs SensorPipeline (pipeline.js) in a Web Worker so
+     smoothing, stillness checks, orientation and impact
+     detection never compete with chart rendering
+   - Message formats are documented in pipeline.js
+==================================================== */
+
+importScripts('orientation.js', 'scoring.js', 'packet.js', 'pipeline.js');
+
+const pipeline = SensorPipeline.createPipeline((message, transfer = []) => self.postMessage(message, transfer));
+
+self.addEventListener('message', (event) => pipeline.handle(event.data));
@@ -0,0 +1,185 @@
+/* ====================================================
+   NeuroGuard Sensor Pipeline
+   - decode → timestamp → smooth → zero → remove gravity →
+     detect, for every headband (and a replay track), off
+     the UI thread: pipeline-worker.js runs it in a Web
+     Worker, app.js falls back to running it on the page
+   - Messages in: open/close a headband, reset its packet
+     stream, configure, mounting, connection controls, raw
+     notifications and recorded sample batches
+   - Messages out: typed-array sample batches with the
+     detected impacts, command replies and decode errors
+   - Loaded as a classic script in the browser or worker
+     (global SensorPipeline) or with require() in Node
+==================================================== */
+
+const SensorPipeline = (() => {
+  const Scoring = typeof ScoringEngine !== 'undefined' ? ScoringEngine : require('./scoring.js');
+  const Packet = typeof SensorPacket !== 'undefined' ? SensorPacket : require('./packet.js');
+
+  /* --------------------- BATCH FORMAT --------------------- */
+  /*
+   * { type: 'batch', id, times, raw, processed, paused, impacts, lost, stream }
+   *   times      Float64Array(n)       sample time (ms)
+   *   raw        Float64Array(n × 6)   accel x y z (m/s²), gyro x y z (rad/s) as received
+   *   processed  Float64Array(n × 12)  zeroedA x y z, zeroedG x y z, gravity x y z,
+   *                                    attitude pitch roll yaw (°)
+   *   paused     Uint8Array(n)         1 where the detector was paused (processed row is zeros)
+   *   impacts    [{ index, impact, offsets, mounting }] by sample index
+   *   lost       packets lost before this batch
+   *   stream     copy of the packet stream counters (rate, loss)
+   * Every received sample is included, so recordings keep the raw stream while paused.
+   */
+  const RAW_STRIDE = 6;
+  const PROCESSED_STRIDE = 12;
+  const CONTROLS = ['connect', 'reconnect', 'disconnect', 'pause', 'resume'];
+
+  /** One sample of a batch as objects, like ScoringEngine.processSample's result. */
+  function sampleAt(batch, i) {
+    const r = batch.raw.subarray(i * RAW_STRIDE, (i + 1) * RAW_STRIDE);
+    const p = batch.processed.subarray(i * PROCESSED_STRIDE, (i + 1) * PROCESSED_STRIDE);
+    return {
+      time: batch.times[i],
+      accel: { x: r[0], y: r[1], z: r[2] },
+      gyro: { x: r[3], y: r[4], z: r[5] },
+      zeroedA: { x: p[0], y: p[1], z: p[2] },
+      zeroedG: { x: p[3], y: p[4], z: p[5] },
+      gravity: { x: p[6], y: p[7], z: p[8] },
+      attitude: { pitch: p[9], roll: p[10], yaw: p[11] },
+    };
+  }
+
+  /** Copy of a notification's bytes (DataView, typed array or ArrayBuffer) whose buffer can be transferred. */
+  function copyBytes(value) {
+    if (!ArrayBuffer.isView(value)) return new Uint8Array(value).slice();
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength).slice();
+  }
+
+  /* --------------------- PIPELINE --------------------- */
+  /**
+   * Create a pipeline. post(message, transfer) delivers its output; handle(message)
+   * takes the input messages in order.
+   */
+  function createPipeline(post) {
+    const tracks = new Map();
+
+    /** Run samples ({ timeMs, accel, gyro }) through a track's detector and post them. */
+    function processSamples(id, track, samples, lost = 0) {
+      const n = samples.length;
+      const times = new Float64Array(n);
+      const raw = new Float64Array(n * RAW_STRIDE);
+      const processed = new Float64Array(n * PROCESSED_STRIDE);
+      const paused = new Uint8Array(n);
+      const impacts = [];
+      samples.forEach(({ timeMs, accel, gyro }, i) => {
+        times[i] = timeMs;
+        raw.set([accel.x, accel.y, accel.z, gyro.x, gyro.y, gyro.z], i * RAW_STRIDE);
+        const result = Scoring.processSample(track.detector, { time: timeMs, accel, gyro });
+        if (!result) {
+          paused[i] = 1;
+          return;
+        }
+        const { zeroedA, zeroedG, gravity, attitude } = result;
+        processed.set([
+          zeroedA.x, zeroedA.y, zeroedA.z,
+          zeroedG.x, zeroedG.y, zeroedG.z,
+          gravity.x, gravity.y, gravity.z,
+          attitude.pitch, attitude.roll, attitude.yaw,
+        ], i * PROCESSED_STRIDE);
+        if (result.impact) {
+          impacts.push({
+            index: i,
+            impact: result.impact,
+            offsets: { gyro: { ...track.detector.offsets.gyro } },
+            mounting: { ...track.detector.mounting },
+          });
+        }
+      });
+      if (!n && !lost) return;
+      const batch = { type: 'batch', id, times, raw, processed, paused, impacts, lost, stream: { ...track.stream } };
+      post(batch, [times.buffer, raw.buffer, processed.buffer, paused.buffer]);
+    }
+
+    /** Decode a raw notification: samples go through the detector, replies are passed on. */
+    function handleData(id, track, bytes, receivedAt) {
+      let packet;
+      try {
+        packet = Packet.decode(bytes);
+      } catch (e) {
+        post({ type: 'error', id, message: `Packet decode error: ${e.message}` });
+        return;
+      }
+      if (!packet) return;
+      if (packet.response) {
+        post({ type: 'response', id, response: packet.response });
+        return;
+      }
+      const { samples, lost } = Packet.timestamp(track.stream, packet, receivedAt);
+      processSamples(id, track, samples, lost);
+    }
+
+    /** Recorded samples: times (ms) and raw accel/gyro rows as in a batch. */
+    function handleRecorded(id, track, times, raw) {
+      const samples = Array.from(times, (timeMs, i) => {
+        const r = raw.subarray(i * RAW_STRIDE, (i + 1) * RAW_STRIDE);
+        return { timeMs, accel: { x: r[0], y: r[1], z: r[2] }, gyro: { x: r[3], y: r[4], z: r[5] } };
+      });
+      processSamples(id, track, samples);
+    }
+
+    function handle(message) {
+      const { type, id } = message;
+      if (type === 'open') {
+        const track = { detector: Scoring.createDetector(message.config), stream: Packet.createStream() };
+        Scoring.setMounting(track.detector, message.mounting);
+        tracks.set(id, track);
+        return;
+      }
+      const track = tracks.get(id);
+      if (!track) return;
+      try {
+        switch (type) {
+          case 'close':
+            tracks.delete(id);
+            break;
+          case 'stream':
+            track.stream = Packet.createStream();
+            break;
+          case 'configure':
+            Scoring.configure(track.detector, message.config);
+            break;
+          case 'mounting':
+            Scoring.setMounting(track.detector, message.mounting);
+            break;
+          case 'control':
+            if (CONTROLS.includes(message.action)) Scoring[message.action](track.detector, message.time);
+            // Replay markers come back in order with the samples around them
+            if (message.marker) post({ type: 'marker', id, marker: message.marker, time: message.time });
+            break;
+          case 'data':
+            handleData(id, track, message.bytes, message.receivedAt);
+            break;
+          case 'samples':
+            handleRecorded(id, track, message.times, message.raw);
+            break;
+          default:
+            throw new Error(`Unknown pipeline message "${type}"`);
+        }
+      } catch (e) {
+        post({ type: 'error', id, message: `Sensor pipeline: ${e.message}` });
+      }
+    }
+
+    return { handle };
+  }
+
+  return {
+    RAW_STRIDE,
+    PROCESSED_STRIDE,
+    sampleAt,
+    copyBytes,
+    createPipeline,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SensorPipeline;
@@ -0,0 +1,228 @@
+/* ====================================================
+   NeuroGuard Concussion Protocol
+   - One case per suspected concussion: opened when a
+     player's NRS reaches the evaluation level or a trainer
+     flags them, linked to the triggering impact
+   - SCAT-style symptom checklist (22 symptoms rated 0–6),
+     compared with the player's baseline
+   - Removal-from-play record and graded return-to-play
+     stages, each signed off with a date and name
+   - Headless: no DOM or storage access
+   - Loaded as a classic script in the browser (global
+     ConcussionProtocol) or with require() in Node
+==================================================== */
+
+const ConcussionProtocol = (() => {
+  /* --------------------- CONFIGURATION --------------------- */
+  /** The SCAT symptom evaluation, in form order. */
+  const SYMPTOMS = Object.freeze([
+    { key: 'headache', label: 'Headache' },
+    { key: 'pressure', label: 'Pressure in head' },
+    { key: 'neck_pain', label: 'Neck pain' },
+    { key: 'nausea', label: 'Nausea or vomiting' },
+    { key: 'dizziness', label: 'Dizziness' },
+    { key: 'blurred_vision', label: 'Blurred vision' },
+    { key: 'balance', label: 'Balance problems' },
+    { key: 'light', label: 'Sensitivity to light' },
+    { key: 'noise', label: 'Sensitivity to noise' },
+    { key: 'slowed', label: 'Feeling slowed down' },
+    { key: 'fog', label: 'Feeling like "in a fog"' },
+    { key: 'not_right', label: '"Don\'t feel right"' },
+    { key: 'concentrating', label: 'Difficulty concentrating' },
+    { key: 'remembering', label: 'Difficulty remembering' },
+    { key: 'fatigue', label: 'Fatigue or low energy' },
+    { key: 'confusion', label: 'Confusion' },
+    { key: 'drowsiness', label: 'Drowsiness' },
+    { key: 'emotional', label: 'More emotional' },
+    { key: 'irritability', label: 'Irritability' },
+    { key: 'sadness', label: 'Sadness' },
+    { key: 'anxious', label: 'Nervous or anxious' },
+    { key: 'sleep', label: 'Trouble falling asleep' },
+  ]);
+  const MAX_RATING = 6;
+
+  /** Graded return to sport; each stage takes at least MIN_STAGE_HOURS. */
+  const RTP_STAGES = Object.freeze([
+    { stage: 1, label: 'Symptom-limited activity', detail: 'Daily activities that do not make symptoms worse' },
+    { stage: 2, label: 'Light aerobic exercise', detail: 'Walking or stationary cycling, no resistance training' },
+    { stage: 3, label: 'Sport-specific exercise', detail: 'Running or skating drills, no head impact activities' },
+    { stage: 4, label: 'Non-contact training drills', detail: 'Harder drills such as passing; may start resistance training' },
+    { stage: 5, label: 'Full contact practice', detail: 'After medical clearance, normal training activities' },
+    { stage: 6, label: 'Return to sport', detail: 'Normal game play' },
+  ]);
+  const MIN_STAGE_HOURS = 24;
+  const HOUR_MS = 3600000;
+
+  /* --------------------- SYMPTOMS --------------------- */
+  /**
+   * Ratings for every symptom, 0 where missing. Throws on a rating that is not a
+   * whole number from 0 to MAX_RATING.
+   */
+  function normalizeSymptoms(ratings = {}) {
+    return Object.fromEntries(SYMPTOMS.map(({ key, label }) => {
+      const value = ratings[key] === undefined || ratings[key] === '' ? 0 : Number(ratings[key]);
+      if (!Number.isInteger(value) || value < 0 || value > MAX_RATING) {
+        throw new Error(`${label}: rating must be 0–${MAX_RATING}`);
+      }
+      return [key, value];
+    }));
+  }
+
+  /**
+   * Number of symptoms reported and symptom severity score (sum of ratings, max 132).
+   */
+  function symptomScore(symptoms) {
+    const values = SYMPTOMS.map(({ key }) => symptoms[key] || 0);
+    return { count: values.filter(v => v > 0).length, severity: values.reduce((a, b) => a + b, 0) };
+  }
+
+  /**
+   * An assessment's scores next to a baseline's. worse lists the symptoms rated
+   * higher than at baseline; without a baseline every reported symptom is worse.
+   */
+  function compareToBaseline(symptoms, baseline = null) {
+    const now = symptomScore(symptoms);
+    const base = baseline ? symptomScore(baseline.symptoms) : { count: 0, severity: 0 };
+    return {
+      ...now,
+      baseline: baseline ? base : null,
+      countDelta: now.count - base.count,
+      severityDelta: now.severity - base.severity,
+      worse: SYMPTOMS
+        .filter(({ key }) => (symptoms[key] || 0) > (baseline ? baseline.symptoms[key] || 0 : 0))
+        .map(({ key }) => key),
+    };
+  }
+
+  /**
+   * A player's baseline checklist, taken before the season while healthy.
+   */
+  function createBaseline({ player, time = Date.now(), symptoms, examiner = '', notes = '' }) {
+    return { player, time, symptoms: normalizeSymptoms(symptoms), examiner: examiner.trim(), notes: notes.trim() };
+  }
+
+  /* --------------------- CASES --------------------- */
+  /**
+   * Open a case. trigger is { type: 'nrs' | 'manual', nrs, level } and impactTime the
+   * time of the linked impact (impacts are matched on player and time, since their
+   * ids change when a history is re-saved).
+   */
+  function createCase({ player, time = Date.now(), trigger, impactTime = null }) {
+    return {
+      player,
+      openedAt: time,
+      trigger,
+      impactTime,
+      status: 'open',
+      assessments: [],
+      removal: null,
+      stages: [],
+      closedAt: null,
+      closeReason: '',
+    };
+  }
+
+  function isOpen(c) {
+    return c.status === 'open';
+  }
+
+  /** Record a symptom checklist on a case. */
+  function addAssessment(c, { time = Date.now(), symptoms, examiner = '', notes = '' }) {
+    const assessment = { time, symptoms: normalizeSymptoms(symptoms), examiner: examiner.trim(), notes: notes.trim() };
+    c.assessments.push(assessment);
+    c.assessments.sort((a, b) => a.time - b.time);
+    return assessment;
+  }
+
+  /** Record who removed the player from play, when and why. */
+  function recordRemoval(c, { time = Date.now(), by, notes = '' }) {
+    if (!by || !by.trim()) throw new Error('Enter who removed the player');
+    c.removal = { time, by: by.trim(), notes: notes.trim() };
+    return c.removal;
+  }
+
+  /** The return-to-play stage waiting for sign-off, or null once cleared. */
+  function nextStage(c) {
+    return RTP_STAGES[c.stages.length] || null;
+  }
+
+  /**
+   * Reasons to double-check a sign-off that the protocol still allows: a stage
+   * shorter than MIN_STAGE_HOURS, or symptoms on the latest checklist.
+   */
+  function signOffWarnings(c, time = Date.now()) {
+    const warnings = [];
+    const previous = c.stages[c.stages.length - 1];
+    const start = previous ? previous.time : c.removal && c.removal.time;
+    if (start && time - start < MIN_STAGE_HOURS * HOUR_MS) {
+      warnings.push(`Less than ${MIN_STAGE_HOURS} h since ${previous ? `stage ${previous.stage}` : 'removal'}`);
+    }
+    const latest = c.assessments[c.assessments.length - 1];
+    if (!latest) warnings.push('No symptom checklist recorded');
+    else if (symptomScore(latest.symptoms).count) warnings.push('Symptoms on the latest checklist');
+    return warnings;
+  }
+
+  /**
+   * Sign off the next return-to-play stage. The final stage clears the player and
+   * closes the case.
+   */
+  function signOffStage(c, { time = Date.now(), by }) {
+    const stage = nextStage(c);
+    if (!isOpen(c) || !stage) throw new Error('This case is closed');
+    if (!c.removal) throw new Error('Record the removal from play first');
+    if (!by || !by.trim()) throw new Error('Enter who signs off this stage');
+    const previous = c.stages[c.stages.length - 1];
+    if (time < (previous ? previous.time : c.removal.time)) {
+      throw new Error(`Stage ${stage.stage} cannot be signed off before ${previous ? `stage ${previous.stage}` : 'the removal'}`);
+    }
+    const entry = { stage: stage.stage, time, by: by.trim() };
+    c.stages.push(entry);
+    if (!nextStage(c)) {
+      c.status = 'cleared';
+      c.closedAt = time;
+    }
+    return entry;
+  }
+
+  /** Close a case without completing return to play (e.g. no concussion found). */
+  function closeCase(c, { time = Date.now(), reason }) {
+    if (!reason || !reason.trim()) throw new Error('Enter why the case is closed');
+    c.status = 'closed';
+    c.closedAt = time;
+    c.closeReason = reason.trim();
+  }
+
+  /**
+   * Short status, e.g. "Removed from play", "Stage 3 of 6 next" or "Cleared".
+   */
+  function caseStatus(c) {
+    if (c.status === 'cleared') return 'Cleared to play';
+    if (c.status === 'closed') return 'Closed';
+    if (!c.removal) return 'Awaiting evaluation';
+    const stage = nextStage(c);
+    return stage.stage === 1 ? 'Removed from play' : `Stage ${stage.stage - 1} of ${RTP_STAGES.length} complete`;
+  }
+
+  return {
+    SYMPTOMS,
+    MAX_RATING,
+    RTP_STAGES,
+    MIN_STAGE_HOURS,
+    normalizeSymptoms,
+    symptomScore,
+    compareToBaseline,
+    createBaseline,
+    createCase,
+    isOpen,
+    addAssessment,
+    recordRemoval,
+    nextStage,
+    signOffWarnings,
+    signOffStage,
+    closeCase,
+    caseStatus,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ConcussionProtocol;
@@ -0,0 +1,725 @@
+/* ====================================================
+   NeuroGuard Scoring Engine
+   - Headless: no DOM, charts or storage access
+   - Sample pipeline: smoothing → gravity removal → impact
+     detection; an orientation filter tracks head attitude
+     so gravity is removed however the head is tilted
+   - Risk scores: ISS, AWE, CLI and NRS
+   - Impact location and rotational plane in head coordinates
+   - Standard metrics from an impact's trace: HIC15/HIC36,
+     BrIC and peak angular velocity/acceleration
+   - Loaded as a classic script in the browser (global
+     ScoringEngine) or with require() in Node
+==================================================== */
+
+const ScoringEngine = (() => {
+  const Orientation = typeof OrientationFilter !== 'undefined' ? OrientationFilter : require('./orientation.js');
+
+  /* --------------------- CONFIGURATION --------------------- */
+  const DEFAULT_CONFIG = Object.freeze({
+    sampleRateHz: 100,
+    smoothingWindowSize: 7,
+    gyroMultiplier: 2.5,
+    whiseThreshold: 0.1,
+    minLinearG: 1,
+    minRotationalRadS2: 150,
+    deadTimeMs: 770,
+    connectZeroDelayMs: 500,
+    autoZeroEnabled: false,
+    stillnessWindowMs: 250,
+    autoZeroHoldMs: 0,
+    autoZeroCooldownMs: 250,
+    autoZeroMinUptimeMs: 100,
+    impactSuppressionMs: 0,
+    maxSampleGapMs: 250,
+    fusionKp: 1,
+    fusionKi: 0.02,
+    fusionAccelGate: 0.1,
+    severityMetric: 'iss',
+    omegaStdThresh: 0.12,
+    accelStdThresh: 0.25,
+  });
+
+  const GRAVITY = 9.81;
+  const DAY_MS = 86400000;
+  const AWE_WINDOW_DAYS = 7;
+  const AWE_DECAY_PER_DAY = 0.4;
+  const CLI_RETENTION = 0.99;
+  const NRS_WEIGHTS = Object.freeze({ iss: 0.35, awe: 0.35, cli: 0.2 });
+  const NRS_SCALE = 3;
+  const RISK_THRESHOLDS = Object.freeze({ moderate: 3, high: 6, severe: 8 });
+  const AXES = ['x', 'y', 'z'];
+
+  /*
+   * Head coordinates: x anterior (forward), y left, z superior (up).
+   * A mounting names the sensor axes that point forward and up, e.g. '+x' / '-z'.
+   */
+  const MOUNTING_AXES = Object.freeze(['+x', '-x', '+y', '-y', '+z', '-z']);
+  const DEFAULT_MOUNTING = Object.freeze({ forward: '+x', up: '+z' });
+  /** Where the blow landed, by the dominant axis of the opposite of the head's acceleration. */
+  const IMPACT_LOCATIONS = Object.freeze(['front', 'back', 'left', 'right', 'top', 'bottom']);
+  /** Plane of rotation by the dominant angular velocity axis (x coronal, y sagittal, z axial). */
+  const ROTATION_PLANES = Object.freeze(['sagittal', 'coronal', 'axial']);
+
+  /** BrIC critical angular velocities (rad/s) about the head's x, y and z axes (Takhounts 2013). */
+  const BRIC_CRITICAL = Object.freeze({ x: 66.25, y: 56.45, z: 42.87 });
+  /** Samples further apart than this are not differentiated across (a dropout). */
+  const MAX_DIFF_SPAN_MS = 50;
+
+  /*
+   * Impact metrics the NRS can use as its severity input. perUnit scales each one so
+   * that a hit near published concussion levels (HIC15 ≈ 250, HIC36 ≈ 300, BrIC ≈ 0.5,
+   * 6000 rad/s²) scores about 3.3, the ISS of a 95 g / 6000 rad/s² hit.
+   */
+  const SEVERITY_METRICS = Object.freeze({
+    iss: { label: 'ISS', perUnit: 1 },
+    hic15: { label: 'HIC15', perUnit: 1 / 75 },
+    hic36: { label: 'HIC36', perUnit: 1 / 90 },
+    bric: { label: 'BrIC', perUnit: 6.6 },
+    peak_alpha: { label: 'Peak rotational acceleration', perUnit: 1 / 1800 },
+  });
+
+  /* --------------------- HELPER FUNCTIONS --------------------- */
+  /**
+   * Calculate the mean of an array.
+   */
+  function mean(arr) {
+    return arr.length ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+  }
+
+  /**
+   * Calculate the standard deviation (sample) of an array.
+   */
+  function std(arr) {
+    if (arr.length < 2) return 0;
+    const m = mean(arr);
+    const v = arr.reduce((sum, val) => sum + (val - m) ** 2, 0) / (arr.length - 1);
+    return Math.sqrt(v);
+  }
+
+  /**
+   * Euclidean magnitude of an {x, y, z} vector.
+   */
+  function magnitude(v) {
+    return Math.sqrt(v.x ** 2 + v.y ** 2 + v.z ** 2);
+  }
+
+  /**
+   * Unit vectors of the head's forward, left and up axes in sensor coordinates.
+   * Throws if forward and up are not perpendicular sensor axes.
+   */
+  function mountingBasis({ forward, up }) {
+    const unit = (spec) => {
+      if (!MOUNTING_AXES.includes(spec)) throw new Error(`Unknown mounting axis "${spec}"`);
+      const v = { x: 0, y: 0, z: 0 };
+      v[spec[1]] = spec[0] === '-' ? -1 : 1;
+      return v;
+    };
+    const f = unit(forward);
+    const u = unit(up);
+    if (forward[1] === up[1]) throw new Error('Forward and up must be different axes');
+    // left = up × forward, so forward, left, up is right-handed like x, y, z
+    const l = { x: u.y * f.z - u.z * f.y, y: u.z * f.x - u.x * f.z, z: u.x * f.y - u.y * f.x };
+    return { forward: f, left: l, up: u };
+  }
+
+  /**
+   * A sensor-frame vector in head coordinates for a given mounting.
+   */
+  function toHeadFrame(v, mounting = DEFAULT_MOUNTING) {
+    const basis = mountingBasis(mounting);
+    const dot = (b) => v.x * b.x + v.y * b.y + v.z * b.z;
+    return { x: dot(basis.forward), y: dot(basis.left), z: dot(basis.up) };
+  }
+
+  /** The axis ('x', 'y' or 'z') with the largest absolute component. */
+  function dominantAxis(v) {
+    return AXES.reduce((best, axis) => (Math.abs(v[axis]) > Math.abs(v[best]) ? axis : best), 'x');
+  }
+
+  /**
+   * Where on the head a blow landed, from the head's linear acceleration in head
+   * coordinates: a hit to the front pushes the head backwards.
+   */
+  function impactLocation(headAccel) {
+    const axis = dominantAxis(headAccel);
+    const towards = -headAccel[axis] >= 0;
+    if (axis === 'x') return towards ? 'front' : 'back';
+    if (axis === 'y') return towards ? 'left' : 'right';
+    return towards ? 'top' : 'bottom';
+  }
+
+  /**
+   * Anatomical plane of a rotation from angular velocity in head coordinates.
+   */
+  function rotationPlane(headOmega) {
+    return { x: 'coronal', y: 'sagittal', z: 'axial' }[dominantAxis(headOmega)];
+  }
+
+  function round(value, decimals) {
+    const f = 10 ** decimals;
+    return Math.round(value * f) / f;
+  }
+
+  /**
+   * Smooth raw sensor data using a moving average.
+   */
+  function smoothData(rawData, historyBuffer, windowSize) {
+    AXES.forEach(axis => {
+      historyBuffer[axis].push(rawData[axis]);
+      while (historyBuffer[axis].length > windowSize) historyBuffer[axis].shift();
+    });
+    return { x: mean(historyBuffer.x), y: mean(historyBuffer.y), z: mean(historyBuffer.z) };
+  }
+
+  /* --------------------- SCORE FORMULAS --------------------- */
+  /**
+   * Weighted head-impact severity index used as the detection gate.
+   */
+  function computeWHISE(aInG, alpha) {
+    return 0.4 * (aInG / 100) + 0.6 * (Math.abs(alpha) / 6000);
+  }
+
+  /**
+   * The factors of the ISS: linear term, rotational multiplier and overall scale.
+   */
+  function issTerms(aInG, alpha) {
+    return { linear: Math.log10(1 + aInG * 0.8), rotational: 1 + Math.abs(alpha) / 4500, scale: 0.75 };
+  }
+
+  /**
+   * Impact Severity Score from peak linear (g) and rotational (rad/s²) acceleration.
+   */
+  function computeISS(aInG, alpha) {
+    const { linear, rotational, scale } = issTerms(aInG, alpha);
+    return round(linear * rotational * scale, 2);
+  }
+
+  /**
+   * An impact's severity on the ISS scale using the chosen metric. Impacts without
+   * that metric (imported, or captured before it existed) fall back to their ISS.
+   */
+  function impactSeverity(impact, metric = 'iss') {
+    const value = impact[metric];
+    if (metric === 'iss' || !SEVERITY_METRICS[metric] || !Number.isFinite(value)) return impact.iss;
+    return round(value * SEVERITY_METRICS[metric].perUnit, 2);
+  }
+
+  /**
+   * Acute Workload Exposure: severity of the last 7 days, decayed per day.
+   */
+  function computeAWE(impacts, now, metric = 'iss') {
+    return impacts.reduce((awe, imp) => {
+      const daysAgo = (now - imp.time) / DAY_MS;
+      if (daysAgo < 0 || daysAgo >= AWE_WINDOW_DAYS) return awe;
+      return awe + impactSeverity(imp, metric) * Math.exp(-AWE_DECAY_PER_DAY * daysAgo);
+    }, 0);
+  }
+
+  /**
+   * Chronic Load Index: exponential moving average of severity, updated once per impact.
+   */
+  function updateCLI(cli, iss) {
+    return CLI_RETENTION * cli + (1 - CLI_RETENTION) * iss;
+  }
+
+  /**
+   * Each input's share of the NRS, on the NRS scale (before rounding).
+   */
+  function nrsTerms(latestISS, awe, cli) {
+    return {
+      iss: NRS_WEIGHTS.iss * latestISS * NRS_SCALE,
+      awe: NRS_WEIGHTS.awe * awe * NRS_SCALE,
+      cli: NRS_WEIGHTS.cli * cli * NRS_SCALE,
+    };
+  }
+
+  /**
+   * Neuro Risk Score on the dashboard's 0–10 scale, rounded to one decimal.
+   */
+  function computeNRS(latestISS, awe, cli) {
+    const terms = nrsTerms(latestISS, awe, cli);
+    return Math.max(0, round(terms.iss + terms.awe + terms.cli, 1));
+  }
+
+  /**
+   * Risk level key ('low' | 'moderate' | 'high' | 'severe') for an NRS score.
+   */
+  function riskLevel(nrs, thresholds = RISK_THRESHOLDS) {
+    if (nrs < thresholds.moderate) return 'low';
+    if (nrs < thresholds.high) return 'moderate';
+    if (nrs < thresholds.severe) return 'high';
+    return 'severe';
+  }
+
+  /* --------------------- PLAYER SCORES --------------------- */
+  /**
+   * Create an empty score state (serializable as-is). severityMetric picks the
+   * impact metric the scores are built from; latestISS holds its latest value.
+   */
+  function createScoreState(severityMetric = 'iss') {
+    return { impactHistory: [], currentNRS: 0.0, currentAWE: 0.0, cli: 0.0, latestISS: 0.0, severityMetric };
+  }
+
+  /**
+   * Recompute AWE, latest ISS and NRS for a point in time. Only an impact inside the
+   * AWE window counts as the latest ISS, so the score decays back to the CLI floor.
+   */
+  function refreshScores(state, now) {
+    const history = state.impactHistory;
+    const latest = history[history.length - 1];
+    const metric = state.severityMetric;
+    state.latestISS = latest && now - latest.time < AWE_WINDOW_DAYS * DAY_MS ? impactSeverity(latest, metric) : 0;
+    state.currentAWE = computeAWE(history, now, metric);
+    state.currentNRS = computeNRS(state.latestISS, state.currentAWE, state.cli);
+    return state;
+  }
+
+  /**
+   * Add a detected impact to a score state. The impact is annotated with the
+   * NRS, AWE and CLI it produced.
+   */
+  function addImpact(state, impact, now = impact.time) {
+    state.impactHistory.push(impact);
+    state.cli = updateCLI(state.cli, impactSeverity(impact, state.severityMetric));
+    refreshScores(state, now);
+    impact.nrs = state.currentNRS;
+    impact.awe = state.currentAWE;
+    impact.cli = state.cli;
+    return impact;
+  }
+
+  /**
+   * Rebuild CLI from the full impact history in time order, then refresh.
+   */
+  function recalculateScores(state, now) {
+    state.impactHistory.sort((a, b) => a.time - b.time);
+    state.cli = state.impactHistory.reduce((cli, imp) => updateCLI(cli, impactSeverity(imp, state.severityMetric)), 0);
+    return refreshScores(state, now);
+  }
+
+  /**
+   * Switch the severity metric and replay the history, so every impact's NRS, AWE
+   * and CLI annotations are what the new metric would have produced.
+   */
+  function setSeverityMetric(state, metric, now) {
+    if (!SEVERITY_METRICS[metric]) throw new Error(`Unknown severity metric "${metric}"`);
+    const history = [...state.impactHistory].sort((a, b) => a.time - b.time);
+    Object.assign(state, createScoreState(metric));
+    history.forEach(impact => addImpact(state, impact));
+    return refreshScores(state, now);
+  }
+
+  /**
+   * What one impact did to the NRS: the score just before and just after it, rebuilt
+   * from the rest of the history, and the ISS/AWE/CLI terms of the score after it.
+   */
+  function impactContribution(history, impact, metric = 'iss') {
+    const prior = history.filter(imp => imp !== impact && imp.time <= impact.time);
+    const before = createScoreState(metric);
+    before.impactHistory = [...prior];
+    recalculateScores(before, impact.time);
+    const after = createScoreState(metric);
+    after.impactHistory = [...prior, impact];
+    recalculateScores(after, impact.time);
+    return {
+      before: before.currentNRS,
+      after: after.currentNRS,
+      delta: round(after.currentNRS - before.currentNRS, 1),
+      terms: nrsTerms(after.latestISS, after.currentAWE, after.cli),
+    };
+  }
+
+  /* --------------------- IMPACT METRICS --------------------- */
+  /**
+   * Head Injury Criterion over windows up to windowMs long, from resultant linear
+   * acceleration in g at times in ms (trapezoidal integration between samples).
+   */
+  function computeHIC(times, accelG, windowMs) {
+    const integral = [0];
+    for (let i = 1; i < times.length; i++) {
+      integral.push(integral[i - 1] + (accelG[i] + accelG[i - 1]) / 2 * (times[i] - times[i - 1]) / 1000);
+    }
+    let hic = 0;
+    for (let i = 0; i < times.length; i++) {
+      for (let j = i + 1; j < times.length && times[j] - times[i] <= windowMs; j++) {
+        const dt = (times[j] - times[i]) / 1000;
+        const average = (integral[j] - integral[i]) / dt;
+        if (average > 0) hic = Math.max(hic, dt * average ** 2.5);
+      }
+    }
+    return hic;
+  }
+
+  /**
+   * Brain Injury Criterion from the peak absolute angular velocity (rad/s) about
+   * each head axis.
+   */
+  function computeBrIC(peakOmega) {
+    return Math.sqrt(AXES.reduce((sum, axis) => sum + (peakOmega[axis] / BRIC_CRITICAL[axis]) ** 2, 0));
+  }
+
+  /**
+   * Standard metrics from an impact's trace: samples [{ t (ms), accel, gyro, gravity }]
+   * of raw sensor values, with the zero offsets and mounting in force when it was
+   * captured. Traces from before the orientation filter have no per-sample gravity and
+   * use the static accel offset instead.
+   * Uses the unsmoothed signal without the gyro multiplier so the values compare
+   * with published ones. Angular acceleration is the central difference of the
+   * angular velocity vector over the real time between samples.
+   */
+  function impactMetrics(samples, { offsets, mounting = DEFAULT_MOUNTING }) {
+    const times = samples.map(s => s.t);
+    const accel = samples.map(s => {
+      const g = s.gravity || offsets.accel;
+      return toHeadFrame({ x: s.accel.x - g.x, y: s.accel.y - g.y, z: s.accel.z - g.z }, mounting);
+    });
+    const omega = samples.map(s => toHeadFrame({
+      x: s.gyro.x - offsets.gyro.x, y: s.gyro.y - offsets.gyro.y, z: s.gyro.z - offsets.gyro.z,
+    }, mounting));
+    const accelG = accel.map(a => magnitude(a) / GRAVITY);
+
+    const peakOmegaAxes = { x: 0, y: 0, z: 0 };
+    omega.forEach(w => AXES.forEach(axis => { peakOmegaAxes[axis] = Math.max(peakOmegaAxes[axis], Math.abs(w[axis])); }));
+    let peakAlpha = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const a = Math.max(0, i - 1);
+      const b = Math.min(samples.length - 1, i + 1);
+      const span = times[b] - times[a];
+      if (span <= 0 || span > MAX_DIFF_SPAN_MS) continue;
+      const alpha = magnitude({
+        x: omega[b].x - omega[a].x, y: omega[b].y - omega[a].y, z: omega[b].z - omega[a].z,
+      }) / (span / 1000);
+      peakAlpha = Math.max(peakAlpha, alpha);
+    }
+
+    return {
+      peak_g: round(Math.max(0, ...accelG), 1),
+      hic15: round(computeHIC(times, accelG, 15), 1),
+      hic36: round(computeHIC(times, accelG, 36), 1),
+      bric: round(computeBrIC(peakOmegaAxes), 3),
+      peak_omega: round(Math.max(0, ...omega.map(magnitude)), 2),
+      peak_alpha: round(peakAlpha, 0),
+    };
+  }
+
+  /* --------------------- SAMPLE PIPELINE --------------------- */
+  /**
+   * Create the per-headband pipeline state: smoothing buffers, gyro offsets,
+   * orientation filter, stillness buffers and impact detector timing.
+   */
+  function createDetector(config = {}) {
+    return {
+      config: { ...DEFAULT_CONFIG, ...config },
+      paused: false,
+      latestRaw: null,
+      connectedAt: 0,
+      zeroPending: false,
+      impactDetectionDisabled: true,
+      lastImpactTime: 0,
+      lastGyro: null,
+      lastGyroTime: null,
+      zeroed: false,
+      lastAutoZeroTime: 0,
+      stillStart: 0,
+      accelHistory: { x: [], y: [], z: [] },
+      gyroHistory: { x: [], y: [], z: [] },
+      stillBuf: { accel: { x: [], y: [], z: [] }, gyro: { x: [], y: [], z: [] } },
+      offsets: { gyro: { x: 0, y: 0, z: 0 } },
+      orientation: Orientation.createFilter(),
+      mounting: DEFAULT_MOUNTING,
+    };
+  }
+
+  /** Orientation filter gains from a detector config. */
+  function fusionGains(cfg) {
+    return { kp: cfg.fusionKp, ki: cfg.fusionKi, accelGate: cfg.fusionAccelGate, maxGapMs: cfg.maxSampleGapMs };
+  }
+
+  /**
+   * Set how a detector's headband is worn ({ forward, up } sensor axes). Yaw is
+   * measured from the new forward axis's current heading.
+   */
+  function setMounting(det, mounting) {
+    const { forward } = mountingBasis(mounting);
+    det.mounting = { forward: mounting.forward, up: mounting.up };
+    Orientation.zeroYaw(det.orientation, forward);
+  }
+
+  /**
+   * Apply new detection settings to a detector. Buffers and offsets are kept.
+   */
+  function configure(det, config = {}) {
+    det.config = { ...DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Number of samples in the stillness window.
+   */
+  function stillWindowN(cfg) {
+    return Math.max(5, Math.round(cfg.stillnessWindowMs * cfg.sampleRateHz / 1000));
+  }
+
+  /**
+   * Start of a connection: detection stays off until the sensor is zeroed
+   * connectZeroDelayMs later (in sample time).
+   */
+  function connect(det, timeMs) {
+    det.connectedAt = timeMs;
+    det.zeroPending = true;
+    det.impactDetectionDisabled = true;
+  }
+
+  /**
+   * End of a connection: no impacts until the next connect.
+   */
+  function disconnect(det) {
+    det.zeroPending = false;
+    det.impactDetectionDisabled = true;
+  }
+
+  /**
+   * Resume after a dropped connection. A sensor that was already zeroed keeps its
+   * offsets (the headband was not refitted) and detects impacts straight away;
+   * buffers are cleared so samples from both sides of the gap are never mixed.
+   */
+  function reconnect(det, timeMs) {
+    if (!det.zeroed) {
+      connect(det, timeMs);
+      return;
+    }
+    AXES.forEach(axis => {
+      det.accelHistory[axis].length = 0;
+      det.gyroHistory[axis].length = 0;
+      det.stillBuf.accel[axis].length = 0;
+      det.stillBuf.gyro[axis].length = 0;
+    });
+    Orientation.restart(det.orientation);
+    det.connectedAt = timeMs;
+    det.zeroPending = false;
+    det.impactDetectionDisabled = false;
+    det.lastGyro = null;
+    det.lastGyroTime = null;
+    det.stillStart = 0;
+  }
+
+  /**
+   * Stop processing samples (the latest raw sample is still tracked).
+   */
+  function pause(det) {
+    det.paused = true;
+  }
+
+  /**
+   * Resume processing, re-zeroing on the latest raw sample.
+   */
+  function resume(det) {
+    zero(det);
+    det.paused = false;
+  }
+
+  /**
+   * Zero on the latest raw sample: it becomes the gyro offset, the orientation filter
+   * is levelled on its gravity reading and the current heading becomes yaw 0.
+   */
+  function zero(det) {
+    if (!det.latestRaw) return;
+    det.offsets.gyro = { ...det.latestRaw.gyro };
+    Orientation.reset(det.orientation, det.latestRaw.accel, mountingBasis(det.mounting).forward);
+    det.zeroed = true;
+  }
+
+  /**
+   * Push sensor values into the stillness buffer for auto-zero detection.
+   */
+  function pushStillnessSample(det, accel, gyro) {
+    const n = stillWindowN(det.config);
+    const buf = det.stillBuf;
+    AXES.forEach(axis => {
+      buf.accel[axis].push(accel[axis]);
+      while (buf.accel[axis].length > n) buf.accel[axis].shift();
+      buf.gyro[axis].push(gyro[axis] * det.config.gyroMultiplier);
+      while (buf.gyro[axis].length > n) buf.gyro[axis].shift();
+    });
+  }
+
+  /**
+   * Check whether sensor readings are "still" based on standard deviation.
+   */
+  function isAccelStill(det) {
+    const buf = det.stillBuf.accel;
+    if (buf.x.length < stillWindowN(det.config)) return false;
+    return Math.max(std(buf.x), std(buf.y), std(buf.z)) < det.config.accelStdThresh;
+  }
+  function isGyroStill(det) {
+    const buf = det.stillBuf.gyro;
+    if (buf.x.length < stillWindowN(det.config)) return false;
+    return Math.max(std(buf.x), std(buf.y), std(buf.z)) < det.config.omegaStdThresh;
+  }
+
+  /**
+   * Check auto-zero conditions: a still gyro updates the gyro offset and a still
+   * accelerometer re-levels the orientation filter (keeping its heading).
+   */
+  function checkAutoZero(det, now) {
+    const cfg = det.config;
+    if (!cfg.autoZeroEnabled || det.paused) return false;
+    if (det.connectedAt && now - det.connectedAt < cfg.autoZeroMinUptimeMs) return false;
+    if (now - det.lastImpactTime < cfg.impactSuppressionMs) return false;
+    const accelStill = isAccelStill(det);
+    const gyroStill = isGyroStill(det);
+    if (!(accelStill || gyroStill)) {
+      det.stillStart = 0;
+      return false;
+    }
+    if (!det.stillStart) det.stillStart = now;
+    if (now - det.stillStart < cfg.stillnessWindowMs + cfg.autoZeroHoldMs) return false;
+    if (now - det.lastAutoZeroTime < cfg.autoZeroCooldownMs) return false;
+    const buf = det.stillBuf;
+    if (accelStill) {
+      Orientation.level(det.orientation, { x: mean(buf.accel.x), y: mean(buf.accel.y), z: mean(buf.accel.z) }, mountingBasis(det.mounting).forward);
+    }
+    if (gyroStill) {
+      // The stillness buffer holds scaled gyro values; offsets are raw
+      const m = cfg.gyroMultiplier;
+      det.offsets.gyro = { x: mean(buf.gyro.x) / m, y: mean(buf.gyro.y) / m, z: mean(buf.gyro.z) / m };
+    }
+    det.lastAutoZeroTime = now;
+    det.zeroed = true;
+    det.stillStart = 0;
+    return true;
+  }
+
+  /**
+   * Rotational acceleration (rad/s²) from the change in angular velocity since the
+   * previous sample, using the real time between samples. Samples closer together
+   * than half the nominal period are treated as one period apart, so arrival-time
+   * jitter cannot blow up the derivative; after a gap longer than maxSampleGapMs
+   * there is no usable previous sample.
+   */
+  function angularAcceleration(det, omega, now) {
+    const cfg = det.config;
+    if (det.lastGyro === null) return 0;
+    if (det.lastGyroTime === null) return (omega - det.lastGyro) * cfg.sampleRateHz;
+    const dtMs = now - det.lastGyroTime;
+    if (dtMs > cfg.maxSampleGapMs) return 0;
+    const dt = Math.max(dtMs, 500 / cfg.sampleRateHz) / 1000;
+    return (omega - det.lastGyro) / dt;
+  }
+
+  /**
+   * Detect an impact from gravity-free accel (m/s²) and scaled gyro values.
+   * Returns { time, a_peak, alpha_peak, iss, direction, location, plane } or null;
+   * direction is the unit acceleration in head coordinates at detection.
+   */
+  function detectImpact(det, a, g, now) {
+    const cfg = det.config;
+    if (det.impactDetectionDisabled) return null;
+    if (now - det.lastImpactTime < cfg.deadTimeMs) return null;
+    const aInG = magnitude(a) / GRAVITY;
+    const omega = magnitude(g) * cfg.gyroMultiplier;
+    const alpha = angularAcceleration(det, omega, now);
+    det.lastGyro = omega;
+    det.lastGyroTime = now;
+    if (aInG < cfg.minLinearG) return null;
+    if (Math.abs(alpha) < cfg.minRotationalRadS2) return null;
+    if (computeWHISE(aInG, alpha) < cfg.whiseThreshold) return null;
+    det.lastImpactTime = now;
+    const headA = toHeadFrame(a, det.mounting);
+    const length = magnitude(headA);
+    return {
+      time: now,
+      a_peak: aInG,
+      alpha_peak: Math.abs(alpha),
+      iss: computeISS(aInG, alpha),
+      direction: { x: round(headA.x / length, 3), y: round(headA.y / length, 3), z: round(headA.z / length, 3) },
+      location: impactLocation(headA),
+      plane: rotationPlane(toHeadFrame(g, det.mounting)),
+    };
+  }
+
+  /**
+   * Feed one raw sample { time, accel, gyro } through the pipeline.
+   * Returns null while paused, otherwise the smoothed values, zeroedA (gravity-free
+   * linear acceleration in sensor coordinates), zeroedG (scaled, offset-free gyro),
+   * the gravity reading that was removed, the head attitude in degrees and any impact.
+   */
+  function processSample(det, sample) {
+    const { time, accel, gyro } = sample;
+    const cfg = det.config;
+    det.latestRaw = { accel, gyro };
+    if (det.paused) return null;
+    if (det.zeroPending && time - det.connectedAt >= cfg.connectZeroDelayMs) {
+      zero(det);
+      det.zeroPending = false;
+      det.impactDetectionDisabled = false;
+    }
+
+    const rate = {
+      x: gyro.x - det.offsets.gyro.x,
+      y: gyro.y - det.offsets.gyro.y,
+      z: gyro.z - det.offsets.gyro.z,
+    };
+    Orientation.update(det.orientation, accel, rate, time, fusionGains(cfg));
+
+    const smoothedA = smoothData(accel, det.accelHistory, cfg.smoothingWindowSize);
+    const smoothedG = smoothData(gyro, det.gyroHistory, cfg.smoothingWindowSize);
+    const { sensor: zeroedA, gravity } = Orientation.removeGravity(det.orientation, smoothedA);
+    const attitude = Orientation.attitude(det.orientation, mountingBasis(det.mounting));
+    const zeroedG = {
+      x: (smoothedG.x - det.offsets.gyro.x) * cfg.gyroMultiplier,
+      y: (smoothedG.y - det.offsets.gyro.y) * cfg.gyroMultiplier,
+      z: (smoothedG.z - det.offsets.gyro.z) * cfg.gyroMultiplier,
+    };
+    pushStillnessSample(det, smoothedA, smoothedG);
+    const impact = detectImpact(det, zeroedA, zeroedG, time);
+    checkAutoZero(det, time);
+    return { time, smoothedA, smoothedG, zeroedA, zeroedG, gravity, attitude, impact };
+  }
+
+  return {
+    DEFAULT_CONFIG,
+    RISK_THRESHOLDS,
+    MOUNTING_AXES,
+    DEFAULT_MOUNTING,
+    IMPACT_LOCATIONS,
+    ROTATION_PLANES,
+    SEVERITY_METRICS,
+    mean,
+    std,
+    mountingBasis,
+    toHeadFrame,
+    impactLocation,
+    rotationPlane,
+    computeWHISE,
+    issTerms,
+    computeISS,
+    impactSeverity,
+    computeAWE,
+    updateCLI,
+    nrsTerms,
+    computeNRS,
+    riskLevel,
+    createScoreState,
+    refreshScores,
+    addImpact,
+    recalculateScores,
+    setSeverityMetric,
+    impactContribution,
+    computeHIC,
+    computeBrIC,
+    impactMetrics,
+    createDetector,
+    configure,
+    setMounting,
+    connect,
+    reconnect,
+    disconnect,
+    pause,
+    resume,
+    zero,
+    processSample,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ScoringEngine;
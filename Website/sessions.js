@@ -0,0 +1,111 @@
+/* ====================================================
+   NeuroGuard Sessions
+   - Practices, games and drills with a start, a stop, a
+     label and the players taking part
+   - Impacts are linked to the session that was running
+     when they happened (impact.session = session id)
+   - Session summaries: duration, impact count, max ISS
+     and each player's NRS change across the session
+   - Headless: no DOM or storage access
+   - Loaded as a classic script in the browser (global
+     SessionLog) or with require() in Node
+==================================================== */
+
+const SessionLog = (() => {
+  const Scoring = typeof ScoringEngine !== 'undefined' ? ScoringEngine : require('./scoring.js');
+
+  /* --------------------- CONFIGURATION --------------------- */
+  const SESSION_TYPES = Object.freeze([
+    { key: 'practice', label: 'Practice' },
+    { key: 'game', label: 'Game' },
+    { key: 'drill', label: 'Drill' },
+  ]);
+
+  /* --------------------- SESSIONS --------------------- */
+  /**
+   * Start a session. participants is a list of player ids; only their impacts are
+   * linked to the session.
+   */
+  function createSession({ type, label = '', participants, time = Date.now() }) {
+    if (!SESSION_TYPES.some(t => t.key === type)) throw new Error(`Unknown session type "${type}"`);
+    if (!participants || !participants.length) throw new Error('Choose at least one player');
+    return { type, label: label.trim(), participants: [...participants], start: time, end: null };
+  }
+
+  function isActive(session) {
+    return session.end === null;
+  }
+
+  /** Stop a running session. */
+  function endSession(session, time = Date.now()) {
+    if (!isActive(session)) throw new Error('This session has already ended');
+    session.end = Math.max(time, session.start);
+    return session;
+  }
+
+  /** The session label, or its type when it has none. */
+  function sessionTitle(session) {
+    const type = SESSION_TYPES.find(t => t.key === session.type);
+    return session.label || (type ? type.label : session.type);
+  }
+
+  /** Id of the running session a player's impact belongs to, or null. */
+  function sessionIdFor(session, playerId) {
+    return session && isActive(session) && session.participants.includes(playerId) ? session.id : null;
+  }
+
+  /* --------------------- SUMMARIES --------------------- */
+  /**
+   * A player's NRS at a point in time, rebuilt from the impacts up to then.
+   */
+  function nrsAt(history, time, metric = 'iss') {
+    const state = Scoring.createScoreState(metric);
+    state.impactHistory = history.filter(imp => imp.time <= time);
+    return Scoring.recalculateScores(state, time).currentNRS;
+  }
+
+  /**
+   * Summarise a session. histories maps a player id to { impactHistory, severityMetric }
+   * (a score state); a running session is summarised up to now.
+   */
+  function summarize(session, histories, now = Date.now()) {
+    const end = isActive(session) ? now : session.end;
+    const players = session.participants.map(player => {
+      const state = histories.get(player);
+      const history = state ? state.impactHistory : [];
+      const metric = state ? state.severityMetric : 'iss';
+      const impacts = history.filter(imp => imp.session === session.id);
+      const nrsBefore = nrsAt(history, session.start, metric);
+      const nrsAfter = nrsAt(history, end, metric);
+      return {
+        player,
+        impacts,
+        maxIss: impacts.reduce((max, imp) => Math.max(max, imp.iss), 0),
+        nrsBefore,
+        nrsAfter,
+        nrsChange: Math.round((nrsAfter - nrsBefore) * 10) / 10,
+      };
+    });
+    return {
+      start: session.start,
+      end,
+      durationMs: end - session.start,
+      impactCount: players.reduce((n, p) => n + p.impacts.length, 0),
+      maxIss: players.reduce((max, p) => Math.max(max, p.maxIss), 0),
+      players,
+    };
+  }
+
+  return {
+    SESSION_TYPES,
+    createSession,
+    isActive,
+    endSession,
+    sessionTitle,
+    sessionIdFor,
+    nrsAt,
+    summarize,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = SessionLog;
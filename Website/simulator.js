@@ -0,0 +1,305 @@
+/* ====================================================
+   NeuroGuard Headband Simulator
+   - Generates sensor data in the binary v1 packet format
+     (SensorPacket.encode) for work without hardware
+   - Activities: idle noise, walking and running
+   - Scripted impacts with a chosen peak g and peak
+     rotational acceleration
+   - The head's attitude follows the simulated rotation, so
+     gravity turns with it; a neck pull brings it back upright
+   - Answers device commands like the firmware
+   - Seeded, so the same options give the same samples;
+     nextPacket() can be called directly from tests
+   - Loaded as a classic script in the browser (global
+     HeadbandSimulator) or with require() in Node
+==================================================== */
+
+const HeadbandSimulator = (() => {
+  const Packet = typeof SensorPacket !== 'undefined' ? SensorPacket : require('./packet.js');
+
+  /* --------------------- CONFIGURATION --------------------- */
+  const GRAVITY = 9.81;
+
+  /** Step rate (Hz), vertical/forward accel swing (m/s²), head pitch/yaw swing (rad/s). */
+  const MODES = Object.freeze({
+    idle: { label: 'Idle', stepHz: 0, vertical: 0, forward: 0, pitch: 0, yaw: 0 },
+    walking: { label: 'Walking', stepHz: 1.8, vertical: 2.0, forward: 1.0, pitch: 0.3, yaw: 0.15 },
+    running: { label: 'Running', stepHz: 2.8, vertical: 7.0, forward: 3.0, pitch: 0.9, yaw: 0.4 },
+  });
+
+  /**
+   * Linear direction and rotation axis (sensor frame, worn as x forward / y left /
+   * z up) of a blow to each part of the head. Axes are right-handed: a blow to the
+   * front tips the head back (nose up, about -y), one to the left side tilts it
+   * towards the right shoulder (about +x).
+   */
+  const HITS = Object.freeze({
+    front: { direction: { x: -1, y: 0, z: 0 }, axis: { x: 0, y: -1, z: 0 } },
+    back: { direction: { x: 1, y: 0, z: 0 }, axis: { x: 0, y: 1, z: 0 } },
+    left: { direction: { x: 0, y: -1, z: 0 }, axis: { x: 1, y: 0, z: 0 } },
+    right: { direction: { x: 0, y: 1, z: 0 }, axis: { x: -1, y: 0, z: 0 } },
+    top: { direction: { x: 0, y: 0, z: -1 }, axis: { x: 0, y: 0, z: 1 } },
+  });
+
+  const ACCEL_NOISE = 0.05;
+  const GYRO_NOISE = 0.01;
+  const DEFAULT_IMPACT_MS = 15;
+  /** The head's rotation after a hit lasts this many times the contact. */
+  const ROTATION_SPAN = 2;
+  /** Rate (1/s) at which the neck returns a tilted head upright. */
+  const NECK_RETURN_RATE = 2;
+
+  const SAMPLE_RATES = [25, 50, 100, 200];
+  const ACCEL_RANGES_G = [2, 4, 8, 16];
+  const GYRO_RANGES_DPS = [250, 500, 1000, 2000];
+  const BANDWIDTHS_HZ = [260, 184, 94, 44, 21, 10, 5];
+
+  /* --------------------- RANDOM --------------------- */
+  /** Small seeded PRNG (mulberry32). */
+  function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Normally distributed value with standard deviation sd. */
+  function gaussian(sim, sd) {
+    const u = Math.max(sim.random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * sim.random()) * sd;
+  }
+
+  /* --------------------- SIGNAL GENERATION --------------------- */
+  /**
+   * Create a simulated sensor. Options: seed, mode, sampleRateHz, samplesPerPacket.
+   */
+  function createSimulator({ seed = 1, mode = 'idle', sampleRateHz = 100, samplesPerPacket = 5 } = {}) {
+    if (!MODES[mode]) throw new Error(`Unknown simulator mode "${mode}"`);
+    return {
+      random: createRandom(seed),
+      mode,
+      settings: { rate: sampleRateHz, accelRange: 16, gyroRange: 2000, dlpf: 21 },
+      samplesPerPacket,
+      timeUs: 0,
+      seq: 0,
+      phase: 0,
+      attitude: { w: 1, x: 0, y: 0, z: 0 },
+      bias: { accel: { x: 0, y: 0, z: 0 }, gyro: { x: 0, y: 0, z: 0 } },
+      impacts: [],
+    };
+  }
+
+  /**
+   * Switch activity; the gait continues from the same phase.
+   */
+  function setMode(sim, mode) {
+    if (!MODES[mode]) throw new Error(`Unknown simulator mode "${mode}"`);
+    sim.mode = mode;
+  }
+
+  /**
+   * Queue an impact starting at the next sample: a half-sine linear pulse peaking at
+   * g along direction, and a half-sine angular velocity pulse about axis whose
+   * angular acceleration peaks at alpha (rad/s²). Values beyond the accel/gyro range
+   * clip in the packet, as they would on the MPU6050.
+   */
+  function scheduleImpact(sim, { g, alpha, durationMs = DEFAULT_IMPACT_MS, direction = { x: 1, y: 0, z: 0 }, axis = { x: 0, y: 0, z: 1 } }) {
+    const unit = v => {
+      const m = Math.hypot(v.x, v.y, v.z) || 1;
+      return { x: v.x / m, y: v.y / m, z: v.z / m };
+    };
+    const rotationUs = durationMs * 1000 * ROTATION_SPAN;
+    sim.impacts.push({
+      startUs: sim.timeUs,
+      durationUs: durationMs * 1000,
+      rotationUs,
+      peak: g * GRAVITY,
+      direction: unit(direction),
+      axis: unit(axis),
+      // ω = W·sin(πt / R), so peak α = W·π / R
+      peakOmega: alpha * (rotationUs / 1e6) / Math.PI,
+    });
+  }
+
+  /** Linear and angular contribution of one impact at time t (µs). */
+  function impactAt(impact, t) {
+    const dt = t - impact.startUs;
+    const out = { accel: 0, omega: 0 };
+    if (dt < 0) return out;
+    if (dt <= impact.durationUs) out.accel = impact.peak * Math.sin(Math.PI * dt / impact.durationUs);
+    if (dt <= impact.rotationUs) out.omega = impact.peakOmega * Math.sin(Math.PI * dt / impact.rotationUs);
+    return out;
+  }
+
+  /** Unit "up" in sensor coordinates for an attitude quaternion (sensor → earth). */
+  function upVector(q) {
+    return {
+      x: 2 * (q.x * q.z - q.w * q.y),
+      y: 2 * (q.y * q.z + q.w * q.x),
+      z: 1 - 2 * (q.x * q.x + q.y * q.y),
+    };
+  }
+
+  /** Turn an attitude by angular velocity omega (rad/s, sensor frame) for dt seconds. */
+  function integrateAttitude(q, omega, dt) {
+    const h = dt / 2;
+    const next = {
+      w: q.w - h * (q.x * omega.x + q.y * omega.y + q.z * omega.z),
+      x: q.x + h * (q.w * omega.x + q.y * omega.z - q.z * omega.y),
+      y: q.y + h * (q.w * omega.y - q.x * omega.z + q.z * omega.x),
+      z: q.z + h * (q.w * omega.z + q.x * omega.y - q.y * omega.x),
+    };
+    const n = Math.hypot(next.w, next.x, next.y, next.z);
+    return { w: next.w / n, x: next.x / n, y: next.y / n, z: next.z / n };
+  }
+
+  /**
+   * Generate the next sample { deviceTimeUs, accel, gyro } in m/s² and rad/s.
+   */
+  function nextSample(sim) {
+    const m = MODES[sim.mode];
+    const periodUs = 1e6 / sim.settings.rate;
+    const t = sim.timeUs;
+    sim.phase += 2 * Math.PI * m.stepHz * periodUs / 1e6;
+
+    // Foot strikes: a sharp positive vertical peak per step, softer swing forward/back
+    const strike = Math.max(0, Math.sin(sim.phase)) ** 3;
+    const up = upVector(sim.attitude);
+    const accel = {
+      x: GRAVITY * up.x + m.forward * Math.sin(sim.phase + 0.6),
+      y: GRAVITY * up.y + 0.3 * m.forward * Math.sin(sim.phase / 2),
+      z: GRAVITY * up.z + m.vertical * (strike - 0.21),
+    };
+    // The neck turns the head about up × z (sensor frame) to bring it upright
+    const gyro = {
+      x: m.pitch * Math.cos(sim.phase) - NECK_RETURN_RATE * up.y,
+      y: 0.2 * m.pitch * Math.sin(sim.phase / 2) + NECK_RETURN_RATE * up.x,
+      z: m.yaw * Math.sin(sim.phase / 2),
+    };
+
+    sim.impacts = sim.impacts.filter(impact => t - impact.startUs <= Math.max(impact.durationUs, impact.rotationUs));
+    sim.impacts.forEach(impact => {
+      const { accel: a, omega } = impactAt(impact, t);
+      ['x', 'y', 'z'].forEach(axis => {
+        accel[axis] += a * impact.direction[axis];
+        gyro[axis] += omega * impact.axis[axis];
+      });
+    });
+    sim.attitude = integrateAttitude(sim.attitude, gyro, periodUs / 1e6);
+
+    ['x', 'y', 'z'].forEach(axis => {
+      sim.bias.accel[axis] += gaussian(sim, 0.0005);
+      sim.bias.gyro[axis] += gaussian(sim, 0.0001);
+      accel[axis] += sim.bias.accel[axis] + gaussian(sim, ACCEL_NOISE);
+      gyro[axis] += sim.bias.gyro[axis] + gaussian(sim, GYRO_NOISE);
+    });
+
+    sim.timeUs += periodUs;
+    return { deviceTimeUs: Math.round(t), accel, gyro };
+  }
+
+  /**
+   * Generate the next binary packet (ArrayBuffer) of samplesPerPacket samples.
+   */
+  function nextPacket(sim) {
+    const samples = [];
+    for (let i = 0; i < sim.samplesPerPacket; i++) samples.push(nextSample(sim));
+    const ranges = {
+      accelRange: ACCEL_RANGES_G.indexOf(sim.settings.accelRange),
+      gyroRange: GYRO_RANGES_DPS.indexOf(sim.settings.gyroRange),
+    };
+    return Packet.encode(sim.seq++, samples, ranges);
+  }
+
+  /* --------------------- DEVICE COMMANDS --------------------- */
+  /**
+   * Answer a "<id> <COMMAND> [value]" command the way the firmware does.
+   */
+  function handleCommand(sim, text, identity) {
+    const [idText, command, valueText] = String(text).trim().split(/\s+/);
+    const id = Number(idText) || 0;
+    const value = Number(valueText);
+    const fail = error => ({ resp: id, ok: false, error });
+    const ok = extra => ({ resp: id, ok: true, ...extra });
+    const choices = { RATE: ['rate', SAMPLE_RATES], ARANGE: ['accelRange', ACCEL_RANGES_G], GRANGE: ['gyroRange', GYRO_RANGES_DPS], DLPF: ['dlpf', BANDWIDTHS_HZ] };
+
+    if (choices[command]) {
+      const [key, allowed] = choices[command];
+      if (valueText === undefined) return fail('missing value');
+      if (!allowed.includes(value)) return fail('unsupported value');
+      sim.settings[key] = value;
+      return ok({ ...sim.settings });
+    }
+    if (command === 'CAL') {
+      sim.bias = { accel: { x: 0, y: 0, z: 0 }, gyro: { x: 0, y: 0, z: 0 } };
+      return ok({ accelOffset: [0, 0, 0], gyroOffset: [0, 0, 0] });
+    }
+    if (command === 'INFO') return ok({ firmware: 'simulator', packetVersion: Packet.VERSION, batteryMv: 4100, batteryPercent: 89, ...sim.settings });
+    if (command === 'ID') return ok({ name: identity.name, mac: identity.id, chip: 'Simulated' });
+    return fail(command ? 'unknown command' : 'malformed command');
+  }
+
+  /* --------------------- DATA SOURCE --------------------- */
+  /**
+   * A data source that streams simulated packets in real time. Packets are emitted
+   * by elapsed wall-clock time, so a throttled timer catches up instead of drifting.
+   */
+  function createSource({ id = `sim-${Date.now().toString(36)}`, name = 'Simulated headband', ...options } = {}) {
+    const sim = createSimulator(options);
+    const encoder = new TextEncoder();
+    let handlers = null;
+    let timer = null;
+    let startedAt = 0;
+
+    const pump = () => {
+      const due = Math.floor((Date.now() - startedAt) * 1000 / (1e6 / sim.settings.rate)) - sim.timeUs * sim.settings.rate / 1e6;
+      for (let i = 0; i < Math.floor(due / sim.samplesPerPacket); i++) handlers.onData(nextPacket(sim));
+    };
+
+    return {
+      id,
+      name,
+      kind: 'simulator',
+      simulator: sim,
+      get connected() {
+        return timer !== null;
+      },
+      async open(h) {
+        handlers = h;
+        startedAt = Date.now() - sim.timeUs / 1000;
+        timer = setInterval(pump, 1000 * sim.samplesPerPacket / sim.settings.rate);
+      },
+      async close() {
+        if (timer === null) return;
+        clearInterval(timer);
+        timer = null;
+        handlers.onDisconnect();
+      },
+      async write(bytes) {
+        const reply = handleCommand(sim, new TextDecoder().decode(bytes), { id, name });
+        // Rate changes restart the clock so packets keep flowing at the new rate
+        startedAt = Date.now() - sim.timeUs / 1000;
+        setTimeout(() => handlers && handlers.onData(encoder.encode(JSON.stringify(reply))), 0);
+      },
+      detach() {},
+    };
+  }
+
+  return {
+    MODES,
+    HITS,
+    createSimulator,
+    setMode,
+    scheduleImpact,
+    nextSample,
+    nextPacket,
+    handleCommand,
+    createSource,
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = HeadbandSimulator;
@@ -0,0 +1,316 @@
+/* ====================================================
+   NeuroGuard Data Store
+   - IndexedDB persistence for impacts and recordings
+   - Impacts are one record each, indexed by player and time
+   - Recording samples are written in chunks while recording
+   - Impact waveforms are keyed by player and impact time, so
+     they survive impacts being re-saved with new ids
+   - Concussion protocol cases and symptom baselines are kept
+     when a player's impact history is cleared
+   - Alert log: every alert with its acknowledgement and escalations
+   - Sessions (practices, games, drills); impacts refer to
+     them by id
+   - Schema changes go in UPGRADES; never edit a shipped step
+==================================================== */
+
+const DataStore = (() => {
+  /* --------------------- SCHEMA --------------------- */
+  const DB_NAME = 'neuroguard';
+
+  /** One step per schema version; step i upgrades version i to i + 1. */
+  const UPGRADES = [
+    (db) => {
+      const impacts = db.createObjectStore('impacts', { keyPath: 'id', autoIncrement: true });
+      impacts.createIndex('player', 'player');
+      impacts.createIndex('time', 'time');
+      db.createObjectStore('recordings', { keyPath: 'id' });
+      const chunks = db.createObjectStore('sampleChunks', { keyPath: ['recordingId', 'seq'] });
+      chunks.createIndex('recording', 'recordingId');
+    },
+    (db) => {
+      const waveforms = db.createObjectStore('waveforms', { keyPath: ['player', 'time'] });
+      waveforms.createIndex('player', 'player');
+    },
+    (db) => {
+      const protocols = db.createObjectStore('protocols', { keyPath: 'id', autoIncrement: true });
+      protocols.createIndex('player', 'player');
+      db.createObjectStore('baselines', { keyPath: 'player' });
+    },
+    (db) => {
+      const alerts = db.createObjectStore('alerts', { keyPath: 'id', autoIncrement: true });
+      alerts.createIndex('time', 'time');
+    },
+    (db) => {
+      const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+      sessions.createIndex('start', 'start');
+    },
+  ];
+  const DB_VERSION = UPGRADES.length;
+
+  let db = null;
+
+  /* --------------------- HELPERS --------------------- */
+  /** Wrap an IDBRequest in a promise. */
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /**
+   * Run fn(stores) in one transaction. Resolves with fn's result once the
+   * transaction commits, so quota errors raised at commit time are not lost.
+   */
+  function transaction(storeNames, mode, fn) {
+    if (!db) return Promise.reject(new Error('Storage is not open'));
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = Object.fromEntries([].concat(storeNames).map(name => [name, tx.objectStore(name)]));
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+      Promise.resolve(fn(stores)).then(value => { result = value; }, (e) => {
+        tx.abort();
+        reject(e);
+      });
+    });
+  }
+
+  /** Delete every record of an index that matches key. */
+  function deleteByIndex(store, indexName, key) {
+    return new Promise((resolve, reject) => {
+      const req = store.index(indexName).openKeyCursor(IDBKeyRange.only(key));
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve();
+        store.delete(cursor.primaryKey);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  /** True if an error means the browser refused to store more data. */
+  function isQuotaError(e) {
+    return !!e && (e.name === 'QuotaExceededError' || e.code === 22);
+  }
+
+  /* --------------------- LIFECYCLE --------------------- */
+  /** Open (and create or upgrade) the database. */
+  async function open() {
+    if (db) return db;
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      UPGRADES.slice(event.oldVersion).forEach(upgrade => upgrade(req.result, req.transaction));
+    };
+    db = await request(req);
+    db.onversionchange = () => {
+      db.close();
+      db = null;
+    };
+    if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(() => {});
+    }
+    return db;
+  }
+
+  /** Bytes used and available, or null if the browser cannot tell. */
+  async function estimate() {
+    if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  }
+
+  /* --------------------- IMPACTS --------------------- */
+  /** A player's impacts, oldest first. */
+  async function getImpacts(playerId) {
+    const impacts = await transaction('impacts', 'readonly', ({ impacts }) =>
+      request(impacts.index('player').getAll(IDBKeyRange.only(playerId))));
+    return impacts.sort((a, b) => a.time - b.time);
+  }
+
+  /** Store new impacts. Each impact object is given the id of its record. */
+  function addImpacts(list) {
+    return transaction('impacts', 'readwrite', ({ impacts }) =>
+      Promise.all(list.map(impact => {
+        const { id, ...record } = impact;
+        return request(impacts.add(record)).then(key => { impact.id = key; });
+      })));
+  }
+
+  /** Replace all of a player's stored impacts, e.g. after their scores were recalculated. */
+  function replaceImpacts(playerId, list) {
+    return transaction('impacts', 'readwrite', async ({ impacts }) => {
+      await deleteByIndex(impacts, 'player', playerId);
+      await Promise.all(list.map(impact => {
+        const { id, ...record } = impact;
+        return request(impacts.add({ ...record, player: playerId })).then(key => { impact.id = key; });
+      }));
+    });
+  }
+
+  /** Delete all of a player's impacts and their waveforms. */
+  function deleteImpacts(playerId) {
+    return transaction(['impacts', 'waveforms'], 'readwrite', ({ impacts, waveforms }) => Promise.all([
+      deleteByIndex(impacts, 'player', playerId),
+      deleteByIndex(waveforms, 'player', playerId),
+    ]));
+  }
+
+  /* --------------------- IMPACT WAVEFORMS --------------------- */
+  /** Store the samples captured around an impact ({ player, time, ... }). */
+  function putWaveform(waveform) {
+    return transaction('waveforms', 'readwrite', ({ waveforms }) => request(waveforms.put(waveform)));
+  }
+
+  /** The waveform of a player's impact at time, or null if none was captured. */
+  async function getWaveform(playerId, time) {
+    const waveform = await transaction('waveforms', 'readonly', ({ waveforms }) => request(waveforms.get([playerId, time])));
+    return waveform || null;
+  }
+
+  /* --------------------- CONCUSSION PROTOCOL --------------------- */
+  /** A player's protocol cases, oldest first. */
+  async function getProtocols(playerId) {
+    const cases = await transaction('protocols', 'readonly', ({ protocols }) =>
+      request(protocols.index('player').getAll(IDBKeyRange.only(playerId))));
+    return cases.sort((a, b) => a.openedAt - b.openedAt);
+  }
+
+  /** Create or update a protocol case. A new case is given the id of its record. */
+  function putProtocol(protocolCase) {
+    return transaction('protocols', 'readwrite', ({ protocols }) =>
+      request(protocols.put(protocolCase)).then(key => { protocolCase.id = key; }));
+  }
+
+  /** A player's symptom baseline, or null if none was taken. */
+  async function getBaseline(playerId) {
+    const baseline = await transaction('baselines', 'readonly', ({ baselines }) => request(baselines.get(playerId)));
+    return baseline || null;
+  }
+
+  /** Store a player's symptom baseline, replacing any earlier one. */
+  function putBaseline(baseline) {
+    return transaction('baselines', 'readwrite', ({ baselines }) => request(baselines.put(baseline)));
+  }
+
+  /** Delete a player's protocol cases and baseline, e.g. when they leave the roster. */
+  function deleteProtocols(playerId) {
+    return transaction(['protocols', 'baselines'], 'readwrite', ({ protocols, baselines }) => Promise.all([
+      deleteByIndex(protocols, 'player', playerId),
+      request(baselines.delete(playerId)),
+    ]));
+  }
+
+  /* --------------------- ALERT LOG --------------------- */
+  /** Create or update a logged alert. A new alert is given the id of its record. */
+  function putAlert(alert) {
+    return transaction('alerts', 'readwrite', ({ alerts }) =>
+      request(alerts.put(alert)).then(key => { alert.id = key; }));
+  }
+
+  /** The most recent logged alerts, newest first. */
+  function getAlerts(limit = 200) {
+    return transaction('alerts', 'readonly', ({ alerts }) => new Promise((resolve, reject) => {
+      const list = [];
+      const req = alerts.index('time').openCursor(null, 'prev');
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor || list.length >= limit) return resolve(list);
+        list.push(cursor.value);
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    }));
+  }
+
+  /** Delete the whole alert log. */
+  function clearAlerts() {
+    return transaction('alerts', 'readwrite', ({ alerts }) => request(alerts.clear()));
+  }
+
+  /* --------------------- SESSIONS --------------------- */
+  /** All sessions, newest first. */
+  async function getSessions() {
+    const list = await transaction('sessions', 'readonly', ({ sessions }) => request(sessions.index('start').getAll()));
+    return list.reverse();
+  }
+
+  /** Create or update a session. A new session is given the id of its record. */
+  function putSession(session) {
+    return transaction('sessions', 'readwrite', ({ sessions }) =>
+      request(sessions.put(session)).then(key => { session.id = key; }));
+  }
+
+  /** Delete a session (its impacts are kept). */
+  function deleteSession(id) {
+    return transaction('sessions', 'readwrite', ({ sessions }) => request(sessions.delete(id)));
+  }
+
+  /* --------------------- RECORDINGS --------------------- */
+  /** Recording metadata (without samples), oldest first. */
+  async function getRecordings() {
+    const list = await transaction('recordings', 'readonly', ({ recordings }) => request(recordings.getAll()));
+    return list.sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  /** Create or update a recording's metadata. */
+  function putRecording(recording) {
+    return transaction('recordings', 'readwrite', ({ recordings }) => request(recordings.put(recording)));
+  }
+
+  /** Store the next chunk of samples together with the updated metadata. */
+  function appendSamples(recording, seq, samples) {
+    return transaction(['recordings', 'sampleChunks'], 'readwrite', ({ recordings, sampleChunks }) => Promise.all([
+      request(sampleChunks.put({ recordingId: recording.id, seq, samples })),
+      request(recordings.put(recording)),
+    ]));
+  }
+
+  /** All samples of a recording in capture order. */
+  async function getSamples(recordingId) {
+    const chunks = await transaction('sampleChunks', 'readonly', ({ sampleChunks }) =>
+      request(sampleChunks.index('recording').getAll(IDBKeyRange.only(recordingId))));
+    return chunks.sort((a, b) => a.seq - b.seq).flatMap(chunk => chunk.samples);
+  }
+
+  /** Delete a recording and its samples. */
+  function deleteRecording(recordingId) {
+    return transaction(['recordings', 'sampleChunks'], 'readwrite', ({ recordings, sampleChunks }) => Promise.all([
+      request(recordings.delete(recordingId)),
+      deleteByIndex(sampleChunks, 'recording', recordingId),
+    ]));
+  }
+
+  return {
+    DB_VERSION,
+    isQuotaError,
+    open,
+    estimate,
+    getImpacts,
+    addImpacts,
+    replaceImpacts,
+    deleteImpacts,
+    putWaveform,
+    getWaveform,
+    getProtocols,
+    putProtocol,
+    getBaseline,
+    putBaseline,
+    deleteProtocols,
+    putAlert,
+    getAlerts,
+    clearAlerts,
+    getSessions,
+    putSession,
+    deleteSession,
+    getRecordings,
+    putRecording,
+    appendSamples,
+    getSamples,
+    deleteRecording,
+  };
+})();
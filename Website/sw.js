@@ -0,0 +1,91 @@
+/* ====================================================
+   NeuroGuard Service Worker
+   - Precaches the app shell and the vendored libraries so
+     the dashboard starts without a connection
+   - Offline first: cached files are served straight away;
+     a deploy ships a new CACHE_VERSION, which installs a
+     new worker that waits until the page accepts the
+     update (see SERVICE WORKER in app.js)
+   - Google Fonts are cached the first time they load
+   - Bump CACHE_VERSION whenever any precached file changes
+==================================================== */
+
+const CACHE_VERSION = 'neuroguard-v10';
+const FONT_CACHE = 'neuroguard-fonts';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'style.css',
+  'app.js',
+  'orientation.js',
+  'scoring.js',
+  'packet.js',
+  'pipeline.js',
+  'pipeline-worker.js',
+  'liveseries.js',
+  'simulator.js',
+  'protocol.js',
+  'sessions.js',
+  'analytics.js',
+  'impactfiles.js',
+  'storage.js',
+  'alerts.js',
+  'info.svg',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'vendor/tailwindcss-browser-4.3.3.js',
+  'vendor/chart-4.4.3.umd.min.js',
+  'vendor/hammer-2.0.8.min.js',
+  'vendor/chartjs-plugin-zoom-2.0.1.min.js',
+];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/* --------------------- INSTALL --------------------- */
+/* Only same-origin files are precached, so the install never depends on a CDN */
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_VERSION)
+    .then(cache => cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'no-cache' })))));
+});
+
+/* --------------------- ACTIVATE --------------------- */
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key !== CACHE_VERSION && key !== FONT_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+/* The page posts SKIP_WAITING when the user accepts an update */
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/* --------------------- FETCH --------------------- */
+/** Cached response first, the network (cached for next time) otherwise. */
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(caches.match('index.html').then(cached => cached || fetch(request)));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(cacheFirst(request, CACHE_VERSION));
+  } else if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, FONT_CACHE));
+  }
+});
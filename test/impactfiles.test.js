@@ -0,0 +1,107 @@
+/* ====================================================
+   Impact file tests
+   - CSV round trips with quoting
+   - Validation of imported rows
+   - Import de-duplication: an impact is identified by
+     its time and ISS within a player's history
+==================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ImpactFiles = require('../Website/impactfiles.js');
+
+/** Histories by player id, as getPlayerState(id).impactHistory in the dashboard. */
+function createHistories(initial = {}) {
+  const histories = new Map(Object.entries(initial));
+  return {
+    histories,
+    historyOf: playerId => {
+      if (!histories.has(playerId)) histories.set(playerId, []);
+      return histories.get(playerId);
+    },
+  };
+}
+
+/* --------------------- CSV --------------------- */
+test('toCSV quotes cells with commas, quotes and line breaks, and parseCSV reads them back', () => {
+  const text = ImpactFiles.toCSV(['time', 'player_name', 'note'], [
+    [1000, 'Smith, J.', 'said "ouch"'],
+    [2000, 'Lee', 'two\nlines'],
+    [3000, null, undefined],
+  ]);
+  assert.equal(text.split('\r\n')[1], '1000,"Smith, J.","said ""ouch"""');
+  assert.deepEqual(ImpactFiles.parseCSV(text), [
+    { time: '1000', player_name: 'Smith, J.', note: 'said "ouch"' },
+    { time: '2000', player_name: 'Lee', note: 'two\nlines' },
+    { time: '3000', player_name: '', note: '' },
+  ]);
+});
+
+test('parseCSV trims header names and skips blank lines', () => {
+  assert.deepEqual(ImpactFiles.parseCSV(' time , iss\n\n1,2\n\n'), [{ time: '1', iss: '2' }]);
+});
+
+/* --------------------- VALIDATION --------------------- */
+test('normalizeImpact reads numbers from CSV strings and ISO or epoch times', () => {
+  const impact = ImpactFiles.normalizeImpact({
+    time: '2024-03-01T10:00:00.000Z', a_peak: '40', alpha_peak: '3000', iss: '0.53',
+    nrs: '1.1', hic15: '', bric: 'n/a', location: 'left', plane: 'sideways', profile: 'youth',
+  });
+  assert.deepEqual(impact, {
+    time: Date.parse('2024-03-01T10:00:00.000Z'), a_peak: 40, alpha_peak: 3000, iss: 0.53,
+    nrs: 1.1, profile: 'youth', location: 'left',
+  });
+  assert.equal(ImpactFiles.normalizeImpact({ time: '1700000000000', a_peak: 1, alpha_peak: 1, iss: 1 }).time, 1700000000000);
+});
+
+test('normalizeImpact rejects rows without a time, peaks and ISS', () => {
+  assert.equal(ImpactFiles.normalizeImpact({ time: 'yesterday', a_peak: 1, alpha_peak: 1, iss: 1 }), null);
+  assert.equal(ImpactFiles.normalizeImpact({ time: 1, a_peak: 1, alpha_peak: 1 }), null);
+});
+
+/* --------------------- DE-DUPLICATION --------------------- */
+test('impactKey identifies an impact by its time and ISS', () => {
+  assert.equal(ImpactFiles.impactKey({ time: 1000, iss: 0.53, a_peak: 40 }), '1000:0.53');
+  assert.equal(ImpactFiles.impactKey({ time: 1000, iss: 0.53, a_peak: 99 }), ImpactFiles.impactKey({ time: 1000, iss: 0.53 }));
+  assert.notEqual(ImpactFiles.impactKey({ time: 1000, iss: 0.53 }), ImpactFiles.impactKey({ time: 1000, iss: 0.54 }));
+});
+
+test('mergeImpacts skips impacts a player already has with the same time and ISS', () => {
+  const { histories, historyOf } = createHistories({ p1: [{ time: 1000, iss: 0.53, a_peak: 40, player: 'p1' }] });
+  const result = ImpactFiles.mergeImpacts([
+    { playerId: 'p1', impact: { time: 1000, iss: 0.53, a_peak: 41 } },
+    { playerId: 'p1', impact: { time: 1000, iss: 0.6 } },
+    { playerId: 'p1', impact: { time: 2000, iss: 0.53 } },
+  ], historyOf);
+  assert.equal(result.added, 2);
+  assert.equal(result.skipped, 1);
+  assert.deepEqual([...result.playerIds], ['p1']);
+  assert.deepEqual(histories.get('p1').map(ImpactFiles.impactKey), ['1000:0.53', '1000:0.6', '2000:0.53']);
+  assert.equal(histories.get('p1')[0].a_peak, 40);
+});
+
+test('mergeImpacts skips repeated rows within one import but not across players', () => {
+  const { histories, historyOf } = createHistories();
+  const impact = { time: 1000, iss: 0.53 };
+  const result = ImpactFiles.mergeImpacts([
+    { playerId: 'p1', impact },
+    { playerId: 'p1', impact: { ...impact } },
+    { playerId: 'p2', impact },
+  ], historyOf);
+  assert.equal(result.added, 2);
+  assert.equal(result.skipped, 1);
+  assert.deepEqual(histories.get('p1'), [{ time: 1000, iss: 0.53, player: 'p1' }]);
+  assert.deepEqual(histories.get('p2'), [{ time: 1000, iss: 0.53, player: 'p2' }]);
+});
+
+test('importing the same file twice adds nothing the second time', () => {
+  const { histories, historyOf } = createHistories();
+  const rows = ImpactFiles.parseCSV('time,a_peak,alpha_peak,iss\r\n1000,40,3000,0.53\r\n2000,90,6000,0.59');
+  const entries = rows.map(raw => ({ playerId: 'p1', impact: ImpactFiles.normalizeImpact(raw) }));
+  assert.equal(ImpactFiles.mergeImpacts(entries, historyOf).added, 2);
+  const again = ImpactFiles.mergeImpacts(entries, historyOf);
+  assert.equal(again.added, 0);
+  assert.equal(again.skipped, 2);
+  assert.equal(again.playerIds.size, 0);
+  assert.equal(histories.get('p1').length, 2);
+});
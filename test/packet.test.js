@@ -0,0 +1,152 @@
+/* ====================================================
+   Sensor packet tests
+   - Decodes hand-built binary v1 packets (header, range
+     scaling, truncation, versions) and the legacy JSON
+     and command-reply notifications
+   - Pins stream timing: sequence gaps, wrap-around,
+     device restarts and the device clock rollover
+==================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SensorPacket = require('../Website/packet.js');
+
+const GRAVITY = 9.81;
+const DEG_TO_RAD = Math.PI / 180;
+
+/** Assert a number to within tolerance. */
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+/**
+ * Build a binary v1 packet byte by byte. samples are
+ * { timeUs, accel: [x, y, z], gyro: [x, y, z] } in raw counts.
+ */
+function buildPacket({ version = 1, seq = 0, ranges = 0, samples = [] }) {
+  const view = new DataView(new ArrayBuffer(8 + samples.length * 16));
+  view.setUint8(0, 0x4E);
+  view.setUint8(1, version);
+  view.setUint16(2, seq, true);
+  view.setUint8(4, samples.length);
+  view.setUint8(5, ranges);
+  samples.forEach(({ timeUs, accel, gyro }, i) => {
+    const o = 8 + i * 16;
+    view.setUint32(o, timeUs, true);
+    [...accel, ...gyro].forEach((count, j) => view.setInt16(o + 4 + j * 2, count, true));
+  });
+  return view;
+}
+
+/** A sample on the ±2 g / ±250 °/s ranges: 1 g down the z axis, no rotation. */
+function stillSample(timeUs) {
+  return { timeUs, accel: [0, 0, 16384], gyro: [0, 0, 0] };
+}
+
+/* --------------------- BINARY V1 --------------------- */
+test('decode reads the v1 header and little-endian samples', () => {
+  const packet = SensorPacket.decode(buildPacket({
+    seq: 0x1234,
+    samples: [stillSample(1000), { timeUs: 0xFFFFFFFF, accel: [-16384, 8192, 0], gyro: [131, -262, 0] }],
+  }));
+  assert.equal(packet.legacy, false);
+  assert.equal(packet.version, 1);
+  assert.equal(packet.seq, 0x1234);
+  assert.equal(packet.samples.length, 2);
+  assert.equal(packet.samples[0].deviceTimeUs, 1000);
+  near(packet.samples[0].accel.z, GRAVITY);
+  assert.equal(packet.samples[1].deviceTimeUs, 0xFFFFFFFF);
+  near(packet.samples[1].accel.x, -GRAVITY);
+  near(packet.samples[1].accel.y, GRAVITY / 2);
+  near(packet.samples[1].gyro.x, DEG_TO_RAD);
+  near(packet.samples[1].gyro.y, -2 * DEG_TO_RAD);
+});
+
+test('decode scales counts by the accel (bits 0-1) and gyro (bits 2-3) ranges', () => {
+  const sample = { timeUs: 0, accel: [2048, 0, 0], gyro: [164, 0, 0] };
+  const packet = SensorPacket.decode(buildPacket({ ranges: 3 | (2 << 2), samples: [sample] }));
+  near(packet.samples[0].accel.x, GRAVITY, 1e-9);
+  near(packet.samples[0].gyro.x, 5 * DEG_TO_RAD, 1e-9);
+});
+
+test('decode accepts ArrayBuffers and typed arrays', () => {
+  const view = buildPacket({ seq: 7, samples: [stillSample(0)] });
+  assert.equal(SensorPacket.decode(view.buffer).seq, 7);
+  assert.equal(SensorPacket.decode(new Uint8Array(view.buffer)).seq, 7);
+});
+
+test('decode returns null for empty and truncated packets', () => {
+  assert.equal(SensorPacket.decode(new ArrayBuffer(0)), null);
+  const full = new Uint8Array(buildPacket({ samples: [stillSample(0), stillSample(5000)] }).buffer);
+  assert.equal(SensorPacket.decode(full.slice(0, 6)), null);
+  assert.equal(SensorPacket.decode(full.slice(0, full.length - 1)), null);
+});
+
+test('decode rejects unsupported versions', () => {
+  assert.throws(() => SensorPacket.decode(buildPacket({ version: 2, samples: [stillSample(0)] })), /Unsupported packet version 2/);
+});
+
+test('encode writes packets decode reads back to within one count', () => {
+  const samples = [
+    { deviceTimeUs: 123456, accel: { x: 1.5, y: -3, z: 9.81 }, gyro: { x: 0.1, y: -0.2, z: 0.3 } },
+  ];
+  const packet = SensorPacket.decode(SensorPacket.encode(65537, samples));
+  assert.equal(packet.seq, 1);
+  assert.equal(packet.samples[0].deviceTimeUs, 123456);
+  ['x', 'y', 'z'].forEach(axis => {
+    near(packet.samples[0].accel[axis], samples[0].accel[axis], GRAVITY / 2048);
+    near(packet.samples[0].gyro[axis], samples[0].gyro[axis], DEG_TO_RAD / 16.4);
+  });
+});
+
+/* --------------------- JSON --------------------- */
+test('decode wraps legacy {"sensor":...} JSON as a packet without a sequence', () => {
+  const json = JSON.stringify({ sensor: { accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } } });
+  const packet = SensorPacket.decode(new TextEncoder().encode(json));
+  assert.equal(packet.legacy, true);
+  assert.equal(packet.seq, null);
+  assert.deepEqual(packet.samples, [{ deviceTimeUs: null, accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } }]);
+});
+
+test('decode passes device command replies on as responses', () => {
+  const packet = SensorPacket.decode(new TextEncoder().encode('{"resp":3,"ok":true,"rate":100}'));
+  assert.deepEqual(packet, { response: { resp: 3, ok: true, rate: 100 } });
+});
+
+/* --------------------- STREAM TIMING --------------------- */
+test('timestamp maps device time to arrival time and counts sequence gaps as lost', () => {
+  const stream = SensorPacket.createStream();
+  const first = SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 10, samples: [stillSample(0), stillSample(10000)] })), 5000);
+  assert.deepEqual(first.samples.map(s => s.timeMs), [4990, 5000]);
+  assert.equal(first.lost, 0);
+  const next = SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 13, samples: [stillSample(20000), stillSample(30000)] })), 5021);
+  assert.deepEqual(next.samples.map(s => s.timeMs), [5010, 5020]);
+  assert.equal(next.lost, 2);
+  assert.equal(stream.lostPackets, 2);
+  near(SensorPacket.lossRatio(stream), 0.5);
+  near(stream.sampleRateHz, 100);
+});
+
+test('timestamp treats a sequence wrap as no loss and a huge jump as a device restart', () => {
+  const stream = SensorPacket.createStream();
+  SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 0xFFFF, samples: [stillSample(0)] })), 0);
+  assert.equal(SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 0, samples: [stillSample(10000)] })), 10).lost, 0);
+  assert.equal(SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 40000, samples: [stillSample(20000)] })), 20).lost, 0);
+  assert.equal(stream.lostPackets, 0);
+});
+
+test('timestamp unwraps the u32 device clock rollover', () => {
+  const stream = SensorPacket.createStream();
+  SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 0, samples: [stillSample(0xFFFFFFFF - 4999)] })), 1000);
+  const { samples } = SensorPacket.timestamp(stream, SensorPacket.decode(buildPacket({ seq: 1, samples: [stillSample(5000)] })), 1010);
+  near(samples[0].timeMs, 1010, 1e-6);
+});
+
+test('timestamp uses the arrival time for legacy packets', () => {
+  const stream = SensorPacket.createStream();
+  const packet = SensorPacket.parseLegacy({ sensor: { accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } } });
+  const { samples, lost } = SensorPacket.timestamp(stream, packet, 1234);
+  assert.equal(samples[0].timeMs, 1234);
+  assert.equal(lost, 0);
+  assert.equal(stream.packets, 1);
+});
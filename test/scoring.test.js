@@ -0,0 +1,224 @@
+/* ====================================================
+   Scoring engine tests
+   - Pins the ISS, WHISE, AWE, CLI and NRS formulas and the
+     risk levels against hand-computed values
+   - Runs seeded simulator streams (HeadbandSimulator) with
+     scripted impacts through processSample and pins the
+     detected impacts and the scores they produce
+==================================================== */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ScoringEngine = require('../Website/scoring.js');
+const HeadbandSimulator = require('../Website/simulator.js');
+const SensorPacket = require('../Website/packet.js');
+
+const DAY_MS = 86400000;
+const PACKET_INTERVAL_MS = 50;
+
+/** Assert a number to within tolerance. */
+function near(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+/**
+ * Run a seeded simulator stream through a detector the way the dashboard does
+ * (packet decode → timestamp → processSample). hits are { atMs, hit, g, alpha }.
+ * Returns the detected impacts and every sample result.
+ */
+function runStream({ seed = 1, mode = 'idle', durationMs = 30000, hits = [] } = {}) {
+  const sim = HeadbandSimulator.createSimulator({ seed, mode });
+  const det = ScoringEngine.createDetector();
+  const stream = SensorPacket.createStream();
+  const pending = hits.slice();
+  const impacts = [];
+  const results = [];
+  ScoringEngine.connect(det, 0);
+  for (let receivedAt = PACKET_INTERVAL_MS; receivedAt <= durationMs; receivedAt += PACKET_INTERVAL_MS) {
+    while (pending.length && pending[0].atMs <= sim.timeUs / 1000) {
+      const { hit, g, alpha } = pending.shift();
+      HeadbandSimulator.scheduleImpact(sim, { g, alpha, ...HeadbandSimulator.HITS[hit] });
+    }
+    const packet = SensorPacket.decode(HeadbandSimulator.nextPacket(sim));
+    const { samples } = SensorPacket.timestamp(stream, packet, receivedAt);
+    samples.forEach(({ timeMs, accel, gyro }) => {
+      const result = ScoringEngine.processSample(det, { time: timeMs, accel, gyro });
+      results.push(result);
+      if (result && result.impact) impacts.push(result.impact);
+    });
+  }
+  return { det, impacts, results };
+}
+
+/* Reference stream: seed 1, idle, three scripted hits */
+const REFERENCE_HITS = [
+  { atMs: 2000, hit: 'left', g: 40, alpha: 3000 },
+  { atMs: 8000, hit: 'top', g: 90, alpha: 6000 },
+  { atMs: 15000, hit: 'right', g: 20, alpha: 1500 },
+];
+
+/* --------------------- SCORE FORMULAS --------------------- */
+test('computeISS follows 0.75 × log10(1 + 0.8 g) × (1 + α / 4500), rounded to 2 decimals', () => {
+  assert.equal(ScoringEngine.computeISS(0, 0), 0);
+  assert.equal(ScoringEngine.computeISS(95, 6000), 3.3);
+  assert.equal(ScoringEngine.computeISS(10, 0), 0.72);
+  assert.equal(ScoringEngine.computeISS(10, -4500), 1.43);
+  assert.equal(ScoringEngine.computeISS(150, 9000), 4.69);
+});
+
+test('computeWHISE weighs linear (per 100 g) and rotational (per 6000 rad/s²) acceleration', () => {
+  near(ScoringEngine.computeWHISE(100, 6000), 1);
+  near(ScoringEngine.computeWHISE(50, -3000), 0.5);
+  near(ScoringEngine.computeWHISE(1, 150), 0.019);
+  near(ScoringEngine.computeWHISE(0, 0), 0);
+});
+
+test('computeAWE sums severity over 7 days with a 0.4 per day decay', () => {
+  const now = 10 * DAY_MS;
+  const impacts = [
+    { time: now - DAY_MS, iss: 2 },
+    { time: now, iss: 1 },
+    { time: now - 7 * DAY_MS, iss: 5 },
+    { time: now + 1000, iss: 5 },
+  ];
+  near(ScoringEngine.computeAWE(impacts, now), 2 * Math.exp(-0.4) + 1);
+  near(ScoringEngine.computeAWE(impacts, now), 2.3406400920712787, 1e-12);
+  assert.equal(ScoringEngine.computeAWE([], now), 0);
+});
+
+test('computeAWE uses the chosen severity metric, falling back to ISS', () => {
+  const now = 0;
+  near(ScoringEngine.computeAWE([{ time: now, iss: 1, hic15: 150 }], now, 'hic15'), 2);
+  near(ScoringEngine.computeAWE([{ time: now, iss: 1 }], now, 'hic15'), 1);
+});
+
+test('updateCLI is an exponential moving average keeping 99% per impact', () => {
+  near(ScoringEngine.updateCLI(0, 3), 0.03);
+  near(ScoringEngine.updateCLI(1, 1), 1);
+  let cli = 0;
+  for (let i = 0; i < 100; i++) cli = ScoringEngine.updateCLI(cli, 1);
+  near(cli, 1 - 0.99 ** 100);
+});
+
+test('computeNRS weighs ISS and AWE at 0.35 and CLI at 0.2, × 3, rounded to 1 decimal', () => {
+  assert.equal(ScoringEngine.computeNRS(0, 0, 0), 0);
+  assert.equal(ScoringEngine.computeNRS(3.3, 3.3, 0), 6.9);
+  assert.equal(ScoringEngine.computeNRS(2, 0, 0), 2.1);
+  assert.equal(ScoringEngine.computeNRS(0, 0, 1), 0.6);
+  assert.equal(ScoringEngine.computeNRS(4, 4, 2), 9.6);
+});
+
+test('riskLevel maps NRS to low < 3 ≤ moderate < 6 ≤ high < 8 ≤ severe', () => {
+  assert.equal(ScoringEngine.riskLevel(0), 'low');
+  assert.equal(ScoringEngine.riskLevel(2.9), 'low');
+  assert.equal(ScoringEngine.riskLevel(3), 'moderate');
+  assert.equal(ScoringEngine.riskLevel(5.9), 'moderate');
+  assert.equal(ScoringEngine.riskLevel(6), 'high');
+  assert.equal(ScoringEngine.riskLevel(7.9), 'high');
+  assert.equal(ScoringEngine.riskLevel(8), 'severe');
+  assert.equal(ScoringEngine.riskLevel(12), 'severe');
+});
+
+test('riskLevel uses custom thresholds', () => {
+  const thresholds = { moderate: 1, high: 2, severe: 3 };
+  assert.equal(ScoringEngine.riskLevel(0.9, thresholds), 'low');
+  assert.equal(ScoringEngine.riskLevel(1, thresholds), 'moderate');
+  assert.equal(ScoringEngine.riskLevel(2.5, thresholds), 'high');
+  assert.equal(ScoringEngine.riskLevel(3, thresholds), 'severe');
+});
+
+/* --------------------- PLAYER SCORES --------------------- */
+test('addImpact annotates impacts with the NRS, AWE and CLI they produced', () => {
+  const state = ScoringEngine.createScoreState();
+  const first = ScoringEngine.addImpact(state, { time: 0, iss: 3.3 });
+  near(first.cli, 0.033);
+  near(first.awe, 3.3);
+  assert.equal(first.nrs, 6.9);
+  assert.equal(ScoringEngine.riskLevel(first.nrs), 'high');
+
+  const second = ScoringEngine.addImpact(state, { time: DAY_MS / 2, iss: 3.3 });
+  near(second.awe, 3.3 * Math.exp(-0.2) + 3.3);
+  assert.equal(second.nrs, 9.8);
+  assert.equal(ScoringEngine.riskLevel(second.nrs), 'severe');
+});
+
+test('refreshScores decays the NRS back to the CLI floor after 7 days', () => {
+  const state = ScoringEngine.createScoreState();
+  ScoringEngine.addImpact(state, { time: 0, iss: 3.3 });
+  ScoringEngine.refreshScores(state, 3 * DAY_MS);
+  near(state.currentAWE, 3.3 * Math.exp(-1.2));
+  assert.equal(state.currentNRS, 4.5);
+  assert.equal(ScoringEngine.riskLevel(state.currentNRS), 'moderate');
+  ScoringEngine.refreshScores(state, 8 * DAY_MS);
+  assert.equal(state.latestISS, 0);
+  assert.equal(state.currentAWE, 0);
+  assert.equal(state.currentNRS, 0);
+});
+
+/* --------------------- SAMPLE PIPELINE --------------------- */
+test('processSample finds no impacts in an idle or running stream', () => {
+  assert.deepEqual(runStream({ mode: 'idle' }).impacts, []);
+  assert.deepEqual(runStream({ mode: 'running', seed: 7 }).impacts, []);
+});
+
+test('processSample removes gravity and zeroes the gyro on a still headband', () => {
+  const { results } = runStream({ durationMs: 2000 });
+  const last = results[results.length - 1];
+  ['x', 'y', 'z'].forEach(axis => {
+    assert.ok(Math.abs(last.zeroedA[axis]) < 0.2, `zeroedA.${axis} = ${last.zeroedA[axis]}`);
+    assert.ok(Math.abs(last.zeroedG[axis]) < 0.2, `zeroedG.${axis} = ${last.zeroedG[axis]}`);
+  });
+  near(last.gravity.z, 9.81, 0.2);
+  assert.ok(Math.abs(last.attitude.pitch) < 2 && Math.abs(last.attitude.roll) < 2);
+});
+
+test('processSample returns null while paused', () => {
+  const det = ScoringEngine.createDetector();
+  const sample = { time: 0, accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } };
+  ScoringEngine.pause(det);
+  assert.equal(ScoringEngine.processSample(det, sample), null);
+  ScoringEngine.resume(det);
+  assert.notEqual(ScoringEngine.processSample(det, sample), null);
+});
+
+test('a new detector has no previous gyro sample, like a zeroed one after a reconnect', () => {
+  const det = ScoringEngine.createDetector();
+  assert.equal(det.lastGyro, null);
+  assert.equal(det.lastGyroTime, null);
+  ScoringEngine.processSample(det, { time: 0, accel: { x: 0, y: 0, z: 9.81 }, gyro: { x: 0, y: 0, z: 0 } });
+  ScoringEngine.zero(det);
+  det.lastGyro = 3;
+  det.lastGyroTime = 1000;
+  ScoringEngine.reconnect(det, 2000);
+  assert.equal(det.lastGyro, null);
+  assert.equal(det.lastGyroTime, null);
+});
+
+test('processSample detects the reference stream impacts with pinned ISS, location and plane', () => {
+  const { impacts } = runStream({ hits: REFERENCE_HITS });
+  assert.deepEqual(impacts.map(({ time, iss, location, plane }) => ({ time, iss, location, plane })), [
+    { time: 2020, iss: 0.53, location: 'left', plane: 'coronal' },
+    { time: 8020, iss: 0.59, location: 'top', plane: 'axial' },
+    { time: 15020, iss: 0.44, location: 'right', plane: 'coronal' },
+  ]);
+  impacts.forEach(impact => {
+    assert.equal(impact.iss, ScoringEngine.computeISS(impact.a_peak, impact.alpha_peak));
+    assert.ok(ScoringEngine.computeWHISE(impact.a_peak, impact.alpha_peak) >= ScoringEngine.DEFAULT_CONFIG.whiseThreshold);
+  });
+});
+
+test('the reference stream impacts produce pinned NRS and risk levels', () => {
+  const { impacts } = runStream({ hits: REFERENCE_HITS });
+  const state = ScoringEngine.createScoreState();
+  impacts.forEach(impact => ScoringEngine.addImpact(state, impact));
+  assert.deepEqual(impacts.map(impact => impact.nrs), [1.1, 1.8, 2.1]);
+  near(state.cli, 0.01543553, 1e-8);
+  assert.equal(ScoringEngine.riskLevel(state.currentNRS), 'low');
+});
+
+test('processSample keeps detection off until the sensor is zeroed and during the dead time', () => {
+  const early = runStream({ durationMs: 3000, hits: [{ atMs: 100, hit: 'left', g: 40, alpha: 3000 }] });
+  assert.deepEqual(early.impacts, []);
+  const close = runStream({ durationMs: 3000, hits: [{ atMs: 1000, hit: 'left', g: 40, alpha: 3000 }, { atMs: 1300, hit: 'right', g: 40, alpha: 3000 }] });
+  assert.equal(close.impacts.length, 1);
+});